@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const { parseArgs } = require('util');
+const { processName } = require('./server');
+const { resolveProfile } = require('./lib/profiles');
+const { getSource } = require('./lib/sources');
+const { getWorkspace, DEFAULT_WORKSPACE } = require('./lib/workspaces');
+const { recordSearch } = require('./lib/auditLog');
+
+// Batch clearance checks without the web server, e.g. from release
+// scripts:
+//
+//   node cli.js check names.txt --format table --profile slots
+//
+// Names are read from the file (or standard input for "-"), one per line
+// or separated by commas, and searched exactly as the web app would, with
+// the same cache, audit log and typed queries. Results are not compared
+// with earlier searches and send no notifications, so no webhook retries
+// outlive the run. Lines starting with # are ignored. The exit code is 1 if any name scores at or above --fail-on
+// (red by default) or could not be searched, and 2 for usage errors.
+
+const USAGE = `Usage: node cli.js check <file|-> [options]
+
+Options:
+  --format table|json|csv   Output format (default table)
+  --profile <id>            Scoring profile (default: the default profile)
+  --source <id>             Data source (default: TRADEMARK_SOURCE)
+  --workspace <id>          Workspace for profiles and history (default "default")
+  --fail-on red|yellow|never
+                            Lowest score that fails the run (default red)
+  --refresh                 Refetch filings even if cached
+  -h, --help                Show this help`;
+
+const FORMATS = ['table', 'json', 'csv'];
+const FAIL_ON = { red: ['Red'], yellow: ['Red', 'Yellow'], never: [] };
+
+function usageError(message) {
+    console.error(`${message}\n\n${USAGE}`);
+    process.exitCode = 2;
+}
+
+function readNames(file) {
+    const text = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+    return Array.from(new Set(text
+        .split('\n')
+        .filter(line => !line.trim().startsWith('#'))
+        .join('\n')
+        .split(/[\n,]+/)
+        .map(s => s.trim())
+        .filter(Boolean)));
+}
+
+function filingCounts(info) {
+    const details = (info.details || []).filter(d => !d.error);
+    return { filings: details.length, live: details.filter(d => d.status === 'LIVE').length };
+}
+
+function csvField(value) {
+    return '"' + String(value === null || value === undefined ? '' : value).replace(/"/g, '""') + '"';
+}
+
+function formatTable(rows) {
+    const table = [['Name', 'Score', 'Filings', 'Live', 'Explanation']].concat(rows.map(row => [
+        row.name,
+        row.error ? 'Error' : row.score,
+        String(row.filings),
+        String(row.live),
+        row.error || row.explanation
+    ]));
+    // Pad every column but the last to its widest value
+    const widths = table[0].slice(0, -1).map((_, col) => Math.max(...table.map(line => line[col].length)));
+    return table.map(line =>
+        line.map((cell, col) => (col < widths.length ? cell.padEnd(widths[col]) : cell)).join('  ').trimEnd()
+    ).join('\n');
+}
+
+function formatCsv(rows) {
+    return [['Name', 'Score', 'Filings', 'Live Filings', 'Explanation'].join(',')]
+        .concat(rows.map(row => [
+            row.name,
+            row.error ? 'Error' : row.score,
+            row.filings,
+            row.live,
+            row.error || row.explanation
+        ].map(csvField).join(',')))
+        .join('\n');
+}
+
+async function check(positionals, values) {
+    const [file] = positionals;
+    if (!file) {
+        usageError('Missing the file of names to check.');
+        return;
+    }
+    const format = values.format || 'table';
+    if (!FORMATS.includes(format)) {
+        usageError(`Unknown format "${format}".`);
+        return;
+    }
+    const failOn = (values['fail-on'] || 'red').toLowerCase();
+    if (!FAIL_ON[failOn]) {
+        usageError(`Unknown --fail-on level "${values['fail-on']}".`);
+        return;
+    }
+    const workspace = values.workspace || DEFAULT_WORKSPACE;
+    if (!getWorkspace(workspace)) {
+        usageError(`Unknown workspace "${workspace}".`);
+        return;
+    }
+    const profile = resolveProfile(values.profile, workspace);
+    if (!profile) {
+        usageError(`Unknown scoring profile "${values.profile}".`);
+        return;
+    }
+    const source = getSource(values.source);
+    if (!source) {
+        usageError(`Unknown data source "${values.source}".`);
+        return;
+    }
+    let names;
+    try {
+        names = readNames(file);
+    } catch (err) {
+        usageError(`Cannot read ${file}: ${err.message}`);
+        return;
+    }
+    if (names.length === 0) {
+        usageError(`No names found in ${file}.`);
+        return;
+    }
+
+    const results = {};
+    await Promise.all(names.map(async name => {
+        try {
+            results[name] = await processName(name, profile, { source, refresh: !!values.refresh, workspace });
+        } catch (err) {
+            results[name] = { error: err.message };
+        }
+    }));
+    recordSearch({
+        identity: { user: os.userInfo().username, ip: 'cli' },
+        names,
+        results,
+        profile: profile.id,
+        source: source.id,
+        workspace
+    });
+
+    const rows = names.map(name => {
+        const info = results[name];
+        return info.error ?
+            { name, error: info.error, filings: 0, live: 0 } :
+            { name, score: info.score, explanation: info.explanation, ...filingCounts(info) };
+    });
+    const failed = rows.filter(row => row.error || FAIL_ON[failOn].includes(row.score)).map(row => row.name);
+    if (format === 'json') {
+        console.log(JSON.stringify({
+            profile: profile.id,
+            source: source.id,
+            failOn,
+            failed,
+            results: names.map(name => ({ name, ...results[name] }))
+        }, null, 2));
+    } else {
+        console.log(format === 'csv' ? formatCsv(rows) : formatTable(rows));
+    }
+    if (failed.length > 0) {
+        if (format === 'table') {
+            console.error(`\n${failed.length} of ${names.length} names failed (--fail-on ${failOn}).`);
+        }
+        process.exitCode = 1;
+    }
+}
+
+async function main(argv) {
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                format: { type: 'string' },
+                profile: { type: 'string' },
+                source: { type: 'string' },
+                workspace: { type: 'string' },
+                'fail-on': { type: 'string' },
+                refresh: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (err) {
+        usageError(err.message);
+        return;
+    }
+    const [command, ...rest] = args.positionals;
+    if (args.values.help) {
+        console.log(USAGE);
+    } else if (command === 'check') {
+        await check(rest, args.values);
+    } else {
+        usageError(command ? `Unknown command "${command}".` : 'Missing a command.');
+    }
+}
+
+main(process.argv.slice(2)).catch(err => {
+    console.error(err);
+    process.exitCode = 2;
+});
@@ -0,0 +1,672 @@
+const { resolveProfile } = require('./profiles');
+const { getSource } = require('./sources');
+const { createSession, getSession, listSessions } = require('./sessions');
+const { requestIdentity, recordSearch } = require('./auditLog');
+const { hasRole } = require('./auth');
+const { parseQuery } = require('./query');
+
+// Versioned JSON API for other tools, under /api/v1. The routes the app
+// itself uses (/api/search etc.) may change with the app; these keep their
+// shape, and changes that would break clients belong in a /api/v2. Every
+// response uses one of three envelopes:
+//
+//   { data }                                   a resource
+//   { data: [...], meta: { page, perPage, total, totalPages } }
+//                                              one page of a list
+//   { error: { code, message } }               a failure
+//
+// Error codes are stable; messages are for people. Routes are declared
+// once in ROUTES, which both dispatches requests and generates the OpenAPI
+// document served at /api/v1/openapi.json.
+
+const VERSION = '1.0.0';
+const PER_PAGE = 50;
+const MAX_PER_PAGE = 200;
+
+// HTTP status of each error code
+const ERROR_STATUS = {
+    invalid_request: 400,
+    invalid_query: 400,
+    unauthenticated: 401,
+    forbidden: 403,
+    not_found: 404,
+    method_not_allowed: 405,
+    internal_error: 500,
+    source_error: 502
+};
+
+function sendData(res, statusCode, data, meta) {
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(meta ? { data, meta } : { data }));
+}
+
+function sendError(res, code, message) {
+    res.statusCode = ERROR_STATUS[code];
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ error: { code, message } }));
+}
+
+/**
+ * Read `page` and `perPage` from a query string.
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {{ page: number, perPage: number }|{ error: string }}
+ */
+function readPage(searchParams) {
+    const page = searchParams.has('page') ? Number(searchParams.get('page')) : 1;
+    const perPage = searchParams.has('perPage') ? Number(searchParams.get('perPage')) : PER_PAGE;
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: '"page" must be a whole number from 1.' };
+    }
+    if (!Number.isInteger(perPage) || perPage < 1 || perPage > MAX_PER_PAGE) {
+        return { error: `"perPage" must be a whole number from 1 to ${MAX_PER_PAGE}.` };
+    }
+    return { page, perPage };
+}
+
+/**
+ * One page of a list.
+ *
+ * @param {Array} items
+ * @param {{ page: number, perPage: number }} options
+ * @returns {{ data: Array, meta: { page: number, perPage: number,
+ *     total: number, totalPages: number } }} A page past the end is empty
+ */
+function paginate(items, { page, perPage }) {
+    return {
+        data: items.slice((page - 1) * perPage, page * perPage),
+        meta: { page, perPage, total: items.length, totalPages: Math.ceil(items.length / perPage) }
+    };
+}
+
+/**
+ * A name's result as a resource. Failed names keep their place in a check
+ * with `error` set instead of a score.
+ *
+ * @param {string} name
+ * @param {Object} info processName result, or `{ error, errorCode? }`
+ * @param {Object} [metadata] Columns imported with the name
+ */
+function nameResource(name, info, metadata) {
+    const resource = { name, metadata: metadata || {} };
+    if (!info || info.error) {
+        return {
+            ...resource,
+            score: null,
+            explanation: null,
+            filingCount: 0,
+            liveFilingCount: 0,
+            warnings: [],
+            filings: [],
+            error: { code: (info && info.errorCode) || 'source_error', message: info ? info.error : 'No result was saved.' }
+        };
+    }
+    const details = info.details || [];
+    const filings = details.filter(d => !d.error);
+    return {
+        ...resource,
+        score: info.score,
+        explanation: info.explanation,
+        filingCount: filings.length,
+        liveFilingCount: filings.filter(d => d.status === 'LIVE').length,
+        // Filings that could not be read, e.g. a detail page that failed
+        warnings: details.filter(d => d.error).map(d => d.error),
+        filings,
+        error: null
+    };
+}
+
+/**
+ * A saved search as a check resource, with or without its results.
+ */
+function checkResource(session, withResults) {
+    const metadata = session.metadata || {};
+    const results = session.names.map(name => nameResource(name, session.results[name], metadata[name]));
+    const summary = { red: 0, yellow: 0, green: 0, failed: 0 };
+    results.forEach(result => {
+        const key = result.error ? 'failed' : String(result.score).toLowerCase();
+        if (key in summary) summary[key]++;
+    });
+    const check = {
+        id: session.id,
+        url: `/s/${session.id}`,
+        createdAt: session.createdAt,
+        createdBy: session.createdBy || null,
+        profile: session.profile,
+        source: session.source,
+        names: session.names,
+        summary
+    };
+    return withResults ? { ...check, results } : check;
+}
+
+// Profile and source named in a request, or the reason they cannot be used
+function resolveOptions({ profile: profileId, source: sourceId }, workspace) {
+    const profile = resolveProfile(profileId || undefined, workspace);
+    if (!profile) {
+        return { error: `Unknown scoring profile "${profileId}".` };
+    }
+    const source = getSource(sourceId || undefined);
+    if (!source) {
+        return { error: `Unknown data source "${sourceId}".` };
+    }
+    return { profile, source };
+}
+
+function isFlag(value) {
+    return value === 'true' || value === '1';
+}
+
+/**
+ * Create the /api/v1 request handler. The search functions are passed in
+ * from server.js, which owns the scraping and caching.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.processName As in server.js
+ * @param {Function} deps.findFiling `(applicationNumber, source, { refresh })`
+ *     resolving to the filing or null; rejects if the source fails
+ * @param {Function} deps.readJsonBody As in server.js
+ * @returns {{ handle: Function, openApiDocument: Function }}
+ */
+function createApiV1({ processName, findFiling, readJsonBody }) {
+    async function runNames(names, profile, source, refresh, workspace) {
+        const results = {};
+        await Promise.all(names.map(async name => {
+            const query = parseQuery(name);
+            if (query.error) {
+                results[name] = { error: query.error, errorCode: 'invalid_query' };
+                return;
+            }
+            try {
+                results[name] = await processName(name, profile, { source, refresh, workspace });
+            } catch (err) {
+                results[name] = { error: err.message, errorCode: err.invalidQuery ? 'invalid_query' : 'source_error' };
+            }
+        }));
+        return results;
+    }
+
+    async function createCheck(req, res, { workspace }) {
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (err) {
+            sendError(res, 'invalid_request', 'The body is not valid JSON.');
+            return;
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            sendError(res, 'invalid_request', 'The body must be a JSON object.');
+            return;
+        }
+        const { names, refresh, metadata } = body;
+        if (!Array.isArray(names) || !names.every(n => typeof n === 'string')) {
+            sendError(res, 'invalid_request', '"names" must be an array of strings.');
+            return;
+        }
+        const list = Array.from(new Set(names.map(n => n.trim()).filter(Boolean)));
+        if (list.length === 0) {
+            sendError(res, 'invalid_request', '"names" must contain at least one name.');
+            return;
+        }
+        if (refresh !== undefined && typeof refresh !== 'boolean') {
+            sendError(res, 'invalid_request', '"refresh" must be true or false.');
+            return;
+        }
+        if (metadata !== undefined && (!metadata || typeof metadata !== 'object' || Array.isArray(metadata))) {
+            sendError(res, 'invalid_request', '"metadata" must be an object keyed by name.');
+            return;
+        }
+        const { error, profile, source } = resolveOptions(body, workspace);
+        if (error) {
+            sendError(res, 'invalid_request', error);
+            return;
+        }
+        const results = await runNames(list, profile, source, refresh === true, workspace);
+        const identity = requestIdentity(req);
+        recordSearch({ identity, names: list, results, profile: profile.id, source: source.id, workspace });
+        const { id } = createSession({
+            names: list,
+            results,
+            profile: profile.id,
+            source: source.id,
+            workspace,
+            createdBy: identity.user || identity.ip,
+            metadata
+        });
+        res.setHeader('Location', `/api/v1/checks/${id}`);
+        sendData(res, 201, checkResource(getSession(id), true));
+    }
+
+    function listChecks(req, res, { workspace, searchParams }) {
+        const page = readPage(searchParams);
+        if (page.error) {
+            sendError(res, 'invalid_request', page.error);
+            return;
+        }
+        const { data, meta } = paginate(listSessions(workspace), page);
+        sendData(res, 200, data.map(session => checkResource(session, false)), meta);
+    }
+
+    function showCheck(req, res, { params }) {
+        // Like shared links, a check can be read by id from any workspace
+        const session = getSession(params.id);
+        if (!session) {
+            sendError(res, 'not_found', `No check with id "${params.id}".`);
+            return;
+        }
+        sendData(res, 200, checkResource(session, true));
+    }
+
+    async function checkName(req, res, { workspace, searchParams, params }) {
+        const query = parseQuery(params.name);
+        if (query.error) {
+            sendError(res, 'invalid_query', query.error);
+            return;
+        }
+        const page = readPage(searchParams);
+        if (page.error) {
+            sendError(res, 'invalid_request', page.error);
+            return;
+        }
+        const { error, profile, source } = resolveOptions({
+            profile: searchParams.get('profile'),
+            source: searchParams.get('source')
+        }, workspace);
+        if (error) {
+            sendError(res, 'invalid_request', error);
+            return;
+        }
+        const results = await runNames([params.name], profile, source, isFlag(searchParams.get('refresh')), workspace);
+        recordSearch({ identity: requestIdentity(req), names: [params.name], results, profile: profile.id, source: source.id, workspace });
+        const result = nameResource(params.name, results[params.name]);
+        if (result.error) {
+            sendError(res, result.error.code, result.error.message);
+            return;
+        }
+        // The filings are paged; the rest of the result is always included
+        const { data, meta } = paginate(result.filings, page);
+        sendData(res, 200, { ...result, profile: profile.id, source: source.id, filings: data }, meta);
+    }
+
+    async function showFiling(req, res, { workspace, searchParams, params }) {
+        if (!/^\d+$/.test(params.appNo)) {
+            sendError(res, 'invalid_request', `"${params.appNo}" is not an application number.`);
+            return;
+        }
+        const { error, source } = resolveOptions({ source: searchParams.get('source') }, workspace);
+        if (error) {
+            sendError(res, 'invalid_request', error);
+            return;
+        }
+        let filing;
+        try {
+            filing = await findFiling(params.appNo, source, { refresh: isFlag(searchParams.get('refresh')) });
+        } catch (err) {
+            sendError(res, 'source_error', err.message);
+            return;
+        }
+        if (!filing) {
+            sendError(res, 'not_found', `No filing with application number ${params.appNo}.`);
+            return;
+        }
+        sendData(res, 200, filing);
+    }
+
+    function showOpenApi(req, res) {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(openApiDocument(), null, 2));
+    }
+
+    const ROUTES = [
+        {
+            method: 'GET',
+            path: '/checks',
+            role: 'viewer',
+            handler: listChecks,
+            errors: ['invalid_request'],
+            summary: 'List the checks saved in the current workspace, most recent first',
+            parameters: ['page', 'perPage'],
+            response: { status: 200, schema: 'Check', list: true }
+        },
+        {
+            method: 'POST',
+            path: '/checks',
+            role: 'searcher',
+            handler: createCheck,
+            errors: ['invalid_request'],
+            summary: 'Check a list of names and save the results',
+            requestBody: 'CheckRequest',
+            response: { status: 201, schema: 'CheckWithResults' }
+        },
+        {
+            method: 'GET',
+            path: '/checks/{id}',
+            role: 'viewer',
+            handler: showCheck,
+            errors: ['not_found'],
+            summary: 'A saved check with every name\'s result and filings',
+            parameters: ['id'],
+            response: { status: 200, schema: 'CheckWithResults' }
+        },
+        {
+            method: 'GET',
+            path: '/names/{name}',
+            role: 'searcher',
+            handler: checkName,
+            errors: ['invalid_request', 'invalid_query', 'source_error'],
+            summary: 'Check one name (or typed query such as owner:"Example") without saving it; the filings are paged',
+            parameters: ['name', 'profile', 'source', 'refresh', 'page', 'perPage'],
+            response: { status: 200, schema: 'NameResult', list: 'filings' }
+        },
+        {
+            method: 'GET',
+            path: '/filings/{appNo}',
+            role: 'viewer',
+            handler: showFiling,
+            errors: ['invalid_request', 'not_found', 'source_error'],
+            summary: 'The filing with an application number',
+            parameters: ['appNo', 'source', 'refresh'],
+            response: { status: 200, schema: 'Filing' }
+        },
+        {
+            method: 'GET',
+            path: '/openapi.json',
+            role: null,
+            handler: showOpenApi,
+            errors: [],
+            summary: 'This API\'s OpenAPI document',
+            response: { status: 200, schema: null }
+        }
+    ];
+
+    // Path templates as patterns, e.g. /checks/{id} -> ^/checks/([^/]+)$
+    const matchers = ROUTES.map(route => ({
+        route,
+        names: (route.path.match(/\{\w+\}/g) || []).map(p => p.slice(1, -1)),
+        pattern: new RegExp('^' + route.path.replace(/\{\w+\}/g, '([^/]+)') + '$')
+    }));
+
+    /**
+     * Handle a request for a path under /api/v1. Logins and roles are
+     * checked here, rather than by the server's gate, so that those errors
+     * use this API's envelope too.
+     */
+    async function handle(req, res, pathname) {
+        try {
+            const { searchParams } = new URL(req.url, 'http://localhost');
+            const subpath = pathname.slice('/api/v1'.length);
+            const found = matchers.map(m => ({ ...m, match: m.pattern.exec(subpath) })).filter(m => m.match);
+            if (found.length === 0) {
+                sendError(res, 'not_found', `No such resource: ${pathname}`);
+                return;
+            }
+            const matched = found.find(m => m.route.method === req.method);
+            if (!matched) {
+                res.setHeader('Allow', found.map(m => m.route.method).join(', '));
+                sendError(res, 'method_not_allowed', `${req.method} is not supported here.`);
+                return;
+            }
+            const { route } = matched;
+            if (route.role) {
+                if (!req.user) {
+                    sendError(res, 'unauthenticated', 'Please log in.');
+                    return;
+                }
+                if (!hasRole(req.user, route.role)) {
+                    sendError(res, 'forbidden', `This needs the ${route.role} role.`);
+                    return;
+                }
+            }
+            const params = {};
+            try {
+                matched.names.forEach((name, idx) => {
+                    params[name] = decodeURIComponent(matched.match[idx + 1]);
+                });
+            } catch (err) {
+                sendError(res, 'invalid_request', 'The path is not correctly encoded.');
+                return;
+            }
+            await route.handler(req, res, { workspace: (req.user || {}).workspace, searchParams, params });
+        } catch (err) {
+            console.error('Error handling', req.method, pathname, err);
+            if (res.headersSent) {
+                res.end();
+                return;
+            }
+            sendError(res, 'internal_error', 'Internal server error');
+        }
+    }
+
+    /**
+     * OpenAPI 3.0 description of the routes above.
+     *
+     * @returns {Object}
+     */
+    function openApiDocument() {
+        const paths = {};
+        ROUTES.forEach(route => {
+            const { status, schema, list } = route.response;
+            let body = schema ? { $ref: `#/components/schemas/${schema}` } : { type: 'object' };
+            if (schema) {
+                const data = list === true ? { type: 'array', items: body } : body;
+                body = {
+                    type: 'object',
+                    required: ['data'],
+                    properties: list ? { data, meta: { $ref: '#/components/schemas/PageMeta' } } : { data }
+                };
+            }
+            const responses = {
+                [status]: { description: list === 'filings' ? 'Success; meta describes the page of filings' : 'Success', content: { 'application/json': { schema: body } } }
+            };
+            const errors = route.errors.slice();
+            if (route.role) errors.push('unauthenticated', 'forbidden');
+            errors.push('internal_error');
+            Array.from(new Set(errors.map(code => ERROR_STATUS[code]))).forEach(code => {
+                responses[code] = { $ref: `#/components/responses/Error${code}` };
+            });
+            const operation = {
+                summary: route.summary,
+                operationId: route.handler.name,
+                parameters: (route.parameters || []).map(name => ({ $ref: `#/components/parameters/${name}` })),
+                responses
+            };
+            if (route.role) {
+                operation.description = `Needs the ${route.role} role when logins are enabled.`;
+            } else {
+                operation.security = [];
+            }
+            if (route.requestBody) {
+                operation.requestBody = {
+                    required: true,
+                    content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.requestBody}` } } }
+                };
+            }
+            paths[`/api/v1${route.path}`] = paths[`/api/v1${route.path}`] || {};
+            paths[`/api/v1${route.path}`][route.method.toLowerCase()] = operation;
+        });
+
+        const errorResponses = {};
+        Array.from(new Set(Object.values(ERROR_STATUS))).forEach(status => {
+            const codes = Object.keys(ERROR_STATUS).filter(code => ERROR_STATUS[code] === status);
+            errorResponses[`Error${status}`] = {
+                description: `Error (${codes.join(' or ')})`,
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+            };
+        });
+        const query = (name, description, schema) => ({ name, in: 'query', required: false, description, schema });
+        const inPath = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string' } });
+        const nullable = type => ({ type, nullable: true });
+
+        return {
+            openapi: '3.0.3',
+            info: {
+                title: 'Trademark Search API',
+                version: VERSION,
+                description: 'Trademark clearance checks for game names. Responses wrap resources in `data` ' +
+                    '(with `meta` for paged lists) and failures in `error`, whose `code` is stable.'
+            },
+            servers: [{ url: '/' }],
+            security: [{ loginCookie: [] }],
+            paths,
+            components: {
+                securitySchemes: {
+                    loginCookie: {
+                        type: 'apiKey',
+                        in: 'cookie',
+                        name: 'tm_login',
+                        description: 'Set by POST /api/login with { name, password }. Not needed until user accounts exist.'
+                    }
+                },
+                parameters: {
+                    id: inPath('id', 'Check id'),
+                    name: inPath('name', 'Name or typed query, URL-encoded'),
+                    appNo: inPath('appNo', 'Application number'),
+                    profile: query('profile', 'Scoring profile id; defaults to the workspace\'s default', { type: 'string' }),
+                    source: query('source', 'Data source id; defaults to the server\'s', { type: 'string' }),
+                    refresh: query('refresh', 'Refetch filings even if cached', { type: 'boolean', default: false }),
+                    page: query('page', 'Page number', { type: 'integer', minimum: 1, default: 1 }),
+                    perPage: query('perPage', 'Items per page', { type: 'integer', minimum: 1, maximum: MAX_PER_PAGE, default: PER_PAGE })
+                },
+                responses: errorResponses,
+                schemas: {
+                    Error: {
+                        type: 'object',
+                        required: ['error'],
+                        properties: {
+                            error: {
+                                type: 'object',
+                                required: ['code', 'message'],
+                                properties: {
+                                    code: { type: 'string', enum: Object.keys(ERROR_STATUS) },
+                                    message: { type: 'string' }
+                                }
+                            }
+                        }
+                    },
+                    PageMeta: {
+                        type: 'object',
+                        required: ['page', 'perPage', 'total', 'totalPages'],
+                        properties: {
+                            page: { type: 'integer' },
+                            perPage: { type: 'integer' },
+                            total: { type: 'integer' },
+                            totalPages: { type: 'integer' }
+                        }
+                    },
+                    CheckRequest: {
+                        type: 'object',
+                        required: ['names'],
+                        properties: {
+                            names: {
+                                type: 'array',
+                                minItems: 1,
+                                items: { type: 'string' },
+                                description: 'Names or typed queries; duplicates are checked once'
+                            },
+                            profile: { type: 'string' },
+                            source: { type: 'string' },
+                            refresh: { type: 'boolean', default: false },
+                            metadata: {
+                                type: 'object',
+                                description: 'Extra columns saved with each name, as { name: { column: value } }',
+                                additionalProperties: { type: 'object', additionalProperties: { type: 'string' } }
+                            }
+                        }
+                    },
+                    Check: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            url: { type: 'string', description: 'Read-only link in the app' },
+                            createdAt: { type: 'string', format: 'date-time' },
+                            createdBy: nullable('string'),
+                            profile: { type: 'string' },
+                            source: nullable('string'),
+                            names: { type: 'array', items: { type: 'string' } },
+                            summary: {
+                                type: 'object',
+                                properties: {
+                                    red: { type: 'integer' },
+                                    yellow: { type: 'integer' },
+                                    green: { type: 'integer' },
+                                    failed: { type: 'integer' }
+                                }
+                            }
+                        }
+                    },
+                    CheckWithResults: {
+                        allOf: [
+                            { $ref: '#/components/schemas/Check' },
+                            {
+                                type: 'object',
+                                properties: { results: { type: 'array', items: { $ref: '#/components/schemas/NameResult' } } }
+                            }
+                        ]
+                    },
+                    NameResult: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            metadata: { type: 'object', additionalProperties: { type: 'string' } },
+                            score: { type: 'string', enum: ['Red', 'Yellow', 'Green'], nullable: true },
+                            explanation: nullable('string'),
+                            filingCount: { type: 'integer' },
+                            liveFilingCount: { type: 'integer' },
+                            warnings: { type: 'array', items: { type: 'string' }, description: 'Filings that could not be read' },
+                            filings: { type: 'array', items: { $ref: '#/components/schemas/Filing' } },
+                            error: {
+                                type: 'object',
+                                nullable: true,
+                                description: 'Set instead of a score when the name could not be checked',
+                                properties: { code: { type: 'string' }, message: { type: 'string' } }
+                            }
+                        }
+                    },
+                    Filing: {
+                        type: 'object',
+                        additionalProperties: true,
+                        properties: {
+                            applicationNumber: { type: 'string' },
+                            wordMark: { type: 'string' },
+                            ownerName: { type: 'string' },
+                            status: { type: 'string', enum: ['LIVE', 'DEAD', ''], description: 'Empty when the source does not say' },
+                            statusDesc: { type: 'string' },
+                            lifecycle: nullable('string'),
+                            classes: { type: 'array', items: { type: 'string' } },
+                            filingDate: { type: 'string', description: 'YYYY-MM-DD, or empty when unknown' },
+                            goodsServices: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: { class: { type: 'string' }, description: { type: 'string' } }
+                                }
+                            },
+                            detailUrl: { type: 'string' },
+                            similarity: {
+                                type: 'object',
+                                nullable: true,
+                                description: 'How closely the word mark resembles the searched name; every measure lies between 0 and 1. Only on name checks.',
+                                properties: {
+                                    score: { type: 'number' },
+                                    exact: { type: 'boolean' },
+                                    edit: { type: 'number' },
+                                    phonetic: { type: 'number' },
+                                    containment: { type: 'number' }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+    }
+
+    return { handle, openApiDocument };
+}
+
+module.exports = {
+    paginate,
+    createApiV1
+};
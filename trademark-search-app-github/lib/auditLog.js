@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { workspaceFile } = require('./workspaces');
+
+// Append-only log of every search request: when it was made, who made it
+// (user if known, otherwise the client IP), the names searched and the
+// score each one got. Lines are never rewritten, so the log shows who
+// cleared which name and when. Searches the client makes in the
+// background as names are typed are flagged with `prefetch`.
+//
+// Stored as JSON Lines in AUDIT_LOG (default data/audit.jsonl), with a
+// separate audit.jsonl for each workspace (see lib/workspaces.js).
+const defaultLogFile = process.env.AUDIT_LOG ||
+    path.join(__dirname, '..', 'data', 'audit.jsonl');
+
+/**
+ * Who made a request. X-Forwarded-For is only trusted when TRUST_PROXY is
+ * set, since clients can send it themselves.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {{ user: string|null, ip: string }}
+ */
+function requestIdentity(req) {
+    let ip = req.socket.remoteAddress || '';
+    const forwarded = req.headers['x-forwarded-for'];
+    if (process.env.TRUST_PROXY && forwarded) {
+        ip = forwarded.split(',')[0].trim();
+    }
+    return { user: req.user ? req.user.name : null, ip };
+}
+
+/**
+ * Append a search to the log.
+ *
+ * @param {Object} entry
+ * @param {{ user: string|null, ip: string }} entry.identity From requestIdentity
+ * @param {string[]} entry.names
+ * @param {Object} entry.results processName results (or `{ error }`) keyed by name
+ * @param {string} entry.profile Scoring profile id
+ * @param {string} entry.source Data source id
+ * @param {boolean} [entry.prefetch]
+ * @param {string} [entry.workspace] Workspace id
+ */
+function recordSearch({ identity, names, results, profile, source, prefetch, workspace }) {
+    const logFile = workspaceFile(workspace, 'audit.jsonl', defaultLogFile);
+    const scores = {};
+    names.forEach(name => {
+        const info = results[name];
+        scores[name] = info && !info.error ? info.score : null;
+    });
+    const line = {
+        at: new Date().toISOString(),
+        user: identity.user,
+        ip: identity.ip,
+        profile,
+        source,
+        prefetch: !!prefetch,
+        names,
+        scores
+    };
+    try {
+        fs.mkdirSync(path.dirname(logFile), { recursive: true });
+        fs.appendFileSync(logFile, JSON.stringify(line) + '\n', 'utf8');
+    } catch (err) {
+        console.error('Error writing audit log', logFile, err);
+    }
+}
+
+/**
+ * Search the log, newest first.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.workspace] Workspace id
+ * @param {string} [filters.from] Earliest date (YYYY-MM-DD, UTC), inclusive
+ * @param {string} [filters.to] Latest date (YYYY-MM-DD, UTC), inclusive
+ * @param {string} [filters.score] Only searches where a name scored this;
+ *     other names are left out of the returned entries
+ * @param {string} [filters.name] Only searches of names containing this
+ * @param {string} [filters.user] Only searches by this user or IP
+ * @param {boolean} [filters.prefetch] false to leave out background
+ *     prefetches
+ * @param {number} [filters.limit=100]
+ * @returns {Object[]}
+ */
+function querySearches(filters = {}) {
+    const logFile = workspaceFile(filters.workspace, 'audit.jsonl', defaultLogFile);
+    if (!fs.existsSync(logFile)) return [];
+    let data;
+    try {
+        data = fs.readFileSync(logFile, 'utf8');
+    } catch (err) {
+        console.error('Error reading audit log', logFile, err);
+        return [];
+    }
+    const limit = filters.limit || 100;
+    const score = filters.score ? filters.score.toLowerCase() : null;
+    const name = filters.name ? filters.name.toLowerCase() : null;
+    const lines = data.split('\n');
+    const matches = [];
+    for (let i = lines.length - 1; i >= 0 && matches.length < limit; i--) {
+        if (!lines[i].trim()) continue;
+        let entry;
+        try {
+            entry = JSON.parse(lines[i]);
+        } catch (err) {
+            continue;
+        }
+        const day = entry.at.slice(0, 10);
+        if (filters.from && day < filters.from) continue;
+        if (filters.to && day > filters.to) continue;
+        if (filters.prefetch === false && entry.prefetch) continue;
+        if (filters.user && entry.user !== filters.user && entry.ip !== filters.user) continue;
+        let names = entry.names;
+        if (score) names = names.filter(n => (entry.scores[n] || '').toLowerCase() === score);
+        if (name) names = names.filter(n => n.toLowerCase().includes(name));
+        if (names.length === 0) continue;
+        const scores = {};
+        names.forEach(n => {
+            scores[n] = entry.scores[n];
+        });
+        matches.push({ ...entry, names, scores });
+    }
+    return matches;
+}
+
+module.exports = {
+    requestIdentity,
+    recordSearch,
+    querySearches
+};
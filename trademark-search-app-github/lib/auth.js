@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const { ROLES, hasUsers, getUser, authenticateUser } = require('./users');
+const { DEFAULT_WORKSPACE, getWorkspace } = require('./workspaces');
+
+// Logins. Logging in sets an HttpOnly cookie holding a random token; the
+// token maps to the account and the workspace it is currently working in.
+// Logins are kept in memory, so restarting the server logs everyone out,
+// and expire after LOGIN_TTL_HOURS (default 12) without a request. Set
+// COOKIE_SECURE when the app is served over HTTPS.
+//
+// Until the first account is created (see lib/users.js) authentication is
+// off and every request acts as an admin in the default workspace, as it
+// did before accounts existed.
+const COOKIE_NAME = 'tm_login';
+const ttlMs = (Number(process.env.LOGIN_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// token -> { name, workspace, expiresAt }
+const logins = new Map();
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const eq = part.indexOf('=');
+        if (eq === -1) return;
+        try {
+            cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+        } catch (err) {
+            // Skip malformed cookies, e.g. another site's "a=%E0%A4%A",
+            // rather than failing every request
+        }
+    });
+    return cookies;
+}
+
+function cookieHeader(token, maxAgeSeconds) {
+    return [
+        `${COOKIE_NAME}=${token}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Lax',
+        `Max-Age=${maxAgeSeconds}`,
+        process.env.COOKIE_SECURE ? 'Secure' : null
+    ].filter(Boolean).join('; ');
+}
+
+/**
+ * @returns {boolean} Whether requests have to be logged in
+ */
+function authEnabled() {
+    return hasUsers();
+}
+
+/**
+ * Whether a user's role is at least `role`.
+ *
+ * @param {Object|null} user From currentUser
+ * @param {string} role viewer, searcher or admin
+ * @returns {boolean}
+ */
+function hasRole(user, role) {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Whether a user may work in a workspace. Admins may use any of them.
+ */
+function canUseWorkspace(user, workspaceId) {
+    if (!user || !getWorkspace(workspaceId)) return false;
+    return user.role === 'admin' || (user.workspaces || []).includes(workspaceId);
+}
+
+// The workspace a login starts in: the first of the user's workspaces
+// that still exists, or the default for admins, who may use any. Null if
+// the user may use none, rather than falling back to another team's data.
+function firstWorkspace(user) {
+    const workspace = (user.workspaces || []).find(w => canUseWorkspace(user, w));
+    return workspace || (user.role === 'admin' ? DEFAULT_WORKSPACE : null);
+}
+
+/**
+ * The logged in user making a request, with the workspace the login is
+ * working in, or null if the request is not logged in. Accounts are
+ * re-read on every request so that role changes apply immediately.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {{ name: string|null, role: string, workspaces: string[], workspace: string }|null}
+ */
+function currentUser(req) {
+    if (!authEnabled()) {
+        return { name: null, role: 'admin', workspaces: [DEFAULT_WORKSPACE], workspace: DEFAULT_WORKSPACE };
+    }
+    const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    const login = token && logins.get(token);
+    if (!login) return null;
+    if (login.expiresAt < Date.now()) {
+        logins.delete(token);
+        return null;
+    }
+    const user = getUser(login.name);
+    if (!user) {
+        logins.delete(token);
+        return null;
+    }
+    // Fall back to the first workspace the user still has access to, and
+    // end the login if there is none left
+    if (!canUseWorkspace(user, login.workspace)) {
+        login.workspace = firstWorkspace(user);
+        if (!login.workspace) {
+            logins.delete(token);
+            return null;
+        }
+    }
+    login.expiresAt = Date.now() + ttlMs;
+    return { ...user, workspace: login.workspace };
+}
+
+/**
+ * Check a name and password and start a login.
+ *
+ * @returns {{ user: Object, cookie: string }|{ error: string }|null} The
+ *     user and the Set-Cookie header value, `{ error }` if the account may
+ *     not use any workspace, or null if the name or password is wrong
+ */
+function logIn(name, password) {
+    const user = authenticateUser(name, password);
+    if (!user) return null;
+    const workspace = firstWorkspace(user);
+    if (!workspace) {
+        return { error: 'Your account does not belong to any workspace. Ask an admin to add you to one.' };
+    }
+    const token = crypto.randomBytes(24).toString('base64url');
+    logins.set(token, { name: user.name, workspace, expiresAt: Date.now() + ttlMs });
+    return { user: { ...user, workspace }, cookie: cookieHeader(token, Math.floor(ttlMs / 1000)) };
+}
+
+/**
+ * End the request's login, if any.
+ *
+ * @returns {string} Set-Cookie header value that clears the cookie
+ */
+function logOut(req) {
+    const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (token) logins.delete(token);
+    return cookieHeader('', 0);
+}
+
+/**
+ * Switch the request's login to another workspace.
+ *
+ * @returns {boolean} False if the request is not logged in or the user
+ *     may not use that workspace
+ */
+function switchWorkspace(req, workspaceId) {
+    const user = currentUser(req);
+    const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (!user || !logins.has(token) || !canUseWorkspace(user, workspaceId)) return false;
+    logins.get(token).workspace = workspaceId;
+    return true;
+}
+
+module.exports = {
+    authEnabled,
+    hasRole,
+    canUseWorkspace,
+    currentUser,
+    logIn,
+    logOut,
+    switchWorkspace
+};
@@ -0,0 +1,328 @@
+const fs = require('fs');
+const path = require('path');
+const detailStore = require('./detailStore');
+
+// Directory used for caching detail pages. Caching persists across
+// requests and server restarts to minimise network traffic for
+// subsequent searches on the same host. Parsed filings live in a single
+// store shared by all search terms (see detailStore.js) and each search
+// term gets its own small JSON index file, keyed by a URI‑encoded version
+// of the term, listing the store keys of the filings it returned. When
+// processing a name, we always hit the search page to discover up‑to‑date
+// detail links but reuse stored filings whenever possible, including ones
+// first found under a different term.
+//
+// Each stored filing records when it was fetched (`fetchedAt`) and is
+// refetched once older than CACHE_TTL_HOURS, so status changes such as a
+// mark lapsing are picked up. The directory as a whole is kept below
+// CACHE_MAX_BYTES by deleting the least recently used term indexes and
+// then dropping filings no remaining term refers to; a term file's
+// modification time is its last use because every search rewrites it.
+// Only live filings count towards the limit: the lines dropped filings
+// leave in the store are cleared out once they outnumber the live ones.
+const cacheDir = process.env.CACHE_DIR || path.join(__dirname, '..', 'cache');
+const ttlMs = (Number(process.env.CACHE_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+const maxBytes = Number(process.env.CACHE_MAX_BYTES) || 50 * 1024 * 1024;
+
+if (!fs.existsSync(cacheDir)) {
+    try {
+        fs.mkdirSync(cacheDir, { recursive: true });
+    } catch (err) {
+        // Ignore errors if directory creation fails; caching simply won't work
+        console.error('Unable to create cache directory', err);
+    }
+}
+
+function cacheFile(name) {
+    const safeName = encodeURIComponent(name);
+    return path.join(cacheDir, safeName + '.json');
+}
+
+function readTermFile(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        console.error('Error reading cache file', file, err);
+        return {};
+    }
+}
+
+/**
+ * Store keys of the filings last returned for a term.
+ *
+ * @param {string} name Search term
+ * @returns {string[]}
+ */
+function loadTermIndex(name) {
+    const file = cacheFile(name);
+    if (!fs.existsSync(file)) return [];
+    const data = readTermFile(file);
+    return Array.isArray(data.keys) ? data.keys : [];
+}
+
+/**
+ * Record the filings returned for a term and apply the size limit.
+ *
+ * @param {string} name Search term
+ * @param {string[]} keys Store keys from storeDetail
+ */
+function saveTermIndex(name, keys) {
+    const file = cacheFile(name);
+    try {
+        fs.writeFileSync(file, JSON.stringify({ keys: Array.from(new Set(keys)) }), 'utf8');
+    } catch (err) {
+        console.error('Error writing cache file', file, err);
+        return;
+    }
+    enforceSizeLimit(name);
+}
+
+/**
+ * Stored filing for a detail page URL, whichever term first found it.
+ *
+ * @returns {Object|null}
+ */
+function getCachedDetail(url) {
+    return detailStore.getByUrl(url);
+}
+
+/**
+ * Stored filing with an application number, whichever term found it.
+ *
+ * @returns {Object|null}
+ */
+function getCachedFiling(applicationNumber) {
+    return detailStore.getByApplication(applicationNumber);
+}
+
+/**
+ * Add or replace a filing in the shared store.
+ *
+ * @returns {string} Store key to list in the term index
+ */
+function storeDetail(detail) {
+    return detailStore.put(detail);
+}
+
+/**
+ * Store key of a filing, as listed in term indexes.
+ */
+function detailKey(detail) {
+    return detailStore.recordKey(detail);
+}
+
+// Term files written before the shared store existed embed their details
+// as `detailCache: { url: detail }`. Move those into the store once.
+function migrateLegacyFiles() {
+    listFiles().forEach(f => {
+        const data = readTermFile(f.file);
+        if (!data.detailCache) return;
+        const keys = Object.entries(data.detailCache).map(([url, info]) =>
+            detailStore.put({ ...info, detailUrl: info.detailUrl || url })
+        );
+        try {
+            fs.writeFileSync(f.file, JSON.stringify({ keys }), 'utf8');
+            // Preserve the file's place in the LRU order
+            fs.utimesSync(f.file, new Date(), new Date(f.lastUsed));
+        } catch (err) {
+            console.error('Error migrating cache file', f.file, err);
+        }
+    });
+}
+
+/**
+ * Whether a cached detail is still within the TTL. Entries written before
+ * timestamps were recorded have no `fetchedAt` and count as expired.
+ */
+function isFresh(entry, now = Date.now()) {
+    if (!entry || !entry.fetchedAt) return false;
+    const fetched = Date.parse(entry.fetchedAt);
+    return !Number.isNaN(fetched) && now - fetched < ttlMs;
+}
+
+function listFiles() {
+    if (!fs.existsSync(cacheDir)) return [];
+    return fs.readdirSync(cacheDir)
+        .filter(f => f.endsWith('.json'))
+        .map(f => {
+            const file = path.join(cacheDir, f);
+            const stat = fs.statSync(file);
+            return {
+                term: decodeURIComponent(f.slice(0, -'.json'.length)),
+                file,
+                bytes: stat.size,
+                lastUsed: stat.mtimeMs
+            };
+        });
+}
+
+/**
+ * Delete least recently used term indexes until the cache fits within
+ * CACHE_MAX_BYTES, then drop stored filings no remaining term refers to.
+ * The term just written is kept whatever its file's time says, since
+ * another file's time may be later (clock changes, coarse timestamps).
+ *
+ * @param {string} [current] Term whose index was just written
+ * @returns {string[]} Terms that were evicted
+ */
+function enforceSizeLimit(current) {
+    let files;
+    try {
+        files = listFiles();
+    } catch (err) {
+        console.error('Error listing cache directory', cacheDir, err);
+        return [];
+    }
+    const storeBytes = detailStore.stats().liveBytes;
+    let total = storeBytes + files.reduce((sum, f) => sum + f.bytes, 0);
+    if (total <= maxBytes) return [];
+    const evicted = [];
+    files.sort((a, b) => a.lastUsed - b.lastUsed);
+    const remaining = new Set(files);
+    // Estimate each term's share of the store so that eviction stops once
+    // enough space will be freed by dropping its filings below
+    const perTerm = files.length > 0 ? storeBytes / files.length : 0;
+    for (const f of files) {
+        if (total <= maxBytes || remaining.size === 1) break;
+        if (f.term === current) continue;
+        try {
+            fs.unlinkSync(f.file);
+            total -= f.bytes + perTerm;
+            evicted.push(f.term);
+            remaining.delete(f);
+        } catch (err) {
+            console.error('Error evicting cache file', f.file, err);
+        }
+    }
+    const keep = new Set();
+    remaining.forEach(f => {
+        (readTermFile(f.file).keys || []).forEach(key => keep.add(key));
+    });
+    detailStore.retain(keep);
+    return evicted;
+}
+
+/**
+ * Summarise every cached term, most recently used first.
+ */
+function listCache() {
+    const now = Date.now();
+    const terms = listFiles()
+        .sort((a, b) => b.lastUsed - a.lastUsed)
+        .map(f => {
+            const entries = detailStore.getMany(loadTermIndex(f.term));
+            return {
+                term: f.term,
+                entries: entries.length,
+                expired: entries.filter(e => !isFresh(e, now)).length,
+                bytes: f.bytes,
+                lastUsed: new Date(f.lastUsed).toISOString()
+            };
+        });
+    const store = detailStore.stats();
+    return {
+        terms,
+        store,
+        totalBytes: store.bytes + terms.reduce((sum, t) => sum + t.bytes, 0),
+        maxBytes,
+        ttlHours: ttlMs / (60 * 60 * 1000)
+    };
+}
+
+/**
+ * Return the cached details for a term with their freshness, or null if
+ * the term has no cache file.
+ */
+function inspectCache(term) {
+    if (!fs.existsSync(cacheFile(term))) return null;
+    const now = Date.now();
+    return {
+        term,
+        entries: detailStore.getMany(loadTermIndex(term)).map(info => ({
+            key: detailStore.recordKey(info),
+            url: info.detailUrl,
+            fetchedAt: info.fetchedAt || null,
+            expired: !isFresh(info, now),
+            detail: info
+        }))
+    };
+}
+
+/**
+ * Delete the index for a term along with the filings it lists, so that
+ * the next search for it refetches everything. Other terms listing the
+ * same filings will refetch them too.
+ *
+ * @returns {boolean} Whether a file existed and was removed
+ */
+function purgeTerm(term) {
+    const file = cacheFile(term);
+    if (!fs.existsSync(file)) return false;
+    detailStore.remove(loadTermIndex(term));
+    fs.unlinkSync(file);
+    return true;
+}
+
+/**
+ * Delete every term index and stored filing.
+ *
+ * @returns {number} Number of terms purged
+ */
+function purgeAll() {
+    const files = listFiles();
+    files.forEach(f => fs.unlinkSync(f.file));
+    detailStore.clear();
+    return files.length;
+}
+
+/**
+ * Search every filing seen under any term. Text filters match
+ * case-insensitively anywhere in the field.
+ *
+ * @param {Object} filters
+ * @param {string} [filters.owner] Owner name contains
+ * @param {string} [filters.mark] Word mark contains
+ * @param {string} [filters.cls] Lists this class
+ * @param {string} [filters.status] LIVE or DEAD
+ * @returns {Object[]} Filings, each with the `terms` that returned it
+ */
+function findFilings(filters = {}) {
+    const contains = (value, needle) =>
+        !needle || String(value || '').toLowerCase().includes(String(needle).toLowerCase());
+    const cls = filters.cls ? String(filters.cls).padStart(3, '0') : null;
+    const matches = detailStore.all(info =>
+        contains(info.ownerName, filters.owner) &&
+        contains(info.wordMark, filters.mark) &&
+        (!cls || (info.classes || []).includes(cls)) &&
+        (!filters.status || info.status === String(filters.status).toUpperCase())
+    );
+    const termsByKey = new Map();
+    listFiles().forEach(f => {
+        (readTermFile(f.file).keys || []).forEach(key => {
+            if (!termsByKey.has(key)) termsByKey.set(key, []);
+            termsByKey.get(key).push(f.term);
+        });
+    });
+    return matches.map(info => ({
+        ...info,
+        terms: termsByKey.get(detailStore.recordKey(info)) || []
+    }));
+}
+
+migrateLegacyFiles();
+
+module.exports = {
+    loadTermIndex,
+    saveTermIndex,
+    getCachedDetail,
+    getCachedFiling,
+    storeDetail,
+    detailKey,
+    findFilings,
+    isFresh,
+    listCache,
+    inspectCache,
+    purgeTerm,
+    purgeAll,
+    enforceSizeLimit
+};
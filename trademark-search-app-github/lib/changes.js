@@ -0,0 +1,86 @@
+// Change detection between two results for the same name. A result is
+// reduced to a snapshot of its score and, per filing, the fields worth
+// reporting on; comparing two snapshots yields a list of changes:
+//
+//   score       the Green/Yellow/Red score changed
+//   new-filing  a filing appeared that earlier results had not returned
+//   status      a filing's lifecycle stage (or LIVE/DEAD) changed
+//   owner       a filing's owner changed
+//
+// A filing missing from one result (e.g. its detail page failed to load)
+// is kept in the merged snapshot, so it is not reported as new when it
+// comes back. Used by the watchlist and by result notifications.
+
+function filingKey(info) {
+    return info.applicationNumber || info.detailUrl || '';
+}
+
+/**
+ * Reduce a processName result to what later results are compared against.
+ */
+function snapshotOf(result) {
+    const filings = {};
+    (result.details || []).forEach(info => {
+        if (!info || info.error || !filingKey(info)) return;
+        filings[filingKey(info)] = {
+            wordMark: info.wordMark || '',
+            status: info.status || '',
+            lifecycle: info.lifecycle || '',
+            owner: info.ownerName || info.owner || ''
+        };
+    });
+    return { score: result.score, explanation: result.explanation, filings };
+}
+
+/**
+ * Changes between two snapshots, oldest first. Returns no changes when
+ * there is no previous snapshot.
+ *
+ * @param {Object|null} prev
+ * @param {Object} next
+ * @returns {Object[]}
+ */
+function diffSnapshots(prev, next) {
+    if (!prev) return [];
+    const changes = [];
+    if (prev.score !== next.score) {
+        changes.push({ type: 'score', from: prev.score, to: next.score, explanation: next.explanation });
+    }
+    Object.entries(next.filings).forEach(([key, filing]) => {
+        const before = prev.filings[key];
+        if (!before) {
+            changes.push({
+                type: 'new-filing',
+                key,
+                wordMark: filing.wordMark,
+                status: filing.status,
+                to: filing.lifecycle || filing.status
+            });
+            return;
+        }
+        const fromStage = before.lifecycle || before.status;
+        const toStage = filing.lifecycle || filing.status;
+        if (fromStage && toStage && fromStage !== toStage) {
+            changes.push({ type: 'status', key, wordMark: filing.wordMark, from: fromStage, to: toStage });
+        }
+        if (before.owner && filing.owner && before.owner !== filing.owner) {
+            changes.push({ type: 'owner', key, wordMark: filing.wordMark, from: before.owner, to: filing.owner });
+        }
+    });
+    return changes;
+}
+
+/**
+ * Snapshot to compare the following result against: the new snapshot
+ * plus any filings only the previous one had.
+ */
+function mergeSnapshots(prev, next) {
+    if (!prev) return next;
+    return { ...next, filings: { ...prev.filings, ...next.filings } };
+}
+
+module.exports = {
+    snapshotOf,
+    diffSnapshots,
+    mergeSnapshots
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+
+// Minimal RFC 4180 CSV reader. Handles quoted fields containing commas,
+// doubled quotes and line breaks, CRLF or LF line endings and a leading
+// byte order mark. Input can be fed in arbitrary chunks so large files are
+// never held in memory as a whole.
+
+/**
+ * Create an incremental CSV parser.
+ *
+ * @param {Function} onRow Called with each row as an array of strings
+ * @returns {{ write: Function, end: Function }}
+ */
+function createCsvParser(onRow) {
+    let field = '';
+    let row = [];
+    let inQuotes = false;
+    // A quote inside a quoted field is either the closing quote or the
+    // first half of an escaped quote; which one is only known from the
+    // following character, which may arrive in the next chunk.
+    let pendingQuote = false;
+    let started = false;
+
+    function endField() {
+        row.push(field);
+        field = '';
+    }
+
+    function endRow() {
+        endField();
+        // Skip blank lines rather than reporting a row with one empty field
+        if (!(row.length === 1 && row[0] === '')) {
+            onRow(row);
+        }
+        row = [];
+    }
+
+    function write(chunk) {
+        let text = String(chunk);
+        if (!started) {
+            started = true;
+            if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+        }
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (pendingQuote) {
+                pendingQuote = false;
+                if (ch === '"') {
+                    field += '"';
+                    continue;
+                }
+                inQuotes = false;
+            }
+            if (inQuotes) {
+                if (ch === '"') {
+                    pendingQuote = true;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === ',') {
+                endField();
+            } else if (ch === '\n') {
+                endRow();
+            } else if (ch !== '\r') {
+                field += ch;
+            }
+        }
+    }
+
+    function end() {
+        if (pendingQuote) {
+            pendingQuote = false;
+            inQuotes = false;
+        }
+        if (field !== '' || row.length > 0) {
+            endRow();
+        }
+    }
+
+    return { write, end };
+}
+
+/**
+ * Parse a complete CSV string into rows.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const rows = [];
+    const parser = createCsvParser(row => rows.push(row));
+    parser.write(text);
+    parser.end();
+    return rows;
+}
+
+/**
+ * Stream a CSV file row by row.
+ *
+ * @param {string} file Path to the CSV file
+ * @param {Function} onRow Called with each row as an array of strings
+ * @returns {Promise<void>} Resolves once the whole file has been read
+ */
+function readCsvFile(file, onRow) {
+    return new Promise((resolve, reject) => {
+        const parser = createCsvParser(onRow);
+        const stream = fs.createReadStream(file, { encoding: 'utf8' });
+        stream.on('data', chunk => {
+            try {
+                parser.write(chunk);
+            } catch (err) {
+                stream.destroy(err);
+            }
+        });
+        stream.on('end', () => {
+            try {
+                parser.end();
+                resolve();
+            } catch (err) {
+                reject(err);
+            }
+        });
+        stream.on('error', reject);
+    });
+}
+
+module.exports = {
+    createCsvParser,
+    parseCsv,
+    readCsvFile
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { workspaceFile } = require('./workspaces');
+
+// The team's decision about a name once its score has been reviewed:
+//
+//   approved      cleared for use
+//   rejected      not to be used
+//   legal-review  waiting on legal advice
+//
+// Decisions are kept per normalised name (see decisionKey), so one made
+// for "Dragon Gold" shows again when "dragon  gold" is searched. Each
+// records a note, the reviewer, who entered it and when; replaced
+// decisions are kept in `history`.
+//
+// Stored in DECISIONS_FILE (default data/decisions.json), or each
+// workspace's own decisions.json (see lib/workspaces.js).
+const defaultDecisionsFile = process.env.DECISIONS_FILE ||
+    path.join(__dirname, '..', 'data', 'decisions.json');
+
+const DECISIONS = ['approved', 'rejected', 'legal-review'];
+
+// Oldest replaced decisions are dropped beyond this many per name
+const MAX_HISTORY = 20;
+
+/**
+ * Normalise a name for matching decisions: case, accents, punctuation
+ * and spacing are ignored. public/app.js matches names the same way.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function decisionKey(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function load(workspace) {
+    const file = workspaceFile(workspace, 'decisions.json', defaultDecisionsFile);
+    if (!fs.existsSync(file)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8')).decisions || {};
+    } catch (err) {
+        console.error('Error reading decisions file', file, err);
+        return {};
+    }
+}
+
+function save(workspace, decisions) {
+    const file = workspaceFile(workspace, 'decisions.json', defaultDecisionsFile);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ decisions }, null, 2), 'utf8');
+}
+
+/**
+ * Every decision in a workspace, most recent first.
+ *
+ * @param {string} [workspace] Workspace id
+ * @param {Object} [filters]
+ * @param {string} [filters.decision] Only this decision
+ * @param {string} [filters.name] Only names containing this
+ * @returns {Object[]} Decisions with their `key`
+ */
+function listDecisions(workspace, filters = {}) {
+    const name = filters.name ? decisionKey(filters.name) : null;
+    return Object.entries(load(workspace))
+        .map(([key, entry]) => ({ key, ...entry }))
+        .filter(entry => !filters.decision || entry.decision === filters.decision)
+        .filter(entry => !name || entry.key.includes(name))
+        .sort((a, b) => b.decidedAt.localeCompare(a.decidedAt));
+}
+
+/**
+ * Record a decision for a name, replacing any earlier one.
+ *
+ * @param {string} workspace Workspace id
+ * @param {string} name Name as searched
+ * @param {{ decision: string, note?: string, reviewer?: string }} decision
+ * @param {string|null} decidedBy User entering the decision
+ * @returns {{ decision?: Object, error?: string }}
+ */
+function setDecision(workspace, name, { decision, note, reviewer }, decidedBy) {
+    const key = decisionKey(name);
+    if (!key) {
+        return { error: 'Missing or invalid name.' };
+    }
+    if (!DECISIONS.includes(decision)) {
+        return { error: `Decision must be one of ${DECISIONS.join(', ')}.` };
+    }
+    if ((note !== undefined && typeof note !== 'string') || (reviewer !== undefined && typeof reviewer !== 'string')) {
+        return { error: '"note" and "reviewer" must be text.' };
+    }
+    const decisions = load(workspace);
+    let history = [];
+    if (decisions[key]) {
+        const { history: earlier, ...previous } = decisions[key];
+        history = [...(earlier || []), previous];
+    }
+    const entry = {
+        name: String(name).trim(),
+        decision,
+        note: (note || '').trim(),
+        reviewer: (reviewer || decidedBy || '').trim(),
+        decidedBy: decidedBy || null,
+        decidedAt: new Date().toISOString(),
+        history: history.slice(-MAX_HISTORY)
+    };
+    decisions[key] = entry;
+    save(workspace, decisions);
+    return { decision: { key, ...entry } };
+}
+
+/**
+ * @returns {boolean} Whether the name had a decision
+ */
+function clearDecision(workspace, name) {
+    const decisions = load(workspace);
+    const key = decisionKey(name);
+    if (!decisions[key]) return false;
+    delete decisions[key];
+    save(workspace, decisions);
+    return true;
+}
+
+module.exports = {
+    DECISIONS,
+    decisionKey,
+    listDecisions,
+    setDecision,
+    clearDecision
+};
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+
+// Global store of parsed filings shared by every search term. Filings are
+// keyed by application number, so a filing returned for both "Dragon" and
+// "Dragon Fortune" is fetched and stored once. A secondary index maps
+// detail page URLs to the same records so that a search page's links can
+// be resolved without refetching.
+//
+// The store is an append-only JSON Lines file: each line is either a full
+// record (`{ key, detail }`) or a deletion (`{ key, deleted: true }`), and
+// replaying the file from the top rebuilds the current state. Records
+// that are replaced or deleted leave dead lines behind; compact() rewrites
+// the file with only the live records once dead lines outnumber them.
+const storeFile = path.join(
+    process.env.CACHE_DIR || path.join(__dirname, '..', 'cache'),
+    'details.jsonl'
+);
+
+let records = null;
+let byUrl = null;
+// Bytes of each live record's line, so that the size limit (see cache.js)
+// can be checked without counting dead lines awaiting compaction
+let sizes = null;
+let lineCount = 0;
+
+// Filings without an application number are keyed by their URL. New ones
+// are no longer stored (see lib/parserHealth.js), but records migrated
+// from older cache files may lack one.
+function recordKey(detail) {
+    return detail.applicationNumber ?
+        `app:${detail.applicationNumber}` :
+        `url:${detail.detailUrl}`;
+}
+
+// A filing can be reached from more than one URL (the site varies the
+// slug), so replacing a record keeps earlier URLs pointing at it.
+function apply(entry, bytes) {
+    if (entry.deleted) {
+        const previous = records.get(entry.key);
+        if (previous && previous.detailUrl) {
+            byUrl.delete(previous.detailUrl);
+        }
+        records.delete(entry.key);
+        sizes.delete(entry.key);
+        return;
+    }
+    records.set(entry.key, entry.detail);
+    sizes.set(entry.key, bytes !== undefined ? bytes : Buffer.byteLength(JSON.stringify(entry)) + 1);
+    if (entry.detail.detailUrl) {
+        byUrl.set(entry.detail.detailUrl, entry.key);
+    }
+}
+
+function load() {
+    if (records) return;
+    records = new Map();
+    byUrl = new Map();
+    sizes = new Map();
+    lineCount = 0;
+    if (!fs.existsSync(storeFile)) return;
+    let data;
+    try {
+        data = fs.readFileSync(storeFile, 'utf8');
+    } catch (err) {
+        console.error('Error reading detail store', storeFile, err);
+        return;
+    }
+    data.split('\n').forEach(line => {
+        if (!line.trim()) return;
+        lineCount++;
+        try {
+            apply(JSON.parse(line), Buffer.byteLength(line) + 1);
+        } catch (err) {
+            // A partially written last line after a crash; skip it
+            console.error('Skipping corrupt detail store line', err.message);
+        }
+    });
+}
+
+function append(entries) {
+    if (entries.length === 0) return;
+    try {
+        fs.mkdirSync(path.dirname(storeFile), { recursive: true });
+        fs.appendFileSync(storeFile, entries.map(e => JSON.stringify(e) + '\n').join(''), 'utf8');
+        lineCount += entries.length;
+    } catch (err) {
+        console.error('Error writing detail store', storeFile, err);
+    }
+    if (lineCount > 100 && lineCount > records.size * 2) {
+        compact();
+    }
+}
+
+/**
+ * Look up a stored filing by its detail page URL.
+ *
+ * @returns {Object|null}
+ */
+function getByUrl(url) {
+    load();
+    const key = byUrl.get(url);
+    return key ? records.get(key) || null : null;
+}
+
+/**
+ * Look up a stored filing by application number.
+ *
+ * @returns {Object|null}
+ */
+function getByApplication(applicationNumber) {
+    load();
+    return records.get(`app:${applicationNumber}`) || null;
+}
+
+/**
+ * Store (or replace) a filing.
+ *
+ * @param {Object} detail Normalised detail with `detailUrl` and `fetchedAt`
+ * @returns {string} The record's key
+ */
+function put(detail) {
+    load();
+    const entry = { key: recordKey(detail), detail };
+    apply(entry);
+    append([entry]);
+    return entry.key;
+}
+
+/**
+ * Delete filings by key.
+ *
+ * @param {string[]} keys
+ */
+function remove(keys) {
+    load();
+    const entries = keys
+        .filter(key => records.has(key))
+        .map(key => ({ key, deleted: true }));
+    entries.forEach(entry => apply(entry));
+    append(entries);
+}
+
+/**
+ * Delete every filing whose key is not in `keep`. Like remove(), this
+ * only appends deletions; the file is rewritten once dead lines outnumber
+ * live ones.
+ *
+ * @param {Set<string>} keep
+ */
+function retain(keep) {
+    load();
+    remove(Array.from(records.keys()).filter(key => !keep.has(key)));
+}
+
+/**
+ * Look up stored filings by key, skipping keys that are no longer stored.
+ */
+function getMany(keys) {
+    load();
+    return keys.map(key => records.get(key)).filter(Boolean);
+}
+
+/**
+ * Every stored filing, optionally filtered.
+ *
+ * @param {Function} [predicate]
+ * @returns {Object[]}
+ */
+function all(predicate = () => true) {
+    load();
+    return Array.from(records.values()).filter(predicate);
+}
+
+/**
+ * Rewrite the store with only the current records.
+ */
+function compact() {
+    load();
+    const tmp = storeFile + '.tmp';
+    try {
+        const lines = Array.from(records.entries())
+            .map(([key, detail]) => JSON.stringify({ key, detail }) + '\n');
+        fs.writeFileSync(tmp, lines.join(''), 'utf8');
+        fs.renameSync(tmp, storeFile);
+        lineCount = lines.length;
+    } catch (err) {
+        console.error('Error compacting detail store', storeFile, err);
+    }
+}
+
+/**
+ * Delete every stored filing.
+ */
+function clear() {
+    records = new Map();
+    byUrl = new Map();
+    sizes = new Map();
+    lineCount = 0;
+    if (fs.existsSync(storeFile)) {
+        fs.unlinkSync(storeFile);
+    }
+}
+
+/**
+ * Size of the store. `bytes` is the file's size, including dead lines;
+ * `liveBytes` counts the current records only.
+ *
+ * @returns {{ records: number, lines: number, bytes: number, liveBytes: number }}
+ */
+function stats() {
+    load();
+    let liveBytes = 0;
+    sizes.forEach(bytes => {
+        liveBytes += bytes;
+    });
+    return {
+        records: records.size,
+        lines: lineCount,
+        bytes: fs.existsSync(storeFile) ? fs.statSync(storeFile).size : 0,
+        liveBytes
+    };
+}
+
+module.exports = {
+    recordKey,
+    getByUrl,
+    getByApplication,
+    getMany,
+    put,
+    remove,
+    retain,
+    all,
+    compact,
+    clear,
+    stats
+};
@@ -0,0 +1,28 @@
+// Reading settings from environment variables.
+
+/**
+ * A numeric environment variable, or `fallback` when it is unset. Values
+ * that are not numbers of at least `min` (e.g. a typo) are reported and
+ * also fall back, rather than reaching a scheduler as NaN.
+ *
+ * @param {string} name Variable name
+ * @param {number} fallback
+ * @param {Object} [options]
+ * @param {number} [options.min=0] Smallest value accepted
+ * @param {boolean} [options.integer=false] Accept whole numbers only
+ * @returns {number}
+ */
+function envNumber(name, fallback, { min = 0, integer = false } = {}) {
+    const raw = process.env[name];
+    if (raw === undefined || raw.trim() === '') return fallback;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+        console.error(`Ignoring ${name}="${raw}": expected a ${integer ? 'whole ' : ''}number from ${min}. Using ${fallback}.`);
+        return fallback;
+    }
+    return value;
+}
+
+module.exports = {
+    envNumber
+};
@@ -0,0 +1,210 @@
+const { buildWorkbook } = require('./xlsx');
+
+// Exports of a completed search (a saved session, see lib/sessions.js):
+//
+//   XLSX  a Summary sheet with each name's score, explanation and filing
+//         counts per class, and a Filings sheet with every parsed field of
+//         every filing and a link to its detail page. Scores are coloured
+//         Red/Yellow/Green. Columns imported with the names (game id,
+//         studio, ...) follow the name on both sheets.
+//   JSON  the names, results, metadata, profile and source exactly as
+//         searched, in a versioned envelope that parseJsonExport() reads
+//         back.
+
+const JSON_FORMAT = 'trademark-search-export';
+const JSON_VERSION = 1;
+
+// Excel's own "bad", "neutral" and "good" cell colours
+const SCORE_COLOURS = [
+    { equals: 'Red', fill: 'FFC7CE', font: '9C0006' },
+    { equals: 'Yellow', fill: 'FFEB9C', font: '9C5700' },
+    { equals: 'Green', fill: 'C6EFCE', font: '006100' }
+];
+
+function scoreRules(column) {
+    return SCORE_COLOURS.map(colour => ({ ...colour, column }));
+}
+
+// Every imported column, in the order first seen
+function metadataColumns(names, metadata) {
+    const columns = [];
+    names.forEach(name => {
+        Object.keys(metadata[name] || {}).forEach(column => {
+            if (!columns.includes(column)) columns.push(column);
+        });
+    });
+    return columns;
+}
+
+function filingsOf(info) {
+    return info && !info.error && Array.isArray(info.details) ? info.details.filter(d => d && !d.error) : [];
+}
+
+function summarySheet(names, results, metadata) {
+    const extra = metadataColumns(names, metadata);
+    const classes = new Set();
+    names.forEach(name => {
+        filingsOf(results[name]).forEach(det => (det.classes || []).forEach(cls => classes.add(cls)));
+    });
+    const classList = Array.from(classes).sort();
+    const rows = names.map(name => {
+        const info = results[name] || {};
+        const filings = filingsOf(info);
+        const counts = classList.map(cls => filings.filter(det => (det.classes || []).includes(cls)).length);
+        return [
+            name,
+            ...extra.map(column => (metadata[name] || {})[column]),
+            info.error ? 'Error' : info.score,
+            info.error || info.explanation,
+            filings.length,
+            filings.filter(det => det.status === 'LIVE').length,
+            ...counts
+        ];
+    });
+    return {
+        name: 'Summary',
+        columns: [
+            { header: 'Name', width: 24 },
+            ...extra.map(column => ({ header: column, width: 16 })),
+            { header: 'Score', width: 10 },
+            { header: 'Explanation', width: 60 },
+            { header: 'Filings', width: 9 },
+            { header: 'Live Filings', width: 11 },
+            ...classList.map(cls => ({ header: `Class ${cls}`, width: 10 }))
+        ],
+        rows,
+        colourRules: scoreRules(1 + extra.length)
+    };
+}
+
+function filingsSheet(names, results, metadata) {
+    const extra = metadataColumns(names, metadata);
+    const rows = [];
+    names.forEach(name => {
+        const info = results[name];
+        filingsOf(info).forEach(det => {
+            rows.push([
+                name,
+                ...extra.map(column => (metadata[name] || {})[column]),
+                info.score,
+                det.applicationNumber,
+                det.wordMark,
+                det.similarity ? Math.round(det.similarity.score * 100) / 100 : null,
+                det.ownerName,
+                det.ownerAddress,
+                det.status,
+                det.statusDesc,
+                det.lifecycle,
+                (det.classes || []).join(' '),
+                (det.goodsServices || []).map(gs => `${gs.class}: ${gs.description}`).join('\n'),
+                (det.keywordHits || []).join(', '),
+                det.filingDate,
+                det.registrationDate,
+                det.renewalDate,
+                det.priorityDate,
+                det.markType,
+                det.irNumber,
+                det.agent,
+                det.imageUrl ? { link: det.imageUrl, text: 'Image' } : null,
+                det.detailUrl ? { link: det.detailUrl, text: det.detailUrl } : null,
+                det.fetchedAt,
+                det.parserWarning
+            ]);
+        });
+    });
+    return {
+        name: 'Filings',
+        columns: [
+            { header: 'Name', width: 20 },
+            ...extra.map(column => ({ header: column, width: 16 })),
+            { header: 'Score', width: 9 },
+            { header: 'Application #', width: 14 },
+            { header: 'Word Mark', width: 24 },
+            { header: 'Similarity', width: 10 },
+            { header: 'Owner', width: 28 },
+            { header: 'Owner Address', width: 36 },
+            { header: 'Status', width: 8 },
+            { header: 'Status Description', width: 30 },
+            { header: 'Stage', width: 16 },
+            { header: 'Classes', width: 12 },
+            { header: 'Goods & Services', width: 60 },
+            { header: 'Profile Keywords', width: 18 },
+            { header: 'Filing Date', width: 12 },
+            { header: 'Registration Date', width: 12 },
+            { header: 'Renewal Date', width: 12 },
+            { header: 'Priority Date', width: 12 },
+            { header: 'Mark Type', width: 12 },
+            { header: 'IR Number', width: 12 },
+            { header: 'Agent', width: 24 },
+            { header: 'Image', width: 8 },
+            { header: 'Detail Page', width: 40 },
+            { header: 'Fetched At', width: 22 },
+            { header: 'Parser Warning', width: 30 }
+        ],
+        rows,
+        colourRules: scoreRules(1 + extra.length)
+    };
+}
+
+/**
+ * XLSX workbook of a session's results.
+ *
+ * @param {{ names: string[], results: Object, metadata?: Object }} session
+ * @returns {Buffer}
+ */
+function exportXlsx(session) {
+    const results = session.results || {};
+    const metadata = session.metadata || {};
+    return buildWorkbook([
+        summarySheet(session.names, results, metadata),
+        filingsSheet(session.names, results, metadata)
+    ]);
+}
+
+/**
+ * Lossless JSON export of a session.
+ *
+ * @param {Object} session
+ * @returns {string}
+ */
+function exportJson(session) {
+    return JSON.stringify({
+        format: JSON_FORMAT,
+        version: JSON_VERSION,
+        exportedAt: new Date().toISOString(),
+        createdAt: session.createdAt || null,
+        names: session.names,
+        metadata: session.metadata || {},
+        profile: session.profile,
+        source: session.source || null,
+        results: session.results
+    }, null, 2);
+}
+
+/**
+ * Read back a JSON export.
+ *
+ * @param {Object} data Parsed JSON
+ * @returns {{ session?: Object, error?: string }} The exported names,
+ *     results, metadata, profile and source
+ */
+function parseJsonExport(data) {
+    if (!data || data.format !== JSON_FORMAT) {
+        return { error: 'Not a trademark search export.' };
+    }
+    if (data.version !== JSON_VERSION) {
+        return { error: `Unsupported export version ${data.version}.` };
+    }
+    const { names, results, metadata, profile, source } = data;
+    if (!Array.isArray(names) || !names.every(n => typeof n === 'string') ||
+        !results || typeof results !== 'object' || Array.isArray(results)) {
+        return { error: 'The export has no names or results.' };
+    }
+    return { session: { names, results, metadata: metadata || {}, profile, source } };
+}
+
+module.exports = {
+    exportXlsx,
+    exportJson,
+    parseJsonExport
+};
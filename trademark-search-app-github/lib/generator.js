@@ -0,0 +1,149 @@
+// Candidate names built from seed words, for screening many ideas at once
+// instead of typing each one into the chip input. Each seed produces:
+//
+//   seed       the seed itself
+//   plural     "Dragon" -> "Dragons", "Fox" -> "Foxes", "Ruby" -> "Rubies"
+//   prefix     "Mega Dragon", "Gold Dragon", ...
+//   suffix     "Dragon Deluxe", "Dragon Gold", ...
+//   compound   every ordered pair of seeds: "Dragon Phoenix", "Phoenix Dragon"
+//   misspelt   simple respellings: "Fortune" -> "Fortoon", "Lucky" -> "Luky"
+//
+// The affixes can be replaced per request or through GENERATOR_PREFIXES
+// and GENERATOR_SUFFIXES (comma separated).
+function listFromEnv(value, fallback) {
+    const list = (value || '').split(',').map(s => s.trim()).filter(Boolean);
+    return list.length > 0 ? list : fallback;
+}
+
+const DEFAULT_PREFIXES = listFromEnv(process.env.GENERATOR_PREFIXES, ['Mega', 'Gold', 'Lucky', 'Grand', 'Super']);
+const DEFAULT_SUFFIXES = listFromEnv(process.env.GENERATOR_SUFFIXES, ['Deluxe', 'Gold', 'Riches', 'Fortune', 'Link']);
+
+// Candidates beyond this many are dropped, since each one is a search
+const DEFAULT_MAX = 40;
+
+// Respellings tried on each word, most natural first. Each applies to the
+// first match only so that one candidate differs from the seed in one place.
+const RESPELLINGS = [
+    [/ph/i, 'f'],
+    [/ck/i, 'k'],
+    [/c(?=[aou])/i, 'k'],
+    [/([a-rt-z])s$/i, '$1z'],
+    [/ee/i, 'ea'],
+    [/une$/i, 'oon'],
+    [/([b-df-hj-np-tv-z])\1/i, '$1'],
+    [/x/i, 'ks'],
+    [/y$/i, 'ee']
+];
+
+function capitalise(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+// Keep the case style of the word being changed
+function matchCase(original, replacement) {
+    if (original === original.toUpperCase()) return replacement.toUpperCase();
+    return original.charAt(0) === original.charAt(0).toUpperCase() ? capitalise(replacement) : replacement;
+}
+
+/**
+ * English plural of the last word of a name.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function pluralise(name) {
+    const match = name.match(/^(.*?)(\w+)$/);
+    if (!match) return name;
+    const [, head, word] = match;
+    let plural;
+    if (/(s|x|z|ch|sh)$/i.test(word)) {
+        plural = word + 'es';
+    } else if (/[^aeiou]y$/i.test(word)) {
+        plural = word.slice(0, -1) + 'ies';
+    } else {
+        plural = word + 's';
+    }
+    return head + matchCase(word, plural);
+}
+
+/**
+ * Simple misspellings of a name, one respelling each.
+ *
+ * @param {string} name
+ * @returns {string[]}
+ */
+function misspellings(name) {
+    const variants = [];
+    RESPELLINGS.forEach(([pattern, replacement]) => {
+        const variant = name.replace(pattern, match => matchCase(match, match.replace(pattern, replacement)));
+        if (variant !== name) variants.push(variant);
+    });
+    return variants;
+}
+
+/**
+ * Generate candidate names from seed words.
+ *
+ * @param {string[]} seeds
+ * @param {Object} [options]
+ * @param {string[]} [options.prefixes]
+ * @param {string[]} [options.suffixes]
+ * @param {number} [options.max=40] Most candidates to return
+ * @returns {{ name: string, kind: string, seed: string }[]} Without
+ *     duplicates (ignoring case), taking one of each kind in turn
+ */
+function generateCandidates(seeds, options = {}) {
+    const prefixes = options.prefixes || DEFAULT_PREFIXES;
+    const suffixes = options.suffixes || DEFAULT_SUFFIXES;
+    const max = options.max || DEFAULT_MAX;
+    const cleanSeeds = seeds.map(s => s.trim().replace(/\s+/g, ' ')).filter(Boolean);
+    // No "Lucky Lucky Fortune"
+    const fresh = (seed, affix) => !seed.toLowerCase().split(' ').includes(affix.toLowerCase());
+    function* eachSeed(build) {
+        for (const seed of cleanSeeds) {
+            for (const name of build(seed)) yield { name, seed };
+        }
+    }
+    // Each kind is built lazily, as candidates are taken, so that many
+    // seeds (whose compounds grow with the square of their number) cost
+    // no more than `max` candidates
+    const kinds = {
+        seed: eachSeed(seed => [seed]),
+        plural: eachSeed(seed => [pluralise(seed)]),
+        prefix: eachSeed(seed => prefixes.filter(p => fresh(seed, p)).map(p => `${p} ${seed}`)),
+        suffix: eachSeed(seed => suffixes.filter(s => fresh(seed, s)).map(s => `${seed} ${s}`)),
+        compound: eachSeed(function* (seed) {
+            for (const other of cleanSeeds) {
+                if (other !== seed) yield `${seed} ${other}`;
+            }
+        }),
+        misspelt: eachSeed(misspellings)
+    };
+    // Take candidates from each kind in turn so that a low `max` still
+    // gives a mix rather than only prefixes
+    const seen = new Set();
+    const candidates = [];
+    let queues = Object.entries(kinds);
+    while (candidates.length < max && queues.length > 0) {
+        // Kinds that run out are dropped
+        queues = queues.filter(([kind, queue]) => {
+            while (candidates.length < max) {
+                const next = queue.next();
+                if (next.done) return false;
+                const key = next.value.name.toLowerCase();
+                if (seen.has(key)) continue;
+                seen.add(key);
+                candidates.push({ ...next.value, kind });
+                break;
+            }
+            return true;
+        });
+    }
+    return candidates;
+}
+
+module.exports = {
+    pluralise,
+    misspellings,
+    generateCandidates
+};
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const { snapshotOf, diffSnapshots, mergeSnapshots } = require('./changes');
+const { DEFAULT_WORKSPACE } = require('./workspaces');
+
+// The last result returned for each name, so that every new search can be
+// compared with the previous one (see lib/changes.js). Results are kept
+// per scoring profile because the same filings score differently under
+// different profiles, per source because each source holds different
+// filings, and per workspace because each workspace has its own profiles
+// (see lib/workspaces.js). Stored in LAST_RESULTS_FILE (default
+// data/last-results.json) rather than the cache directory so that purging
+// the cache does not make every name look new.
+const resultsFile = process.env.LAST_RESULTS_FILE ||
+    path.join(__dirname, '..', 'data', 'last-results.json');
+
+let results = null;
+
+function load() {
+    if (results) return;
+    results = {};
+    if (!fs.existsSync(resultsFile)) return;
+    try {
+        results = JSON.parse(fs.readFileSync(resultsFile, 'utf8')).results || {};
+    } catch (err) {
+        console.error('Error reading last results file', resultsFile, err);
+    }
+}
+
+function save() {
+    try {
+        fs.mkdirSync(path.dirname(resultsFile), { recursive: true });
+        fs.writeFileSync(resultsFile, JSON.stringify({ results }), 'utf8');
+    } catch (err) {
+        console.error('Error writing last results file', resultsFile, err);
+    }
+}
+
+function resultKey(name, profileId, sourceId, workspace) {
+    const key = `${profileId}|${sourceId}|${name.trim().toLowerCase()}`;
+    return workspace && workspace !== DEFAULT_WORKSPACE ? `${workspace}|${key}` : key;
+}
+
+/**
+ * Store a name's latest result and return what changed since the previous
+ * one. The first result for a name has no changes.
+ *
+ * @param {string} name Search term
+ * @param {Object} result processName result
+ * @param {string} [workspace] Workspace id
+ * @returns {{ previous: Object|null, changes: Object[] }} `previous` is the
+ *     previous snapshot
+ */
+function recordResult(name, result, workspace) {
+    load();
+    const key = resultKey(name, result.profile, result.source, workspace);
+    const previous = results[key] || null;
+    const next = snapshotOf(result);
+    const changes = diffSnapshots(previous, next);
+    results[key] = { ...mergeSnapshots(previous, next), updatedAt: new Date().toISOString() };
+    save();
+    return { previous, changes };
+}
+
+module.exports = {
+    recordResult
+};
@@ -0,0 +1,61 @@
+// Lifecycle stages of an Australian trade mark, in the order a filing
+// moves through them. Sources describe a filing's status in free text
+// ("Registered: Registered/Protected", "Removed - Not Renewed", ...), which
+// stageFromStatus() maps onto one of these. The first four stages are
+// pending; `live` stages still block a new mark while the rest no longer
+// do.
+const STAGES = [
+    { id: 'filed', live: true },
+    { id: 'under-examination', live: true },
+    { id: 'accepted', live: true },
+    { id: 'opposed', live: true },
+    { id: 'registered', live: true },
+    { id: 'lapsed', live: false },
+    { id: 'removed', live: false },
+    { id: 'refused', live: false },
+    { id: 'withdrawn', live: false }
+];
+
+// Checked in order, so that "Lapsed - Not Accepted" is lapsed rather than
+// accepted and "Never Registered" is refused rather than registered.
+const PATTERNS = [
+    ['withdrawn', /withdrawn|abandoned/i],
+    ['refused', /refused|rejected|never registered/i],
+    ['removed', /removed|cancel|revoked|ceased|expired|not renewed/i],
+    ['lapsed', /lapsed/i],
+    ['opposed', /\bopposed\b|under opposition|opposition (?:filed|lodged|proceedings)/i],
+    ['accepted', /accepted|advertised|published/i],
+    ['under-examination', /examin|indexed|adverse report|report issued/i],
+    ['registered', /registered|protected/i],
+    ['filed', /filed|pending|lodged|new application/i]
+];
+
+/**
+ * Lifecycle stage for a status description, or '' when it is not
+ * recognised.
+ *
+ * @param {string} statusDesc
+ * @returns {string}
+ */
+function stageFromStatus(statusDesc) {
+    const desc = String(statusDesc || '');
+    if (!desc.trim()) return '';
+    const match = PATTERNS.find(([, regex]) => regex.test(desc));
+    return match ? match[0] : '';
+}
+
+/**
+ * Whether a stage still blocks a new mark: LIVE, DEAD, or '' when the
+ * stage is unknown.
+ */
+function stageStatus(stage) {
+    const found = STAGES.find(s => s.id === stage);
+    if (!found) return '';
+    return found.live ? 'LIVE' : 'DEAD';
+}
+
+module.exports = {
+    STAGES,
+    stageFromStatus,
+    stageStatus
+};
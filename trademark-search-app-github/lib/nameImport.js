@@ -0,0 +1,64 @@
+const { parseCsv } = require('./csv');
+const { readWorkbook } = require('./xlsx');
+
+// Candidate names uploaded as a CSV or XLSX file. The first row is taken
+// as column headers; the client picks which column holds the names and
+// the others travel with each name as metadata (game id, studio, target
+// market, ...) through to saved searches and exports.
+
+// Most names read from one file
+const MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 1000;
+
+// Most columns read from one file; every row is padded out to the widest
+const MAX_COLUMNS = Number(process.env.IMPORT_MAX_COLUMNS) || 100;
+
+// Headers likely to hold the names, best first
+const NAME_HEADERS = /^(names?|candidates?|candidate names?|titles?|game names?|game titles?|word ?marks?|marks?)$/i;
+
+/**
+ * Read an uploaded file of names.
+ *
+ * @param {Buffer} buf File contents
+ * @param {string} [fileName] Used to tell XLSX from CSV when the contents
+ *     do not
+ * @returns {{ columns?: string[], rows?: string[][], nameColumn?: number,
+ *     truncated?: boolean, error?: string }} Header names, data rows padded
+ *     to the header's width, and the index of the column that looks most
+ *     like names
+ */
+function readNameFile(buf, fileName = '') {
+    // XLSX files are ZIP archives, which start with "PK"
+    const isXlsx = (buf.length > 1 && buf[0] === 0x50 && buf[1] === 0x4b) || /\.xlsx$/i.test(fileName);
+    let table;
+    try {
+        table = isXlsx ? readWorkbook(buf, { maxColumns: MAX_COLUMNS }) : parseCsv(buf.toString('utf8'));
+    } catch (err) {
+        return { error: `Could not read ${fileName || 'the file'}: ${err.message}` };
+    }
+    if (table.length < 2) {
+        return { error: 'The file needs a header row and at least one name.' };
+    }
+    // Not Math.max(...), which runs out of stack on long files
+    let width = 0;
+    for (const row of table) width = Math.max(width, row.length);
+    if (width > MAX_COLUMNS) {
+        return { error: `The file has more than ${MAX_COLUMNS} columns.` };
+    }
+    const columns = Array.from({ length: width }, (_, idx) =>
+        String(table[0][idx] || '').trim() || `Column ${idx + 1}`);
+    const rows = table.slice(1, MAX_ROWS + 1).map(row =>
+        Array.from({ length: width }, (_, idx) => String(row[idx] || '').trim()));
+    const guessed = columns.findIndex(header => NAME_HEADERS.test(header));
+    return {
+        columns,
+        rows,
+        nameColumn: guessed === -1 ? 0 : guessed,
+        truncated: table.length - 1 > MAX_ROWS
+    };
+}
+
+module.exports = {
+    MAX_ROWS,
+    MAX_COLUMNS,
+    readNameFile
+};
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const { createScheduler } = require('./scheduler');
+const { envNumber } = require('./env');
+
+// Notifications for results that changed in a way worth telling someone
+// about: the score moved, or a live filing appeared that the previous
+// result for the name did not have (see lib/lastResults.js).
+//
+// Configured through environment variables:
+//
+//   NOTIFY_WEBHOOKS     comma separated URLs that receive a JSON POST. URLs
+//                       on hooks.slack.com, or prefixed with "slack:", get
+//                       a Slack incoming-webhook message instead.
+//   NOTIFY_OUTBOX       directory to write an RFC 822 .eml file into for
+//                       each notification, for a mail relay to pick up
+//   NOTIFY_EMAIL_TO     recipient of .eml files
+//   NOTIFY_EMAIL_FROM   sender of .eml files
+//   NOTIFY_RETRIES      webhook retries after the first attempt (default 5)
+//
+// Webhooks go through their own fetch scheduler, so failed deliveries
+// (network errors, 429 and 5xx) are retried with backoff. Every delivery
+// is appended to a JSON Lines log, NOTIFY_LOG (default
+// data/deliveries.jsonl).
+const webhooks = (process.env.NOTIFY_WEBHOOKS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(parseWebhook);
+const outboxDir = process.env.NOTIFY_OUTBOX || '';
+const emailTo = process.env.NOTIFY_EMAIL_TO || `trademarks@${os.hostname()}`;
+const emailFrom = process.env.NOTIFY_EMAIL_FROM || `Trademark search <noreply@${os.hostname()}>`;
+const logFile = process.env.NOTIFY_LOG ||
+    path.join(__dirname, '..', 'data', 'deliveries.jsonl');
+
+const scheduler = createScheduler({
+    concurrency: 2,
+    hostInterval: 0,
+    retries: envNumber('NOTIFY_RETRIES', 5, { integer: true }),
+    backoff: 2000,
+    maxBackoff: 5 * 60 * 1000
+});
+
+function parseWebhook(value) {
+    if (value.startsWith('slack:')) {
+        return { url: value.slice('slack:'.length), format: 'slack' };
+    }
+    let slack = false;
+    try {
+        slack = new URL(value).hostname === 'hooks.slack.com';
+    } catch (err) {
+        // Reported when delivery fails
+    }
+    return { url: value, format: slack ? 'slack' : 'json' };
+}
+
+function enabled() {
+    return webhooks.length > 0 || !!outboxDir;
+}
+
+/**
+ * Changes that warrant a notification: score changes and new live filings.
+ *
+ * @param {Object[]} changes From diffSnapshots
+ * @returns {Object[]}
+ */
+function notableChanges(changes) {
+    return changes.filter(c =>
+        c.type === 'score' || (c.type === 'new-filing' && c.status === 'LIVE')
+    );
+}
+
+function describeChange(change) {
+    if (change.type === 'score') {
+        return `Score changed from ${change.from} to ${change.to}`;
+    }
+    return `New live filing ${change.key} "${change.wordMark}" (${change.to})`;
+}
+
+function summaryLine(payload) {
+    return payload.previousScore && payload.previousScore !== payload.score ?
+        `"${payload.name}" is now ${payload.score} (was ${payload.previousScore})` :
+        `"${payload.name}" has new live filings (${payload.score})`;
+}
+
+function slackMessage(payload) {
+    return {
+        text: [
+            `*${summaryLine(payload)}*`,
+            payload.explanation,
+            ...payload.changes.map(c => `• ${describeChange(c)}`)
+        ].join('\n')
+    };
+}
+
+// Non-ASCII header text is sent as an RFC 2047 encoded word
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ?
+        value :
+        `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Render a notification as an RFC 822 message with CRLF line endings.
+ */
+function formatEml(payload) {
+    const domain = (emailFrom.match(/@([^>\s]+)/) || [])[1] || 'localhost';
+    const headers = [
+        `From: ${emailFrom}`,
+        `To: ${emailTo}`,
+        `Subject: ${encodeHeader(`Trademark change: ${summaryLine(payload)}`)}`,
+        `Date: ${new Date(payload.at).toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: <${payload.id}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit'
+    ];
+    const body = [
+        summaryLine(payload),
+        '',
+        payload.explanation,
+        '',
+        ...payload.changes.map(c => `- ${describeChange(c)}`),
+        '',
+        `Profile: ${payload.profile}`,
+        `Source: ${payload.source}`
+    ];
+    return headers.concat('', body).join('\r\n') + '\r\n';
+}
+
+function logDelivery(entry) {
+    try {
+        fs.mkdirSync(path.dirname(logFile), { recursive: true });
+        fs.appendFileSync(logFile, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (err) {
+        console.error('Error writing delivery log', logFile, err);
+    }
+}
+
+async function deliverWebhook(webhook, payload) {
+    const body = webhook.format === 'slack' ? slackMessage(payload) : payload;
+    const started = Date.now();
+    const entry = { at: new Date().toISOString(), notification: payload.id, name: payload.name, channel: 'webhook', target: webhook.url };
+    try {
+        const res = await scheduler.fetch(webhook.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        // Read the body so the connection is released
+        await res.text();
+        logDelivery({ ...entry, ok: res.ok, status: res.status, ms: Date.now() - started });
+    } catch (err) {
+        logDelivery({ ...entry, ok: false, error: err.message, ms: Date.now() - started });
+    }
+}
+
+function writeEml(payload) {
+    const file = path.join(outboxDir, `${payload.at.replace(/[:.]/g, '-')}-${payload.id}.eml`);
+    const entry = { at: new Date().toISOString(), notification: payload.id, name: payload.name, channel: 'eml', target: file };
+    try {
+        fs.mkdirSync(outboxDir, { recursive: true });
+        fs.writeFileSync(file, formatEml(payload), 'utf8');
+        logDelivery({ ...entry, ok: true });
+    } catch (err) {
+        logDelivery({ ...entry, ok: false, error: err.message });
+    }
+}
+
+/**
+ * Notify every configured channel about a changed result. Does nothing
+ * when no channel is configured or none of the changes are notable.
+ *
+ * @param {string} name Search term
+ * @param {Object} result processName result
+ * @param {{ previous: Object|null, changes: Object[] }} diff From recordResult
+ * @returns {Promise<void>} Resolves once every delivery has been logged
+ */
+async function notifyChange(name, result, { previous, changes }) {
+    const notable = notableChanges(changes);
+    if (!enabled() || notable.length === 0) return;
+    const payload = {
+        id: crypto.randomBytes(8).toString('hex'),
+        event: 'result.changed',
+        at: new Date().toISOString(),
+        name,
+        profile: result.profile,
+        source: result.source,
+        score: result.score,
+        previousScore: previous ? previous.score : null,
+        explanation: result.explanation,
+        changes: notable
+    };
+    if (outboxDir) {
+        writeEml(payload);
+    }
+    await Promise.all(webhooks.map(webhook => deliverWebhook(webhook, payload)));
+}
+
+/**
+ * Most recent deliveries, newest first.
+ *
+ * @param {number} [limit=100]
+ * @returns {Object[]}
+ */
+function readDeliveryLog(limit = 100) {
+    if (!fs.existsSync(logFile)) return [];
+    let data;
+    try {
+        data = fs.readFileSync(logFile, 'utf8');
+    } catch (err) {
+        console.error('Error reading delivery log', logFile, err);
+        return [];
+    }
+    return data.split('\n')
+        .filter(line => line.trim())
+        .slice(-limit)
+        .reverse()
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (err) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+module.exports = {
+    notifyChange,
+    notableChanges,
+    formatEml,
+    readDeliveryLog
+};
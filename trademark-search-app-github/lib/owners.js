@@ -0,0 +1,139 @@
+// Owner-centric view of the filings in the detail store, to see which
+// companies keep filing in the classes we care about. Owner names are
+// written inconsistently across filings ("Example Pty Ltd", "EXAMPLE PTY.
+// LTD.", "Example Proprietary Limited"), so filings are grouped by a
+// normalised key with punctuation, case and the company's legal form
+// removed.
+
+// Legal forms dropped from the end of an owner name, longest first so that
+// "pty ltd" is removed as a whole
+const LEGAL_FORMS = [
+    'proprietary limited', 'pty limited', 'pty ltd', 'proprietary', 'pty',
+    'limited', 'ltd', 'incorporated', 'inc', 'corporation', 'corp',
+    'company', 'co', 'llc', 'plc', 'gmbh', 'ag', 'sa', 'bv', 'nv', 'kk'
+];
+
+/**
+ * Grouping key for an owner name: lower case, without diacritics,
+ * punctuation, a leading "the" or trailing legal forms.
+ *
+ * @param {string} name
+ * @returns {string} '' for blank names
+ */
+function ownerKey(name) {
+    let key = String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        // Initialisms such as "S.A." or "P.L.C."
+        .replace(/\b([a-z])\.(?=[a-z]\b)/g, '$1')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .replace(/^the /, '');
+    let stripped = true;
+    while (stripped) {
+        stripped = false;
+        for (const form of LEGAL_FORMS) {
+            if (key.endsWith(` ${form}`)) {
+                key = key.slice(0, -form.length - 1).trim();
+                stripped = true;
+                break;
+            }
+        }
+    }
+    return key;
+}
+
+/**
+ * Whether an owner name matches an owner query, both normalised with
+ * ownerKey so that "Aristocrat" finds "ARISTOCRAT TECHNOLOGIES PTY. LTD.".
+ *
+ * @param {string} name
+ * @param {string} query
+ * @returns {boolean}
+ */
+function ownerMatches(name, query) {
+    const needle = ownerKey(query);
+    return !!needle && ownerKey(name).includes(needle);
+}
+
+function countBy(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return counts;
+}
+
+/**
+ * Group filings by owner.
+ *
+ * @param {Object[]} filings Normalised filings, e.g. from findFilings
+ * @param {Object} [options]
+ * @param {string} [options.query] Only owners whose key contains this
+ *     (normalised the same way)
+ * @param {string[]} [options.classes] Only count filings in any of these
+ *     classes
+ * @param {number} [options.limit=100] Most owners to return
+ * @returns {{ total: number, owners: Object[] }} Owners with the most
+ *     filings first, each with its name variants, filing counts, classes
+ *     and filings per year, and its marks newest first
+ */
+function groupByOwner(filings, { query, classes, limit = 100 } = {}) {
+    const wanted = (classes || []).map(cls => String(cls).padStart(3, '0'));
+    const needle = query ? ownerKey(query) : '';
+    const groups = new Map();
+    filings.forEach(filing => {
+        const name = String(filing.ownerName || '').trim();
+        const key = ownerKey(name);
+        if (!key || (needle && !key.includes(needle))) return;
+        if (wanted.length && !(filing.classes || []).some(cls => wanted.includes(cls))) return;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ ...filing, ownerName: name });
+    });
+    const owners = Array.from(groups.entries()).map(([key, owned]) => {
+        // Show the spelling used most often
+        const variants = Array.from(countBy(owned.map(f => f.ownerName)).entries())
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([variant]) => variant);
+        const classCounts = countBy(owned.flatMap(f => f.classes || []));
+        const dates = owned.map(f => f.filingDate).filter(Boolean).sort();
+        const years = countBy(dates.map(date => date.slice(0, 4)));
+        const terms = new Set(owned.flatMap(f => f.terms || []));
+        return {
+            key,
+            name: variants[0],
+            variants,
+            filings: owned.length,
+            live: owned.filter(f => f.status === 'LIVE').length,
+            dead: owned.filter(f => f.status === 'DEAD').length,
+            classes: Array.from(classCounts.entries())
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                .map(([cls, count]) => ({ class: cls, count })),
+            timeline: Array.from(years.entries())
+                .sort((a, b) => a[0].localeCompare(b[0]))
+                .map(([year, count]) => ({ year, count })),
+            firstFiled: dates[0] || null,
+            lastFiled: dates[dates.length - 1] || null,
+            terms: Array.from(terms),
+            marks: owned
+                .sort((a, b) => String(b.filingDate || '').localeCompare(String(a.filingDate || '')))
+                .map(f => ({
+                    applicationNumber: f.applicationNumber,
+                    wordMark: f.wordMark,
+                    status: f.status,
+                    lifecycle: f.lifecycle,
+                    classes: f.classes || [],
+                    filingDate: f.filingDate,
+                    detailUrl: f.detailUrl
+                }))
+        };
+    });
+    owners.sort((a, b) => b.filings - a.filings || a.name.localeCompare(b.name));
+    return { total: owners.length, owners: owners.slice(0, limit) };
+}
+
+module.exports = {
+    ownerKey,
+    ownerMatches,
+    groupByOwner
+};
@@ -0,0 +1,82 @@
+// Parser health tracking for scraping sources. The scrapers are regular
+// expressions over third-party markup, so when a site changes its pages
+// they keep "working" but return blank fields. Every parsed detail page is
+// checked for the fields a filing cannot do without; failures are counted
+// per source and the most recent ones kept so that /api/admin/parser-health
+// shows when a parser needs attention. The log only notes when a source
+// starts failing and when it recovers, not every page in between.
+//
+// Counts are kept in memory and reset when the server restarts.
+const REQUIRED_FIELDS = ['applicationNumber', 'wordMark'];
+const RECENT_FAILURES = 20;
+
+const sources = new Map();
+
+function sourceStats(sourceId) {
+    if (!sources.has(sourceId)) {
+        sources.set(sourceId, { checked: 0, failed: 0, lastFailed: false, recentFailures: [] });
+    }
+    return sources.get(sourceId);
+}
+
+/**
+ * Fields a parsed filing is missing.
+ *
+ * @param {Object} detail Normalised detail
+ * @returns {string[]} Empty when the filing is usable
+ */
+function missingFields(detail) {
+    return REQUIRED_FIELDS.filter(field => !detail || !detail[field]);
+}
+
+/**
+ * Check a parsed detail page and record the outcome.
+ *
+ * @param {string} sourceId Adapter id
+ * @param {string} url Detail page URL
+ * @param {Object} detail Normalised detail
+ * @returns {string[]} Missing fields; empty when the page parsed cleanly
+ */
+function checkDetail(sourceId, url, detail) {
+    const stats = sourceStats(sourceId);
+    const missing = missingFields(detail);
+    const wasFailing = stats.lastFailed;
+    stats.checked++;
+    stats.lastFailed = missing.length > 0;
+    if (missing.length > 0) {
+        stats.failed++;
+        stats.recentFailures.unshift({ url, missing, at: new Date().toISOString() });
+        stats.recentFailures.length = Math.min(stats.recentFailures.length, RECENT_FAILURES);
+        if (!wasFailing) {
+            console.warn(`Parser health: ${sourceId} detail page ${url} has no ${missing.join(' or ')}; see /api/admin/parser-health for further failures`);
+        }
+    } else if (wasFailing) {
+        console.warn(`Parser health: ${sourceId} detail pages parse again`);
+    }
+    return missing;
+}
+
+/**
+ * Summarise parser health for every source that has parsed a page since
+ * the server started.
+ */
+function healthReport() {
+    const report = {};
+    sources.forEach((stats, sourceId) => {
+        report[sourceId] = {
+            checked: stats.checked,
+            failed: stats.failed,
+            // A markup change breaks every page from then on, so the
+            // latest page is the best indicator
+            healthy: !stats.lastFailed,
+            recentFailures: stats.recentFailures
+        };
+    });
+    return { requiredFields: REQUIRED_FIELDS, sources: report };
+}
+
+module.exports = {
+    missingFields,
+    checkDetail,
+    healthReport
+};
@@ -0,0 +1,253 @@
+const zlib = require('zlib');
+
+// Minimal PDF writer for generated reports (see lib/report.js). Pages hold
+// text in the standard Helvetica and Helvetica-Bold fonts, filled
+// rectangles and lines; nothing is embedded, so output is small and needs
+// no font files. Text is encoded as WinAnsi, which covers Western European
+// languages; other characters are written as "?".
+//
+// Coordinates are in points from the top left of the page, unlike PDF's
+// own bottom-left origin.
+
+// A4 portrait
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Glyph widths (1/1000 em) of characters 32-126 from the fonts' AFM files
+const WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Width used for characters outside 32-126, close to an average glyph
+const DEFAULT_WIDTH = 556;
+
+const FONT_NAMES = { regular: 'F1', bold: 'F2' };
+
+// WinAnsi codes of the Unicode characters it places in 0x80-0x9f
+const WIN_ANSI = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+    'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91,
+    '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98,
+    '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+function winAnsiCode(ch) {
+    const code = ch.codePointAt(0);
+    if (WIN_ANSI[ch]) return WIN_ANSI[ch];
+    if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) return code;
+    return 63; // ?
+}
+
+/**
+ * Width of a string in points.
+ *
+ * @param {string} text
+ * @param {string} font 'regular' or 'bold'
+ * @param {number} size Font size in points
+ * @returns {number}
+ */
+function textWidth(text, font, size) {
+    let width = 0;
+    for (const ch of String(text)) {
+        const code = ch.codePointAt(0);
+        width += code >= 32 && code <= 126 ? WIDTHS[font][code - 32] : DEFAULT_WIDTH;
+    }
+    return width * size / 1000;
+}
+
+/**
+ * Break text into lines no wider than `maxWidth`, at spaces where possible
+ * and mid-word for words that are too long on their own.
+ *
+ * @returns {string[]}
+ */
+function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    String(text || '').split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (textWidth(candidate, font, size) <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+            line = '';
+            for (const ch of word) {
+                if (line && textWidth(line + ch, font, size) > maxWidth) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += ch;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+/**
+ * Shorten text to fit `maxWidth`, ending with an ellipsis when cut.
+ */
+function fitText(text, font, size, maxWidth) {
+    let value = String(text || '');
+    if (textWidth(value, font, size) <= maxWidth) return value;
+    while (value && textWidth(value + '…', font, size) > maxWidth) {
+        value = value.slice(0, -1);
+    }
+    return value + '…';
+}
+
+// PDF literal string in WinAnsi, as a latin1 JS string
+function pdfString(text) {
+    let out = '(';
+    for (const ch of String(text)) {
+        const code = winAnsiCode(ch);
+        if (code === 0x28 || code === 0x29 || code === 0x5c) {
+            out += '\\' + String.fromCharCode(code);
+        } else {
+            out += String.fromCharCode(code);
+        }
+    }
+    return out + ')';
+}
+
+// '#d32f2f' -> '0.827 0.184 0.184'
+function rgb(hex) {
+    const value = hex.replace('#', '');
+    return [0, 2, 4]
+        .map(i => (parseInt(value.slice(i, i + 2), 16) / 255).toFixed(3))
+        .join(' ');
+}
+
+function num(n) {
+    return Number(n.toFixed(2)).toString();
+}
+
+function createPage() {
+    const ops = [];
+    return {
+        width: PAGE_WIDTH,
+        height: PAGE_HEIGHT,
+        ops,
+        /**
+         * Draw a line of text with its top at `y`.
+         *
+         * @param {Object} [style]
+         * @param {string} [style.font='regular'] 'regular' or 'bold'
+         * @param {number} [style.size=10]
+         * @param {string} [style.color='#000000']
+         * @param {string} [style.align='left'] 'left' or 'right' of `x`
+         */
+        text(x, y, text, { font = 'regular', size = 10, color = '#000000', align = 'left' } = {}) {
+            const left = align === 'right' ? x - textWidth(text, font, size) : x;
+            // PDF places text on its baseline, about 0.8 em below the top
+            const baseline = PAGE_HEIGHT - y - size * 0.8;
+            ops.push(`BT /${FONT_NAMES[font]} ${num(size)} Tf ${rgb(color)} rg ${num(left)} ${num(baseline)} Td ${pdfString(text)} Tj ET`);
+        },
+        rect(x, y, width, height, { fill = '#000000' } = {}) {
+            ops.push(`${rgb(fill)} rg ${num(x)} ${num(PAGE_HEIGHT - y - height)} ${num(width)} ${num(height)} re f`);
+        },
+        line(x1, y1, x2, y2, { color = '#000000', width = 0.5 } = {}) {
+            ops.push(`${rgb(color)} RG ${num(width)} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`);
+        }
+    };
+}
+
+// PDF dates look like D:20240102030405Z
+function pdfDate(date) {
+    return 'D:' + date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+}
+
+/**
+ * Start a PDF document.
+ *
+ * @param {Object} [info]
+ * @param {string} [info.title]
+ * @param {string} [info.author]
+ * @returns {{ addPage: Function, pages: Object[], toBuffer: Function }}
+ */
+function createPdf(info = {}) {
+    const pages = [];
+    return {
+        pages,
+        addPage() {
+            const page = createPage();
+            pages.push(page);
+            return page;
+        },
+        /**
+         * Serialise the document.
+         *
+         * @returns {Buffer}
+         */
+        toBuffer() {
+            // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and
+            // its content stream for each page
+            const objects = [];
+            const pageIds = pages.map((_, idx) => 6 + idx * 2);
+            objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+            objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+            objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+            objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+            objects[5] = `<< /Title ${pdfString(info.title || '')} /Author ${pdfString(info.author || '')} ` +
+                `/Producer (Trademark search) /CreationDate (${pdfDate(new Date())}) >>`;
+            pages.forEach((page, idx) => {
+                const id = pageIds[idx];
+                const content = zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'));
+                objects[id] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                    `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${id + 1} 0 R >>`;
+                objects[id + 1] = { stream: content };
+            });
+            const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+            let length = chunks[0].length;
+            const offsets = [];
+            for (let id = 1; id < objects.length; id++) {
+                offsets[id] = length;
+                const obj = objects[id];
+                const parts = typeof obj === 'string' ?
+                    [Buffer.from(`${id} 0 obj\n${obj}\nendobj\n`, 'latin1')] :
+                    [
+                        Buffer.from(`${id} 0 obj\n<< /Length ${obj.stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+                        obj.stream,
+                        Buffer.from('\nendstream\nendobj\n', 'latin1')
+                    ];
+                parts.forEach(part => {
+                    chunks.push(part);
+                    length += part.length;
+                });
+            }
+            const xref = [`xref\n0 ${objects.length}\n`, '0000000000 65535 f \n'];
+            for (let id = 1; id < objects.length; id++) {
+                xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+            }
+            xref.push(`trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${length}\n%%EOF\n`);
+            chunks.push(Buffer.from(xref.join(''), 'latin1'));
+            return Buffer.concat(chunks);
+        }
+    };
+}
+
+module.exports = {
+    PAGE_WIDTH,
+    PAGE_HEIGHT,
+    textWidth,
+    wrapText,
+    fitText,
+    createPdf
+};
@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const { workspaceFile } = require('./workspaces');
+
+// Scoring profiles describe which Nice classes matter for a particular kind
+// of product and how heavily each one counts. A live filing's weight is the
+// highest weight of any profile class it lists, multiplied by how similar
+// its word mark is to the searched name (see lib/similarity.js); the name's
+// score is then decided by comparing the heaviest live filing against the
+// profile's thresholds:
+//
+//   weight >= thresholds.red     -> Red
+//   weight >= thresholds.yellow  -> Yellow
+//   otherwise                    -> Green
+//
+// Classes missing from a profile weigh 0, so a `yellow` threshold of 0 means
+// any sufficiently similar live filing is at least Yellow. Live filings less
+// similar than `thresholds.similarity` are incidental hits of the remote
+// substring search and do not count at all.
+//
+// A profile may also list `keywords.terms` to look for in a filing's
+// goods and services descriptions for the profile's classes. When a
+// filing has such descriptions and none mention a term (e.g. class 041
+// "education services" for a slots profile looking for "gaming"), its
+// weight is multiplied by `keywords.missFactor`. Filings without
+// descriptions are weighed on their classes alone.
+//
+// Pending marks may never register, so a live filing's weight is also
+// multiplied by a factor for its lifecycle stage (see lib/lifecycle.js):
+// DEFAULT_STAGE_WEIGHTS below, overridden per stage by a profile's
+// `stageWeights`. Filings whose stage is unknown count in full.
+//
+// Profiles live in profiles.json next to server.js (override with
+// PROFILES_FILE) and are re-read on each call so edits take effect without
+// a restart. A workspace (see lib/workspaces.js) with a profiles.json in
+// its directory uses that instead.
+const profilesFile = process.env.PROFILES_FILE ||
+    path.join(__dirname, '..', 'profiles.json');
+
+// Used when profiles.json is missing or unreadable so that searches keep
+// working with the original slot-game rules.
+const fallbackProfiles = {
+    default: 'slots',
+    profiles: {
+        slots: {
+            label: 'Slot games',
+            classes: { '028': 3, '041': 3, '009': 2 },
+            thresholds: { red: 2, yellow: 0, similarity: 0.3 }
+        }
+    }
+};
+
+// An opposed mark is being actively contested, so it counts for less
+// than one merely awaiting examination.
+const DEFAULT_STAGE_WEIGHTS = {
+    filed: 0.6,
+    'under-examination': 0.7,
+    accepted: 0.9,
+    opposed: 0.5,
+    registered: 1
+};
+
+function padClass(cls) {
+    return String(cls).trim().padStart(3, '0');
+}
+
+function normaliseProfile(id, raw) {
+    const classes = {};
+    Object.entries((raw && raw.classes) || {}).forEach(([cls, weight]) => {
+        const w = Number(weight);
+        if (Number.isFinite(w) && w > 0) {
+            classes[padClass(cls)] = w;
+        }
+    });
+    const thresholds = (raw && raw.thresholds) || {};
+    const red = Number.isFinite(Number(thresholds.red)) && Number(thresholds.red) > 0 ?
+        Number(thresholds.red) :
+        1;
+    const yellow = Number.isFinite(Number(thresholds.yellow)) ?
+        Math.min(Number(thresholds.yellow), red) :
+        0;
+    const similarity = Number.isFinite(Number(thresholds.similarity)) ?
+        Math.min(Math.max(Number(thresholds.similarity), 0), 1) :
+        0.3;
+    let keywords = null;
+    const rawKeywords = raw && raw.keywords;
+    if (rawKeywords && Array.isArray(rawKeywords.terms) && rawKeywords.terms.length > 0) {
+        const missFactor = Number(rawKeywords.missFactor);
+        keywords = {
+            terms: rawKeywords.terms.map(t => String(t).toLowerCase().trim()).filter(Boolean),
+            missFactor: Number.isFinite(missFactor) ? Math.min(Math.max(missFactor, 0), 1) : 0.5
+        };
+    }
+    const stageWeights = { ...DEFAULT_STAGE_WEIGHTS };
+    Object.entries((raw && raw.stageWeights) || {}).forEach(([stage, weight]) => {
+        const w = Number(weight);
+        if (stageWeights[stage] !== undefined && Number.isFinite(w) && w >= 0) {
+            stageWeights[stage] = w;
+        }
+    });
+    return {
+        id,
+        label: (raw && raw.label) || id,
+        classes,
+        thresholds: { red, yellow, similarity },
+        keywords,
+        stageWeights
+    };
+}
+
+// Only the profiles themselves, not names like "constructor" that every
+// object inherits
+function hasProfile(profiles, id) {
+    return Object.prototype.hasOwnProperty.call(profiles, id);
+}
+
+function normaliseAll(raw) {
+    const profiles = {};
+    Object.entries((raw && raw.profiles) || {}).forEach(([id, profile]) => {
+        profiles[id] = normaliseProfile(id, profile);
+    });
+    const ids = Object.keys(profiles);
+    if (ids.length === 0) return null;
+    return {
+        default: hasProfile(profiles, raw.default) ? raw.default : ids[0],
+        profiles
+    };
+}
+
+/**
+ * Read and normalise every profile from the rules file.
+ *
+ * @param {string} [workspace] Workspace id; defaults to the shared profiles
+ * @returns {{ default: string, profiles: Object<string, Object> }}
+ */
+function loadProfiles(workspace) {
+    let file = workspaceFile(workspace, 'profiles.json', profilesFile);
+    if (!fs.existsSync(file)) file = profilesFile;
+    let raw = fallbackProfiles;
+    if (fs.existsSync(file)) {
+        try {
+            raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            console.error('Error reading profiles file', file, err);
+        }
+    }
+    return normaliseAll(raw) || normaliseAll(fallbackProfiles);
+}
+
+/**
+ * Look up a profile by id, falling back to the default when no id is given.
+ * Returns null for an id that does not exist so callers can reject it.
+ *
+ * @param {string} [id]
+ * @param {string} [workspace] Workspace id
+ * @returns {Object|null}
+ */
+function resolveProfile(id, workspace) {
+    const all = loadProfiles(workspace);
+    if (!id) return all.profiles[all.default];
+    return hasProfile(all.profiles, id) ? all.profiles[id] : null;
+}
+
+/**
+ * Weight of a single filing under a profile: the heaviest profile class it
+ * lists, or 0 when it lists none of them.
+ */
+function classWeight(classes, profile) {
+    let weight = 0;
+    (classes || []).forEach(cls => {
+        const w = profile.classes[padClass(cls)] || 0;
+        if (w > weight) weight = w;
+    });
+    return weight;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Profile keywords found in a filing's goods and services descriptions for
+ * the profile's classes. Returns null when the profile has no keywords or
+ * the filing has no descriptions for those classes, so callers can tell
+ * "nothing matched" apart from "nothing to match against".
+ *
+ * @returns {string[]|null}
+ */
+function keywordMatches(info, profile) {
+    if (!profile.keywords) return null;
+    const descriptions = (info.goodsServices || [])
+        .filter(gs => profile.classes[padClass(gs.class)])
+        .map(gs => gs.description.toLowerCase());
+    if (descriptions.length === 0) return null;
+    return profile.keywords.terms.filter(term => {
+        // Match at a word start so "slot" finds "slots" but "game" does
+        // not find "endgame"
+        const regex = new RegExp(`\\b${escapeRegExp(term)}`);
+        return descriptions.some(d => regex.test(d));
+    });
+}
+
+function keywordFactor(info, profile) {
+    const matches = keywordMatches(info, profile);
+    if (matches === null || matches.length > 0) return 1;
+    return profile.keywords.missFactor;
+}
+
+/**
+ * Format a list of class numbers for an explanation sentence, e.g.
+ * "009, 028 or 041".
+ */
+function formatClassList(classes) {
+    const sorted = [...classes].sort();
+    if (sorted.length <= 1) return sorted.join('');
+    return `${sorted.slice(0, -1).join(', ')} or ${sorted[sorted.length - 1]}`;
+}
+
+/**
+ * Similarity of a filing to the searched name. Filings without a computed
+ * similarity (e.g. figurative marks with no words) are treated as identical
+ * so that they are never discounted.
+ */
+function detailSimilarity(info) {
+    return info.similarity && typeof info.similarity.score === 'number' ?
+        info.similarity.score :
+        1;
+}
+
+/**
+ * Compute the Green/Yellow/Red score for a set of parsed filings.
+ *
+ * @param {Object[]} details Parsed detail objects (entries with `error` are ignored)
+ * @param {Object} profile A normalised profile from resolveProfile
+ * @returns {{ score: string, explanation: string }}
+ */
+function scoreDetails(details, profile) {
+    let hasLive = false;
+    let distantLive = 0;
+    let maxWeight = 0;
+    let heaviest = null;
+    details.forEach(info => {
+        if (!info || info.error || info.status !== 'LIVE') return;
+        const similarity = detailSimilarity(info);
+        if (similarity < profile.thresholds.similarity) {
+            distantLive++;
+            return;
+        }
+        hasLive = true;
+        const stageWeight = profile.stageWeights[info.lifecycle] !== undefined ?
+            profile.stageWeights[info.lifecycle] :
+            1;
+        const weight = classWeight(info.classes, profile) * similarity *
+            keywordFactor(info, profile) * stageWeight;
+        if (!heaviest || weight > maxWeight) {
+            maxWeight = weight;
+            heaviest = info;
+        }
+    });
+    const redClasses = formatClassList(
+        Object.keys(profile.classes).filter(cls => profile.classes[cls] >= profile.thresholds.red)
+    );
+    if (!hasLive) {
+        return {
+            score: 'Green',
+            explanation: distantLive > 0 ?
+                'Live filings were found, but none closely resemble this name.' :
+                'No live trademark registrations were found for this name.'
+        };
+    }
+    // Mention the closest filing's stage unless it is simply registered
+    const stage = heaviest.lifecycle && heaviest.lifecycle !== 'registered' ?
+        `, ${heaviest.lifecycle.replace(/-/g, ' ')}` :
+        '';
+    const closest = heaviest.wordMark && heaviest.similarity ?
+        ` (closest: "${heaviest.wordMark}", ${Math.round(heaviest.similarity.score * 100)}% similar${stage})` :
+        '';
+    if (maxWeight >= profile.thresholds.red) {
+        return {
+            score: 'Red',
+            explanation: `At least one live filing lists classes ${redClasses}${closest}.`
+        };
+    }
+    if (maxWeight >= profile.thresholds.yellow) {
+        return {
+            score: 'Yellow',
+            explanation: `Live filings exist, but none that closely resemble this name contain ${redClasses}${closest}.`
+        };
+    }
+    return {
+        score: 'Green',
+        explanation: `Live filings exist, but none are in classes relevant to the ${profile.label} profile.`
+    };
+}
+
+module.exports = {
+    loadProfiles,
+    resolveProfile,
+    classWeight,
+    keywordMatches,
+    scoreDetails
+};
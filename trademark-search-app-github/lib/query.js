@@ -0,0 +1,81 @@
+// Typed search queries. A search term is normally a name to look for in
+// word marks, but it may instead be prefixed to search another field:
+//
+//   dragon                   word marks containing "dragon"
+//   owner:"Aristocrat"       filings owned by Aristocrat (local sources only)
+//   app:1234567              the filing with that application number
+//   class:028 "dragon"       word marks containing "dragon" in class 028
+//
+// class: can be repeated to accept any of several classes and combined
+// with any kind of query. Values with spaces are quoted; an unquoted owner
+// runs to the end of the query. The client has a copy of parseQuery and
+// formatQuery for its chips (public/app.js).
+
+const TOKEN = /(\w+):"([^"]*)"?|(\w+):(\S*)|"([^"]*)"?|(\S+)/g;
+
+/**
+ * Parse a search term.
+ *
+ * @param {string} text
+ * @returns {{ kind: string, value: string, classes: string[] }|{ error: string }}
+ *     `kind` is 'name', 'owner' or 'app'; classes are three-digit strings
+ */
+function parseQuery(text) {
+    let kind = 'name';
+    const words = [];
+    const classes = [];
+    let match;
+    TOKEN.lastIndex = 0;
+    while ((match = TOKEN.exec(String(text || '')))) {
+        const prefix = (match[1] || match[3] || '').toLowerCase();
+        const value = match[1] ? match[2] : match[3] ? match[4] : match[5] !== undefined ? match[5] : match[6];
+        if (prefix === 'class') {
+            if (!/^\d{1,3}$/.test(value) || Number(value) < 1 || Number(value) > 45) {
+                return { error: `"${value}" is not a trademark class (001-045).` };
+            }
+            const cls = value.padStart(3, '0');
+            if (!classes.includes(cls)) classes.push(cls);
+        } else if (prefix === 'owner' || prefix === 'app') {
+            if (kind !== 'name' || words.length > 0) {
+                return { error: 'A query can only search one of a name, an owner or an application number.' };
+            }
+            kind = prefix;
+            words.push(value);
+        } else {
+            // An unknown prefix such as "mr:" is part of the name
+            words.push(match[0].replace(/"/g, ''));
+        }
+    }
+    const value = words.join(' ').replace(/\s+/g, ' ').trim();
+    if (kind === 'app' && !/^\d+$/.test(value)) {
+        return { error: `"${value}" is not an application number.` };
+    }
+    if (!value) {
+        return { error: kind === 'name' ? 'The query has no name to search for.' : `The ${kind}: query is empty.` };
+    }
+    return { kind, value, classes };
+}
+
+/**
+ * Canonical text of a parsed query, so that equivalent queries typed
+ * differently are searched (and cached) once. Plain names are unchanged.
+ *
+ * @param {{ kind: string, value: string, classes: string[] }} query
+ * @returns {string}
+ */
+function formatQuery({ kind, value, classes }) {
+    const parts = [...classes].sort().map(cls => `class:${cls}`);
+    if (kind === 'owner') {
+        parts.push(`owner:"${value}"`);
+    } else if (kind === 'app') {
+        parts.push(`app:${value}`);
+    } else {
+        parts.push(classes.length ? `"${value}"` : value);
+    }
+    return parts.join(' ');
+}
+
+module.exports = {
+    parseQuery,
+    formatQuery
+};
@@ -0,0 +1,231 @@
+const { createPdf, textWidth, wrapText, fitText } = require('./pdf');
+
+// Printable clearance report for a saved search (see lib/sessions.js):
+// a cover page with the date, searcher, scoring profile, sources and a
+// summary of every name, then a section per name with its score badge,
+// imported columns, explanation, recorded decision and filings table.
+// Every page ends with the disclaimer (REPORT_DISCLAIMER overrides the
+// default) and its page number. Built entirely in memory by lib/pdf.js.
+const DISCLAIMER = process.env.REPORT_DISCLAIMER ||
+    'This report is an automated screen of trademark records and is not legal advice. ' +
+    'Records may be incomplete or out of date. Confirm availability with a trademark ' +
+    'attorney before adopting a name.';
+
+const SCORE_COLOURS = { Red: '#d32f2f', Yellow: '#f9a825', Green: '#388e3c' };
+const DECISION_LABELS = { approved: 'Approved', rejected: 'Rejected', 'legal-review': 'Legal review' };
+
+const MARGIN = 50;
+const FOOTER_HEIGHT = 48;
+
+// Filings table columns; widths add up to the text width of the page
+const COLUMNS = [
+    { header: 'Application #', width: 62, value: det => det.applicationNumber },
+    { header: 'Word Mark', width: 105, value: det => det.wordMark },
+    { header: 'Owner', width: 128, value: det => det.ownerName },
+    { header: 'Stage', width: 70, value: det => det.lifecycle || det.statusDesc || det.status },
+    { header: 'Classes', width: 65, value: det => (det.classes || []).join(' ') },
+    { header: 'Filed', width: 65, value: det => det.filingDate }
+];
+
+function formatDate(iso) {
+    return iso ? new Date(iso).toISOString().slice(0, 10) : '—';
+}
+
+/**
+ * Lays out blocks top to bottom, starting a new page when the next block
+ * does not fit above the footer.
+ */
+function createLayout(doc) {
+    const layout = {
+        page: null,
+        y: 0,
+        newPage() {
+            layout.page = doc.addPage();
+            layout.y = MARGIN;
+            return layout.page;
+        },
+        // Make room for a block `height` points tall
+        ensure(height) {
+            if (!layout.page || layout.y + height > layout.page.height - MARGIN - FOOTER_HEIGHT) {
+                layout.newPage();
+                return true;
+            }
+            return false;
+        },
+        paragraph(text, { font = 'regular', size = 10, color, indent = 0, gap = 4 } = {}) {
+            const lineHeight = size * 1.3;
+            wrapText(text, font, size, layout.page.width - 2 * MARGIN - indent).forEach(line => {
+                layout.ensure(lineHeight);
+                layout.page.text(MARGIN + indent, layout.y, line, { font, size, color });
+                layout.y += lineHeight;
+            });
+            layout.y += gap;
+        }
+    };
+    return layout;
+}
+
+function badgeWidth(score, size) {
+    return textWidth(score || 'Error', 'bold', size) + 12;
+}
+
+// Coloured score label with its top left at x, y; returns its width
+function scoreBadge(page, x, y, score, size = 10) {
+    const label = score || 'Error';
+    const width = badgeWidth(score, size);
+    page.rect(x, y, width, size + 8, { fill: SCORE_COLOURS[score] || '#757575' });
+    page.text(x + 6, y + 4, label, { font: 'bold', size, color: '#ffffff' });
+    return width;
+}
+
+function coverPage(layout, session, meta) {
+    const page = layout.newPage();
+    layout.y = 140;
+    page.text(MARGIN, layout.y, 'Trademark Clearance Report', { font: 'bold', size: 26 });
+    layout.y += 50;
+    const sources = Array.from(new Set(session.names
+        .map(name => (session.results[name] || {}).source)
+        .concat(session.source)
+        .filter(Boolean)))
+        .map(id => (meta.sourceLabel ? meta.sourceLabel(id) : id));
+    [
+        ['Report date', formatDate(meta.generatedAt)],
+        ['Searched', session.createdAt ? new Date(session.createdAt).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '—'],
+        ['Searcher', session.createdBy || '—'],
+        ['Scoring profile', meta.profileLabel ? `${meta.profileLabel} (${session.profile})` : session.profile],
+        ['Sources', sources.join(', ') || '—'],
+        ['Names', String(session.names.length)]
+    ].forEach(([label, value]) => {
+        page.text(MARGIN, layout.y, label, { font: 'bold', size: 11 });
+        page.text(MARGIN + 120, layout.y, fitText(value, 'regular', 11, page.width - 2 * MARGIN - 120), { size: 11 });
+        layout.y += 20;
+    });
+    layout.y += 20;
+    page.text(MARGIN, layout.y, 'Summary', { font: 'bold', size: 14 });
+    layout.y += 24;
+    session.names.forEach(name => {
+        layout.ensure(22);
+        const info = session.results[name] || {};
+        const width = scoreBadge(layout.page, MARGIN, layout.y, info.error ? null : info.score, 9);
+        layout.page.text(MARGIN + width + 10, layout.y + 3, fitText(name, 'regular', 11, layout.page.width - 2 * MARGIN - width - 10), { size: 11 });
+        layout.y += 22;
+    });
+}
+
+function filingsTable(layout, details) {
+    const size = 8;
+    const lineHeight = 10;
+    const drawHeader = () => {
+        let x = MARGIN;
+        layout.page.rect(MARGIN, layout.y, layout.page.width - 2 * MARGIN, 14, { fill: '#e3eaf5' });
+        COLUMNS.forEach(col => {
+            layout.page.text(x + 3, layout.y + 3, col.header, { font: 'bold', size });
+            x += col.width;
+        });
+        layout.y += 16;
+    };
+    layout.ensure(30);
+    drawHeader();
+    details.forEach(det => {
+        // Up to two lines per cell
+        const cells = COLUMNS.map(col => {
+            const lines = wrapText(col.value(det) || '', 'regular', size, col.width - 6);
+            return lines.length > 2 ? [lines[0], fitText(lines.slice(1).join(' '), 'regular', size, col.width - 6)] : lines;
+        });
+        const height = Math.max(...cells.map(lines => lines.length)) * lineHeight + 4;
+        if (layout.ensure(height)) drawHeader();
+        let x = MARGIN;
+        cells.forEach((lines, idx) => {
+            lines.forEach((line, i) => {
+                layout.page.text(x + 3, layout.y + 2 + i * lineHeight, line, { size });
+            });
+            x += COLUMNS[idx].width;
+        });
+        layout.y += height;
+        layout.page.line(MARGIN, layout.y, layout.page.width - MARGIN, layout.y, { color: '#dddddd' });
+    });
+    layout.y += 8;
+}
+
+function nameSection(layout, name, info, decision, metadata) {
+    layout.ensure(80);
+    layout.page.line(MARGIN, layout.y, layout.page.width - MARGIN, layout.y, { color: '#1976d2', width: 1 });
+    layout.y += 10;
+    layout.page.text(MARGIN, layout.y, fitText(name, 'bold', 16, layout.page.width - 2 * MARGIN - 80), { font: 'bold', size: 16 });
+    const score = info.error ? null : info.score;
+    scoreBadge(layout.page, layout.page.width - MARGIN - badgeWidth(score, 10), layout.y, score);
+    layout.y += 28;
+    const columns = Object.entries(metadata || {}).filter(([, value]) => value);
+    if (columns.length > 0) {
+        layout.paragraph(columns.map(([column, value]) => `${column}: ${value}`).join('  ·  '), { size: 9, color: '#555555' });
+    }
+    if (info.error) {
+        layout.paragraph(`The search failed: ${info.error}`, { color: '#d32f2f' });
+        return;
+    }
+    layout.paragraph(info.explanation || '', { size: 10 });
+    if (decision) {
+        const by = [decision.reviewer && `reviewed by ${decision.reviewer}`, formatDate(decision.decidedAt)].filter(Boolean).join(', ');
+        layout.paragraph(
+            `Decision: ${DECISION_LABELS[decision.decision] || decision.decision} (${by})` +
+                (decision.note ? `. ${decision.note}` : ''),
+            { font: 'bold', size: 10 }
+        );
+    }
+    const details = (info.details || []).filter(det => det && !det.error);
+    if (details.length === 0) {
+        layout.paragraph('No filings were found.', { color: '#555555' });
+        return;
+    }
+    layout.paragraph(`${details.length} filing${details.length === 1 ? '' : 's'}:`, { size: 9, color: '#555555', gap: 2 });
+    filingsTable(layout, details);
+}
+
+// Disclaimer and page number at the foot of every page
+function footers(doc) {
+    doc.pages.forEach((page, idx) => {
+        const top = page.height - MARGIN - FOOTER_HEIGHT + 12;
+        page.line(MARGIN, top, page.width - MARGIN, top, { color: '#bbbbbb' });
+        wrapText(DISCLAIMER, 'regular', 7, page.width - 2 * MARGIN - 60).slice(0, 3).forEach((line, i) => {
+            page.text(MARGIN, top + 6 + i * 9, line, { size: 7, color: '#555555' });
+        });
+        page.text(page.width - MARGIN, top + 6, `Page ${idx + 1} of ${doc.pages.length}`, { size: 7, color: '#555555', align: 'right' });
+    });
+}
+
+/**
+ * Render a saved search as a PDF report.
+ *
+ * @param {Object} session Saved session from getSession
+ * @param {Object} [meta]
+ * @param {string} [meta.profileLabel] Label of the session's profile
+ * @param {Function} [meta.sourceLabel] Maps a source id to its label
+ * @param {Function} [meta.decisionFor] Returns a name's recorded decision
+ *     or null
+ * @param {string} [meta.generatedAt] ISO timestamp; defaults to now
+ * @returns {Buffer}
+ */
+function buildReport(session, meta = {}) {
+    const doc = createPdf({ title: 'Trademark Clearance Report', author: session.createdBy || '' });
+    const layout = createLayout(doc);
+    const options = { generatedAt: new Date().toISOString(), ...meta };
+    coverPage(layout, session, options);
+    session.names.forEach((name, idx) => {
+        // Sections start on a fresh page after the cover, then run on
+        if (idx === 0) layout.newPage();
+        nameSection(
+            layout,
+            name,
+            session.results[name] || {},
+            options.decisionFor ? options.decisionFor(name) : null,
+            (session.metadata || {})[name]
+        );
+        layout.y += 12;
+    });
+    footers(doc);
+    return doc.toBuffer();
+}
+
+module.exports = {
+    buildReport
+};
@@ -0,0 +1,175 @@
+// Shared scheduler for outbound page fetches. Every request to a remote
+// site goes through one scheduler so that, however many names and detail
+// pages are being processed at once, we never hold more than `concurrency`
+// requests open and never start two requests to the same host closer
+// together than `hostInterval` milliseconds.
+//
+// Responses with status 429 or 5xx, and network failures, are retried up
+// to `retries` times with exponential backoff (`backoff`, doubled on each
+// attempt, capped at `maxBackoff`). A `Retry-After` header takes precedence
+// over the computed delay, and the delay also holds back every other
+// request to that host, since a rate limit applies to the whole client.
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse a Retry-After header value into milliseconds. Accepts either a
+ * number of seconds or an HTTP date. Returns null when absent or invalid.
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+    return null;
+}
+
+// An option's value, or `fallback` when it is unset or not a finite
+// number: a NaN retry count would never be reached, so a failing request
+// would be retried forever
+function numberOption(value, fallback) {
+    return Number.isFinite(value) ? value : fallback;
+}
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Create a fetch scheduler.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=4] Maximum requests in flight
+ * @param {number} [options.hostInterval=500] Minimum ms between request
+ *     starts to the same host
+ * @param {number} [options.retries=3] Retries after the first attempt
+ * @param {number} [options.backoff=1000] Delay before the first retry in ms
+ * @param {number} [options.maxBackoff=30000] Upper bound for any retry delay
+ * @param {Function} [options.fetch] fetch implementation (for testing)
+ * @returns {{ fetch: Function, stats: Function }}
+ */
+function createScheduler(options = {}) {
+    const concurrency = Math.max(1, numberOption(options.concurrency, 4));
+    const hostInterval = Math.max(0, numberOption(options.hostInterval, 500));
+    const retries = Math.max(0, numberOption(options.retries, 3));
+    const backoff = Math.max(0, numberOption(options.backoff, 1000));
+    const maxBackoff = Math.max(backoff, numberOption(options.maxBackoff, 30000));
+    const doFetch = options.fetch || fetch;
+
+    const queue = [];
+    const hostNext = new Map();
+    let active = 0;
+    let timer = null;
+    let timerAt = Infinity;
+
+    // Start queued requests, oldest first, as far as the concurrency limit
+    // allows. A request whose host was used too recently stays queued
+    // without taking a slot, so that requests to other hosts can go ahead,
+    // and a timer runs pump again when the first such host is free.
+    function pump() {
+        const now = Date.now();
+        let wake = Infinity;
+        let i = 0;
+        while (i < queue.length && active < concurrency) {
+            const job = queue[i];
+            const next = hostNext.get(job.host) || 0;
+            if (next > now) {
+                wake = Math.min(wake, next);
+                i++;
+                continue;
+            }
+            queue.splice(i, 1);
+            active++;
+            hostNext.set(job.host, now + hostInterval);
+            job.resolve();
+        }
+        if (wake < timerAt) {
+            clearTimeout(timer);
+            timerAt = wake;
+            timer = setTimeout(() => {
+                timer = null;
+                timerAt = Infinity;
+                pump();
+            }, wake - now);
+        }
+    }
+
+    function acquire(host) {
+        return new Promise(resolve => {
+            queue.push({ host, resolve });
+            pump();
+        });
+    }
+
+    function release() {
+        active--;
+        pump();
+    }
+
+    // Hold back every request to a host for at least `ms` from now
+    function delayHost(host, ms) {
+        hostNext.set(host, Math.max(hostNext.get(host) || 0, Date.now() + ms));
+    }
+
+    /**
+     * Fetch a URL through the scheduler. Resolves with the final Response,
+     * which may still be an error status once retries are exhausted.
+     * Rejects with the last network error if every attempt failed.
+     */
+    async function scheduledFetch(url, init) {
+        const host = new URL(url).host;
+        for (let attempt = 0; ; attempt++) {
+            await acquire(host);
+            let res;
+            let error;
+            try {
+                res = await doFetch(url, init);
+            } catch (err) {
+                error = err;
+            } finally {
+                release();
+            }
+            const retryable = error || isRetryableStatus(res.status);
+            if (!retryable || attempt >= retries) {
+                if (error) throw error;
+                return res;
+            }
+            const retryAfter = res ? parseRetryAfter(res.headers.get('retry-after')) : null;
+            const delay = Math.min(
+                maxBackoff,
+                retryAfter != null ? retryAfter : backoff * 2 ** attempt
+            );
+            if (res && res.body) {
+                // Discard the error body so the connection can be reused
+                try {
+                    await res.arrayBuffer();
+                } catch (err) {
+                    // Ignore; the response is being thrown away
+                }
+            }
+            delayHost(host, delay);
+            await sleep(delay);
+        }
+    }
+
+    function stats() {
+        return { active, queued: queue.length };
+    }
+
+    return {
+        fetch: scheduledFetch,
+        stats
+    };
+}
+
+module.exports = {
+    createScheduler,
+    parseRetryAfter
+};
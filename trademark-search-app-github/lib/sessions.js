@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_WORKSPACE } = require('./workspaces');
+
+// Saved searches. Each completed search is stored as a session holding the
+// names, their full results, the scoring profile and source, and when it
+// was run, so that it can be shared as a read-only link (/s/<id>). One JSON
+// file per session in SESSIONS_DIR (default data/sessions); sessions are
+// never modified once written.
+//
+// Results saved by the web app and imported from JSON exports come from
+// the client, so they are checked for shape only and the session is marked
+// `clientSupplied`; the server cannot vouch for their scores.
+const sessionsDir = process.env.SESSIONS_DIR ||
+    path.join(__dirname, '..', 'data', 'sessions');
+
+// Ids are random and URL-safe; anything else is rejected before it can be
+// used in a file path.
+const ID_PATTERN = /^[A-Za-z0-9_-]{12}$/;
+
+const SCORES = ['Green', 'Yellow', 'Red'];
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sessionFile(id) {
+    return path.join(sessionsDir, `${id}.json`);
+}
+
+// Keep the metadata of the searched names only, as strings
+function cleanMetadata(metadata, names) {
+    if (!isObject(metadata)) return {};
+    const cleaned = {};
+    names.forEach(name => {
+        const columns = Object.prototype.hasOwnProperty.call(metadata, name) ? metadata[name] : null;
+        if (!isObject(columns)) return;
+        cleaned[name] = {};
+        Object.entries(columns).forEach(([column, value]) => {
+            if (value !== null && value !== undefined && typeof value !== 'object') {
+                cleaned[name][column] = String(value);
+            }
+        });
+    });
+    return cleaned;
+}
+
+/**
+ * Why results sent by a client cannot be saved, or null if they can. Each
+ * searched name needs a result shaped like processName's, or an `{ error }`.
+ *
+ * @param {string[]} names
+ * @param {*} results
+ * @returns {string|null}
+ */
+function resultsError(names, results) {
+    if (!isObject(results)) return 'Missing or invalid "results" field.';
+    const bad = names.findIndex(name => {
+        const info = Object.prototype.hasOwnProperty.call(results, name) ? results[name] : null;
+        if (!isObject(info)) return true;
+        if (typeof info.error === 'string') return false;
+        return !SCORES.includes(info.score) ||
+            (info.explanation !== undefined && typeof info.explanation !== 'string') ||
+            !Array.isArray(info.details) || !info.details.every(isObject);
+    });
+    return bad === -1 ? null : `Missing or invalid result for "${names[bad]}".`;
+}
+
+/**
+ * Save a completed search. Results for names that were not searched are
+ * dropped.
+ *
+ * @param {Object} session
+ * @param {string[]} session.names Names in the order they were searched
+ * @param {Object} session.results Results keyed by name
+ * @param {string} session.profile Scoring profile id
+ * @param {string} [session.source] Data source id
+ * @param {string} [session.workspace] Workspace the search was made in
+ * @param {string} [session.createdBy] User name, or address when accounts
+ *     are not in use, of whoever ran the search
+ * @param {Object} [session.metadata] Extra columns imported with the names
+ *     (see lib/nameImport.js), as `{ name: { column: value } }`
+ * @param {boolean} [session.clientSupplied] The results were sent by a
+ *     client rather than produced by this server
+ * @returns {{ id: string, createdAt: string }}
+ */
+function createSession({ names, results, profile, source, workspace, createdBy, metadata, clientSupplied }) {
+    const session = {
+        id: crypto.randomBytes(9).toString('base64url'),
+        createdAt: new Date().toISOString(),
+        names,
+        profile,
+        source: source || null,
+        workspace: workspace || null,
+        createdBy: createdBy || null,
+        metadata: cleanMetadata(metadata, names),
+        clientSupplied: !!clientSupplied,
+        results: Object.fromEntries(names.map(name => [name, results[name]]))
+    };
+    fs.mkdirSync(sessionsDir, { recursive: true });
+    fs.writeFileSync(sessionFile(session.id), JSON.stringify(session), 'utf8');
+    return { id: session.id, createdAt: session.createdAt };
+}
+
+/**
+ * Load a saved search, or null if there is no session with that id.
+ *
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getSession(id) {
+    if (!ID_PATTERN.test(id) || !fs.existsSync(sessionFile(id))) return null;
+    try {
+        return JSON.parse(fs.readFileSync(sessionFile(id), 'utf8'));
+    } catch (err) {
+        console.error('Error reading session file', sessionFile(id), err);
+        return null;
+    }
+}
+
+/**
+ * Saved searches made in a workspace, most recent first. Sessions saved
+ * before workspaces existed belong to the default workspace.
+ *
+ * @param {string} workspace Workspace id
+ * @returns {Object[]}
+ */
+function listSessions(workspace) {
+    if (!fs.existsSync(sessionsDir)) return [];
+    return fs.readdirSync(sessionsDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => getSession(file.slice(0, -'.json'.length)))
+        .filter(session => session && (session.workspace || DEFAULT_WORKSPACE) === workspace)
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+module.exports = {
+    resultsError,
+    createSession,
+    getSession,
+    listSessions
+};
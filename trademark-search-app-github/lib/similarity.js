@@ -0,0 +1,136 @@
+// Similarity between a searched name and the word mark of a filing the
+// remote search returned. The remote search matches substrings, so a search
+// for "Dragon" also returns "SNAPDRAGONS GARDEN CENTRE"; these measures let
+// scoring tell a genuine conflict from an incidental hit.
+//
+// Four signals are combined:
+//   exact        normalised strings are identical
+//   edit         1 - Levenshtein distance / longer length (spaces ignored)
+//   phonetic     share of searched words that sound like a word in the mark
+//   containment  share of searched words that appear verbatim in the mark
+//
+// An exact match scores 1; otherwise the score is a weighted blend of the
+// other three.
+const WEIGHTS = {
+    edit: 0.4,
+    phonetic: 0.3,
+    containment: 0.3
+};
+
+function tokenize(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+}
+
+// Soundex keeps the first letter verbatim, so spellings such as "Kash" and
+// "Cash" or "Phortune" and "Fortune" would never match. Rewriting the most
+// common English sound-alike spellings first avoids that.
+function respell(word) {
+    return word
+        .replace(/^kn/, 'n')
+        .replace(/^wr/, 'r')
+        .replace(/^ps/, 's')
+        .replace(/ph/g, 'f')
+        .replace(/ck/g, 'k')
+        .replace(/qu/g, 'kw')
+        .replace(/x/g, 'ks')
+        .replace(/c(?=[eiy])/g, 's')
+        .replace(/c/g, 'k')
+        .replace(/z/g, 's');
+}
+
+const SOUNDEX_CODES = {
+    b: '1', f: '1', p: '1', v: '1',
+    c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+    d: '3', t: '3',
+    l: '4',
+    m: '5', n: '5',
+    r: '6'
+};
+
+function soundex(word) {
+    const letters = respell(word).replace(/[^a-z]/g, '');
+    if (!letters) return word;
+    let code = letters[0].toUpperCase();
+    let last = SOUNDEX_CODES[letters[0]] || '';
+    for (let i = 1; i < letters.length && code.length < 4; i++) {
+        const ch = letters[i];
+        const digit = SOUNDEX_CODES[ch] || '';
+        if (digit && digit !== last) {
+            code += digit;
+        }
+        // h and w do not separate letters with the same code; vowels do
+        if (ch !== 'h' && ch !== 'w') {
+            last = digit;
+        }
+    }
+    return code.padEnd(4, '0');
+}
+
+function round(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/**
+ * Compare a searched name against a filing's word mark.
+ *
+ * @param {string} name Searched name
+ * @param {string} wordMark Word mark of the filing
+ * @returns {{ score: number, exact: boolean, edit: number, phonetic: number,
+ *     containment: number }|null} Every measure lies between 0 and 1. Null
+ *     when either side has no words (e.g. purely figurative marks).
+ */
+function compareMarks(name, wordMark) {
+    const nameTokens = tokenize(name);
+    const markTokens = tokenize(wordMark);
+    if (nameTokens.length === 0 || markTokens.length === 0) {
+        return null;
+    }
+    const a = nameTokens.join('');
+    const b = markTokens.join('');
+    const exact = a === b;
+    const edit = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+    const markSounds = new Set(markTokens.map(soundex));
+    const phonetic = nameTokens.filter(t => markSounds.has(soundex(t))).length / nameTokens.length;
+    const markSet = new Set(markTokens);
+    const containment = nameTokens.filter(t => markSet.has(t)).length / nameTokens.length;
+    const score = exact ?
+        1 :
+        WEIGHTS.edit * edit + WEIGHTS.phonetic * phonetic + WEIGHTS.containment * containment;
+    return {
+        score: round(score),
+        exact,
+        edit: round(edit),
+        phonetic: round(phonetic),
+        containment: round(containment)
+    };
+}
+
+module.exports = {
+    compareMarks,
+    levenshtein,
+    soundex
+};
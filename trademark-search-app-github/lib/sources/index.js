@@ -0,0 +1,73 @@
+// Registry of data-source adapters. An adapter provides filings for a
+// search term in one of two ways:
+//
+//   Scraping adapters fetch pages over the network and implement
+//     buildSearchUrl(name)       -> URL of the search results page
+//     extractDetailLinks(html)   -> absolute URLs of filing detail pages
+//     parseDetail(html)          -> parsed filing from a detail page
+//   processName fetches and caches the pages for them.
+//
+//   Local adapters answer directly and implement
+//     lookup(name)               -> Promise of normalised filings
+//     lookupOwner(owner)         -> the same, for an owner: query
+//     lookupApplication(number)  -> the same, for an app: query
+//
+// Scraping adapters answer app: queries by searching for the number. They
+// cannot answer owner: queries, since the filings stored so far are only
+// those other searches happened to find (see lib/query.js).
+//
+// Every adapter also has an `id`, a human readable `label`, an `offline`
+// flag, an `available()` check and a `normalise(raw)` function that maps
+// its parsed records onto the standard detail shape (see normalise.js).
+const trademarkelite = require('./trademarkelite');
+const ipgod = require('./ipgod');
+
+const sources = {
+    [trademarkelite.id]: trademarkelite,
+    [ipgod.id]: ipgod
+};
+
+// Only the adapters themselves, not names like "constructor" that every
+// object inherits
+function hasSource(id) {
+    return Object.prototype.hasOwnProperty.call(sources, id);
+}
+
+const defaultSourceId = hasSource(process.env.TRADEMARK_SOURCE) ?
+    process.env.TRADEMARK_SOURCE :
+    trademarkelite.id;
+
+/**
+ * Look up an adapter by id, falling back to the default when no id is
+ * given. Returns null for an id that does not exist.
+ *
+ * @param {string} [id]
+ * @returns {Object|null}
+ */
+function getSource(id) {
+    if (!id) return sources[defaultSourceId];
+    return hasSource(id) ? sources[id] : null;
+}
+
+/**
+ * Describe every adapter for clients choosing a source.
+ *
+ * @returns {{ default: string, sources: Object[] }}
+ */
+function listSources() {
+    return {
+        default: defaultSourceId,
+        sources: Object.values(sources).map(source => ({
+            id: source.id,
+            label: source.label,
+            offline: source.offline,
+            ownerSearch: !!source.lookupOwner,
+            available: source.available()
+        }))
+    };
+}
+
+module.exports = {
+    getSource,
+    listSources
+};
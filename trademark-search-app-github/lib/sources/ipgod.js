@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const { readCsvFile } = require('../csv');
+const { normaliseDetail } = require('./normalise');
+const { ownerKey } = require('../owners');
+
+// Offline source adapter backed by IP Australia's Intellectual Property
+// Government Open Data (IPGOD) trade mark tables. Download the CSV files
+// into IPGOD_DIR (default: data/ipgod next to server.js) and searches run
+// entirely against them without touching the network.
+//
+// IPGOD splits a trade mark across several tables (summary, applicants,
+// classes, ...) that share the application number, and column names have
+// changed between releases. Every *.csv file in the directory is therefore
+// read, columns are recognised by the aliases below, and rows are merged
+// per application number. Files without an application number column are
+// skipped. The merged index is built on first use and rebuilt whenever a
+// file in the directory changes.
+const dataDir = process.env.IPGOD_DIR || path.join(__dirname, '..', '..', 'data', 'ipgod');
+
+// Header aliases, compared in compact() form.
+const COLUMN_ALIASES = {
+    applicationNumber: ['tmnumber', 'tmno', 'applicationnumber', 'australianapplno', 'applno'],
+    wordMark: ['words', 'wordmark', 'marktext', 'tmtext', 'trademarktext'],
+    ownerName: ['applicantname', 'ownername', 'cleanname'],
+    ownerAddress: ['applicantaddress', 'owneraddress'],
+    filingDate: ['lodgementdate', 'filingdate', 'applicationdate'],
+    registrationDate: ['registrationdate', 'registereddate', 'enteredonregisterdate', 'entryonregisterdate'],
+    renewalDate: ['renewaldate', 'renewalduedate', 'expirydate', 'expirationdate'],
+    priorityDate: ['prioritydate', 'earliestprioritydate', 'conventiondate'],
+    markType: ['marktype', 'tmtype', 'trademarktype', 'kindofmark'],
+    irNumber: ['irnumber', 'irno', 'internationalregistrationnumber', 'madridnumber'],
+    agent: ['agentname', 'attorneyname', 'agent', 'attorney'],
+    statusDesc: ['status', 'tmstatus', 'statusdescription', 'currentstatus'],
+    classes: ['classcode', 'niceclass', 'class', 'classes', 'classnumber'],
+    goodsServices: ['goodsservices', 'goodsandservices', 'description', 'specification']
+};
+
+// Lowercase and strip everything but letters and digits. Used both to
+// match column headers and to compare word marks.
+function compact(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Bare headers that say whose they are only through their table: "name"
+// is the owner's in the applicants table but the attorney's in the agents
+// table. They count only in files named after the owner's table.
+const OWNER_TABLE = /applicant|owner/i;
+const OWNER_TABLE_ALIASES = {
+    ownerName: ['name'],
+    ownerAddress: ['address']
+};
+
+function mapColumns(headers, file) {
+    const keys = headers.map(compact);
+    const columns = {};
+    const ownerTable = OWNER_TABLE.test(path.basename(file));
+    Object.entries(COLUMN_ALIASES).forEach(([field, generalAliases]) => {
+        const aliases = ownerTable && OWNER_TABLE_ALIASES[field] ?
+            [...generalAliases, ...OWNER_TABLE_ALIASES[field]] :
+            generalAliases;
+        for (const alias of aliases) {
+            const idx = keys.indexOf(alias);
+            if (idx !== -1) {
+                columns[field] = idx;
+                break;
+            }
+        }
+    });
+    return columns;
+}
+
+function listCsvFiles() {
+    if (!fs.existsSync(dataDir)) return [];
+    return fs.readdirSync(dataDir)
+        .filter(f => f.toLowerCase().endsWith('.csv'))
+        .sort()
+        .map(f => path.join(dataDir, f));
+}
+
+// Identifies the current set of files so that the index is rebuilt when
+// a new release is dropped into the directory.
+function directorySignature(files) {
+    return files.map(f => {
+        const stat = fs.statSync(f);
+        return `${f}:${stat.size}:${stat.mtimeMs}`;
+    }).join('|');
+}
+
+async function buildIndex(files) {
+    const records = new Map();
+    for (const file of files) {
+        let columns = null;
+        await readCsvFile(file, row => {
+            if (!columns) {
+                columns = mapColumns(row, file);
+                return;
+            }
+            if (columns.applicationNumber === undefined) return;
+            const appNo = (row[columns.applicationNumber] || '').trim();
+            if (!appNo) return;
+            let rec = records.get(appNo);
+            if (!rec) {
+                rec = { applicationNumber: appNo, classes: [], goodsServices: [] };
+                records.set(appNo, rec);
+            }
+            ['wordMark', 'ownerName', 'ownerAddress', 'filingDate', 'registrationDate', 'renewalDate',
+                'priorityDate', 'markType', 'irNumber', 'agent', 'statusDesc'].forEach(field => {
+                const idx = columns[field];
+                if (idx !== undefined && row[idx] && !rec[field]) {
+                    rec[field] = row[idx].trim();
+                }
+            });
+            if (columns.classes !== undefined && row[columns.classes]) {
+                const rowClasses = row[columns.classes].split(/[,;\s]+/).filter(Boolean);
+                rec.classes.push(...rowClasses);
+                // The goods and services table has one row per class
+                if (columns.goodsServices !== undefined && row[columns.goodsServices] && rowClasses.length === 1) {
+                    rec.goodsServices.push({
+                        class: rowClasses[0],
+                        description: row[columns.goodsServices]
+                    });
+                }
+            }
+        });
+    }
+    // Owner searches compare ownerKey forms, so work each one out once
+    // here rather than for every record on every search
+    const ownerKeys = new Map();
+    records.forEach((rec, appNo) => ownerKeys.set(appNo, ownerKey(rec.ownerName)));
+    return { records, ownerKeys };
+}
+
+let index = null;
+let indexSignature = '';
+
+async function getIndex() {
+    const files = listCsvFiles();
+    if (files.length === 0) {
+        // An empty dataset would make every name look available
+        throw new Error(`No IPGOD CSV files found in ${dataDir}`);
+    }
+    const signature = directorySignature(files);
+    if (!index || signature !== indexSignature) {
+        indexSignature = signature;
+        index = buildIndex(files).catch(err => {
+            // Let the next search retry instead of caching the failure
+            index = null;
+            throw err;
+        });
+    }
+    return index;
+}
+
+// LIVE or DEAD comes from the status description's lifecycle stage (see
+// lib/lifecycle.js), which normaliseDetail works out
+function normalise(rec) {
+    return normaliseDetail({
+        ...rec,
+        detailUrl: `https://search.ipaustralia.gov.au/trademarks/search/view/${encodeURIComponent(rec.applicationNumber)}`
+    });
+}
+
+/**
+ * Find every filing whose word mark contains the name, ignoring case and
+ * punctuation, mirroring the substring behaviour of the online search.
+ *
+ * @param {string} name Search term
+ * @returns {Promise<Object[]>} Normalised details
+ */
+async function lookup(name) {
+    const { records } = await getIndex();
+    const needle = compact(name);
+    if (!needle) return [];
+    const matches = [];
+    records.forEach(rec => {
+        if (rec.wordMark && compact(rec.wordMark).includes(needle)) {
+            matches.push(normalise(rec));
+        }
+    });
+    return matches;
+}
+
+/**
+ * Find every filing whose owner matches, as ownerMatches would.
+ *
+ * @param {string} owner
+ * @returns {Promise<Object[]>} Normalised details
+ */
+async function lookupOwner(owner) {
+    const { records, ownerKeys } = await getIndex();
+    const needle = ownerKey(owner);
+    if (!needle) return [];
+    const matches = [];
+    ownerKeys.forEach((key, appNo) => {
+        if (key.includes(needle)) matches.push(normalise(records.get(appNo)));
+    });
+    return matches;
+}
+
+/**
+ * Find the filing with an application number.
+ *
+ * @param {string} applicationNumber
+ * @returns {Promise<Object[]>} The normalised detail, or none
+ */
+async function lookupApplication(applicationNumber) {
+    const { records } = await getIndex();
+    const rec = records.get(applicationNumber);
+    return rec ? [normalise(rec)] : [];
+}
+
+module.exports = {
+    id: 'ipgod',
+    label: 'IP Australia IPGOD (offline)',
+    offline: true,
+    available: () => listCsvFiles().length > 0,
+    lookup,
+    lookupOwner,
+    lookupApplication,
+    normalise
+};
@@ -0,0 +1,130 @@
+// Shared normaliser for source adapters. Whatever shape an adapter's parser
+// produces, the rest of the app (scoring, the cache, the UI and exports)
+// relies on every filing carrying these fields with these types.
+const { stageFromStatus, stageStatus } = require('../lifecycle');
+
+function text(value) {
+    return value == null ? '' : String(value).replace(/\s+/g, ' ').trim();
+}
+
+function padClass(cls) {
+    return String(cls).trim().padStart(3, '0');
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function isoParts(year, month, day) {
+    const y = Number(year);
+    const m = Number(month);
+    const d = Number(day);
+    if (!y || m < 1 || m > 12 || d < 1 || d > 31) return '';
+    const date = new Date(Date.UTC(y, m - 1, d));
+    // Reject dates such as 31/02 that Date would roll over
+    if (date.getUTCMonth() !== m - 1) return '';
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Convert a date as printed by a source to YYYY-MM-DD, or '' when it
+ * cannot be read. Numeric dates are taken as day/month/year, the order
+ * used by IP Australia.
+ *
+ * @param {string} value e.g. "2019-03-14", "14/03/2019", "14 Mar 2019",
+ *     "March 14, 2019"
+ * @returns {string}
+ */
+function isoDate(value) {
+    const v = text(value);
+    if (!v) return '';
+    let m = v.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (m) return isoParts(m[1], m[2], m[3]);
+    m = v.match(/^(\d{1,2})[/.\-](\d{1,2})[/.\-](\d{4})$/);
+    if (m) return isoParts(m[3], m[2], m[1]);
+    m = v.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s\-]+([a-z]{3,})\.?[\s\-,]+(\d{4})$/i);
+    if (m) return isoParts(m[3], MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()) + 1, m[1]);
+    m = v.match(/^([a-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i);
+    if (m) return isoParts(m[3], MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()) + 1, m[2]);
+    return '';
+}
+
+/**
+ * Map a source's description of the kind of mark onto 'word',
+ * 'figurative' or 'series'. Anything else that is given becomes 'other'.
+ */
+function markType(value) {
+    const v = text(value).toLowerCase();
+    if (!v) return '';
+    if (/series/.test(v)) return 'series';
+    if (/figurative|device|image|logo|fancy|composite|shape|colour|3d/.test(v)) return 'figurative';
+    if (/word|text|standard character|plain/.test(v)) return 'word';
+    return 'other';
+}
+
+/**
+ * Normalise a parsed filing into the standard detail shape. `lifecycle` is
+ * a stage id from lib/lifecycle.js, or '' when the status description is
+ * not recognised.
+ *
+ * @param {Object} raw Parsed filing from an adapter
+ * @returns {{ applicationNumber: string, wordMark: string, ownerName: string,
+ *     ownerAddress: string, owner: string, filingDate: string,
+ *     registrationDate: string, renewalDate: string, priorityDate: string,
+ *     markType: string, imageUrl: string, irNumber: string, agent: string,
+ *     status: string, statusDesc: string, lifecycle: string, classes: string[],
+ *     goodsServices: { class: string, description: string }[],
+ *     detailUrl?: string }} Dates are YYYY-MM-DD or ''
+ */
+function normaliseDetail(raw) {
+    const ownerName = text(raw.ownerName);
+    const ownerAddress = text(raw.ownerAddress);
+    let classes = raw.classes;
+    if (typeof classes === 'string') {
+        classes = classes.split(/[,\s]+/);
+    }
+    classes = Array.from(new Set((classes || [])
+        .map(cls => String(cls).trim())
+        .filter(cls => /^\d{1,3}$/.test(cls))
+        .map(padClass)))
+        .sort();
+    const goodsServices = (Array.isArray(raw.goodsServices) ? raw.goodsServices : [])
+        .map(gs => ({
+            class: /^\d{1,3}$/.test(String(gs.class).trim()) ? padClass(gs.class) : '',
+            description: text(gs.description)
+        }))
+        .filter(gs => gs.class && gs.description);
+    // A class with a specification is a class of the filing even if the
+    // parser missed it elsewhere
+    goodsServices.forEach(gs => {
+        if (!classes.includes(gs.class)) classes.push(gs.class);
+    });
+    classes.sort();
+    const statusDesc = text(raw.statusDesc);
+    const lifecycle = stageFromStatus(statusDesc);
+    // A recognised stage overrides the source's own LIVE/DEAD reading
+    const status = stageStatus(lifecycle) || text(raw.status).toUpperCase();
+    return {
+        ...raw,
+        applicationNumber: text(raw.applicationNumber),
+        wordMark: text(raw.wordMark),
+        ownerName,
+        ownerAddress,
+        owner: ownerAddress ? `${ownerName}, ${ownerAddress}` : ownerName,
+        filingDate: isoDate(raw.filingDate),
+        registrationDate: isoDate(raw.registrationDate),
+        renewalDate: isoDate(raw.renewalDate),
+        priorityDate: isoDate(raw.priorityDate),
+        markType: markType(raw.markType),
+        imageUrl: text(raw.imageUrl),
+        irNumber: text(raw.irNumber),
+        agent: text(raw.agent),
+        status: status === 'LIVE' || status === 'DEAD' ? status : '',
+        statusDesc,
+        lifecycle,
+        classes,
+        goodsServices
+    };
+}
+
+module.exports = {
+    normaliseDetail
+};
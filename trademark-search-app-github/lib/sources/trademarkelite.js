@@ -0,0 +1,213 @@
+// Source adapter for www.trademarkelite.com. The site has no API, so the
+// adapter scrapes its search results page for links to individual filings
+// and then scrapes each filing's detail page.
+const { normaliseDetail } = require('./normalise');
+
+const baseUrl = 'https://www.trademarkelite.com';
+
+function buildSearchUrl(name) {
+    return `${baseUrl}/australia/trademark/trademark-search.aspx?sw=${encodeURIComponent(name)}`;
+}
+
+/**
+ * Find every distinct filing detail link on a search results page.
+ *
+ * @param {string} html Search results page
+ * @returns {string[]} Absolute detail page URLs
+ */
+function extractDetailLinks(html) {
+    const regex = /\/australia\/trademark\/trademark-detail\/\d+\/[^"'>]+/gi;
+    const matches = html.match(regex) || [];
+    return Array.from(new Set(matches)).map(rel => baseUrl + rel);
+}
+
+function parseDetail(html) {
+    function extractTableValue(label) {
+        const regex = new RegExp(
+            `<th[^>]*>\\s*${label}\\s*<\\/th>\\s*<td[^>]*>([\\s\\S]*?)<\\/td>`,
+            'i'
+        );
+        const m = html.match(regex);
+        if (m) {
+            const raw = m[1]
+                .replace(/<[^>]*>/g, ' ')
+                .replace(/&nbsp;/gi, ' ')
+                .replace(/&amp;/gi, '&')
+                .replace(/\s+/g, ' ')
+                .trim();
+            return raw;
+        }
+        return '';
+    }
+
+    // The site's labels vary between filings, so try each in turn
+    function firstTableValue(...labels) {
+        for (const label of labels) {
+            const value = extractTableValue(label);
+            if (value) return value;
+        }
+        return '';
+    }
+
+    const applicationNumber = extractTableValue('Application Number');
+    const wordMark = extractTableValue('Word Mark');
+    const filingDate = extractTableValue('Filing Date');
+    const registrationDate = firstTableValue('Registration Date', 'Registered Date', 'Entered on Register');
+    const renewalDate = firstTableValue('Renewal Date', 'Renewal Due Date', 'Expiration Date', 'Expiry Date');
+    const priorityDate = firstTableValue('Priority Date');
+    const markType = firstTableValue('Mark Type', 'Trademark Type', 'Type of Mark');
+    const irNumber = firstTableValue('International Registration Number', 'IR Number', 'International Registration');
+    const agent = firstTableValue('Attorney', 'Agent', 'Correspondent');
+    let ownerName = '';
+    let ownerAddress = '';
+    {
+        const ownerMatch = html.match(/<th[^>]*>\s*Trademark\s*Owner\s*<\/th>\s*<td[^>]*>([\s\S]*?)<\/td>/i);
+        if (ownerMatch) {
+            const tdHtml = ownerMatch[1];
+            const divRegex = /<div[^>]*>([\s\S]*?)<\/div>/gi;
+            const parts = [];
+            let d;
+            while ((d = divRegex.exec(tdHtml)) !== null) {
+                let text = d[1]
+                    .replace(/<[^>]*>/g, ' ')
+                    .replace(/&nbsp;/gi, ' ')
+                    .replace(/\s+/g, ' ')
+                    .trim();
+                text = text.replace(/\s*[-]+>\s*/g, ' ');
+                if (text) parts.push(text);
+            }
+            if (parts.length > 0) {
+                ownerName = parts[0];
+                if (parts.length > 1) {
+                    ownerAddress = parts.slice(1).join(' ');
+                }
+            } else {
+                let cleaned = tdHtml
+                    .replace(/<[^>]*>/g, ' ')
+                    .replace(/&nbsp;/gi, ' ')
+                    .replace(/\s+/g, ' ')
+                    .trim();
+                const arrowSplit = cleaned.split(/\s*-*(?:>|&gt;)\s*|\s*→\s*/i).filter(Boolean);
+                if (arrowSplit.length > 0) {
+                    ownerName = arrowSplit[0].trim();
+                    if (arrowSplit.length > 1) {
+                        ownerAddress = arrowSplit.slice(1).join(' ').trim();
+                    }
+                } else {
+                    const withoutArrow = cleaned.replace(/\s*[-]+>\s*/g, ' ').trim();
+                    ownerName = withoutArrow;
+                }
+            }
+        }
+    }
+
+    // The status description decides the lifecycle stage (see
+    // lib/lifecycle.js). The LIVE/DEAD badge is only a fallback for
+    // descriptions that are missing or not recognised, and must be an
+    // element of its own so that "live" elsewhere on the page is ignored.
+    let statusDesc = firstTableValue('Current Status', 'Status');
+    if (!statusDesc) {
+        const match = html.match(/Current\s+Status\s+([^<\n]+)/i);
+        if (match) {
+            statusDesc = match[1].trim();
+        }
+    }
+    let status = '';
+    {
+        const match = html.match(/>\s*(LIVE|DEAD)\s*</);
+        if (match) {
+            status = match[1];
+        }
+    }
+
+    // Classes mentioned anywhere on the page, except in the list of other
+    // filings under "Similar Trademarks"
+    const classes = [];
+    {
+        const similarAt = html.search(/Similar\s+Trademarks/i);
+        const ownHtml = similarAt === -1 ? html : html.slice(0, similarAt);
+        const regex = /Class\s*(\d{1,3})\b/gi;
+        let m;
+        const set = new Set();
+        while ((m = regex.exec(ownHtml)) !== null) {
+            set.add(m[1]);
+        }
+        classes.push(...set);
+    }
+
+    // Goods and services text per class. The detail page lists each class
+    // as "Class 041" followed by its specification, so the page text from
+    // the goods and services heading onwards is split on those markers.
+    // The last specification is cut off at the next known section heading.
+    const goodsServices = [];
+    {
+        const text = html
+            .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&nbsp;/gi, ' ')
+            .replace(/&amp;/gi, '&')
+            .replace(/\s+/g, ' ');
+        const start = text.search(/Goods\s*(?:and|&)\s*Services/i);
+        if (start !== -1) {
+            let section = text.slice(start);
+            const end = section.search(/Trademark\s+Owner|Correspondent|Attorney|Prosecution\s+History|Trademark\s+Events|Similar\s+Trademarks/i);
+            if (end > 0) section = section.slice(0, end);
+            const regex = /Class\s*(\d{1,3})\b\s*[:\-–]?\s*([\s\S]*?)(?=Class\s*\d{1,3}\b|$)/gi;
+            let m;
+            while ((m = regex.exec(section)) !== null) {
+                const description = m[2].trim();
+                if (description) {
+                    goodsServices.push({ class: m[1], description });
+                }
+            }
+        }
+    }
+
+    // The mark's image, if any, is the one served from the site's mark
+    // image path; other images on the page are logos and icons
+    let imageUrl = '';
+    {
+        const regex = /<img[^>]+src=["']([^"']+)["']/gi;
+        let m;
+        while ((m = regex.exec(html)) !== null) {
+            if (/trademark[-_]?image|tmimage|\/mark[-_]?images?\//i.test(m[1])) {
+                imageUrl = new URL(m[1].replace(/&amp;/g, '&'), baseUrl).href;
+                break;
+            }
+        }
+    }
+
+    const owner = ownerAddress ?
+        `${ownerName}, ${ownerAddress}` :
+        ownerName;
+    return {
+        applicationNumber,
+        wordMark,
+        ownerName,
+        ownerAddress,
+        owner,
+        filingDate,
+        registrationDate,
+        renewalDate,
+        priorityDate,
+        markType,
+        imageUrl,
+        irNumber,
+        agent,
+        status,
+        statusDesc,
+        classes,
+        goodsServices
+    };
+}
+
+module.exports = {
+    id: 'trademarkelite',
+    label: 'trademarkelite.com',
+    offline: false,
+    available: () => true,
+    buildSearchUrl,
+    extractDetailLinks,
+    parseDetail,
+    normalise: normaliseDetail
+};
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_WORKSPACE } = require('./workspaces');
+
+// Local user accounts. Each account has a role and the workspaces it
+// belongs to (see lib/workspaces.js):
+//
+//   viewer    read results, history, the watchlist and shared searches
+//   searcher  also run searches, save them and change the watchlist
+//   admin     also manage accounts and workspaces, use every workspace and
+//             the /api/admin routes
+//
+// Passwords are stored as salted scrypt hashes. Accounts live in
+// USERS_FILE (default data/users.json). While there are no accounts the
+// server does not ask anyone to log in (see lib/auth.js).
+const usersFile = process.env.USERS_FILE ||
+    path.join(__dirname, '..', 'data', 'users.json');
+
+const ROLES = ['viewer', 'searcher', 'admin'];
+
+const NAME_PATTERN = /^[A-Za-z0-9._@-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function load() {
+    if (!fs.existsSync(usersFile)) return [];
+    try {
+        const data = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+        return Array.isArray(data.users) ? data.users : [];
+    } catch (err) {
+        console.error('Error reading users file', usersFile, err);
+        return [];
+    }
+}
+
+function save(users) {
+    fs.mkdirSync(path.dirname(usersFile), { recursive: true });
+    fs.writeFileSync(usersFile, JSON.stringify({ users }, null, 2), 'utf8');
+}
+
+/**
+ * Hash a password for storage as `scrypt$<salt>$<hash>`.
+ *
+ * @param {string} password
+ * @returns {string}
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 64);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * @param {string} password
+ * @param {string} stored From hashPassword
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Accounts as returned to callers, without the password hash
+function publicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+function validate({ role, password, workspaces }) {
+    if (role !== undefined && !ROLES.includes(role)) {
+        return `Role must be one of ${ROLES.join(', ')}.`;
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+    }
+    if (workspaces !== undefined && (!Array.isArray(workspaces) || !workspaces.every(w => typeof w === 'string'))) {
+        return '"workspaces" must be a list of workspace ids.';
+    }
+    return null;
+}
+
+/**
+ * @returns {boolean} Whether any account exists
+ */
+function hasUsers() {
+    return load().length > 0;
+}
+
+/**
+ * @returns {Object[]} Every account, without password hashes
+ */
+function listUsers() {
+    return load().map(publicUser);
+}
+
+/**
+ * @param {string} name
+ * @returns {Object|null} The account, without its password hash
+ */
+function getUser(name) {
+    const user = load().find(u => u.name === name);
+    return user ? publicUser(user) : null;
+}
+
+/**
+ * Create an account.
+ *
+ * @param {{ name: string, password: string, role?: string, workspaces?: string[] }} account
+ * @returns {{ user?: Object, error?: string }}
+ */
+function createUser({ name, password, role = 'searcher', workspaces = [DEFAULT_WORKSPACE] }) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        return { error: 'Missing or invalid "name" field.' };
+    }
+    const error = validate({ role, password: password === undefined ? '' : password, workspaces });
+    if (error) return { error };
+    const users = load();
+    if (users.some(u => u.name === name)) {
+        return { error: `User "${name}" already exists.` };
+    }
+    const user = {
+        name,
+        role,
+        workspaces,
+        passwordHash: hashPassword(password),
+        createdAt: new Date().toISOString()
+    };
+    users.push(user);
+    save(users);
+    return { user: publicUser(user) };
+}
+
+/**
+ * Change an account's password, role or workspaces.
+ *
+ * @param {string} name
+ * @param {{ password?: string, role?: string, workspaces?: string[] }} changes
+ * @returns {{ user?: Object, error?: string }|null} null if there is no
+ *     such account
+ */
+function updateUser(name, { password, role, workspaces }) {
+    const users = load();
+    const user = users.find(u => u.name === name);
+    if (!user) return null;
+    const error = validate({ role, password, workspaces });
+    if (error) return { error };
+    if (password !== undefined) user.passwordHash = hashPassword(password);
+    if (role !== undefined) user.role = role;
+    if (workspaces !== undefined) user.workspaces = workspaces;
+    save(users);
+    return { user: publicUser(user) };
+}
+
+/**
+ * @returns {boolean} Whether the account existed
+ */
+function removeUser(name) {
+    const users = load();
+    const remaining = users.filter(u => u.name !== name);
+    if (remaining.length === users.length) return false;
+    save(remaining);
+    return true;
+}
+
+/**
+ * Check a name and password.
+ *
+ * @returns {Object|null} The account, or null if either is wrong
+ */
+function authenticateUser(name, password) {
+    const user = load().find(u => u.name === name);
+    if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+        return null;
+    }
+    return publicUser(user);
+}
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    hasUsers,
+    listUsers,
+    getUser,
+    createUser,
+    updateUser,
+    removeUser,
+    authenticateUser
+};
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { snapshotOf, diffSnapshots, mergeSnapshots } = require('./changes');
+const { listWorkspaces, workspaceFile } = require('./workspaces');
+
+// Server-side watchlist of names to re-check periodically. Each entry
+// keeps the name with the profile and source it was first searched with,
+// a snapshot of the last result and a list of changes found between
+// snapshots (see lib/changes.js). The first check of a name only records
+// its baseline.
+//
+// Entries live in WATCHLIST_FILE (default data/watchlist.json), or each
+// workspace's own watchlist.json (see lib/workspaces.js), and are due for
+// a re-check once WATCH_INTERVAL_HOURS (default 24) have passed since the
+// last one. startWatching() polls every workspace for due entries in the
+// background.
+const defaultWatchlistFile = process.env.WATCHLIST_FILE ||
+    path.join(__dirname, '..', 'data', 'watchlist.json');
+const intervalMs = (Number(process.env.WATCH_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Oldest changes are dropped beyond this many per entry
+const MAX_CHANGES = 100;
+
+function load(workspace) {
+    const watchlistFile = workspaceFile(workspace, 'watchlist.json', defaultWatchlistFile);
+    if (!fs.existsSync(watchlistFile)) return [];
+    try {
+        const data = JSON.parse(fs.readFileSync(watchlistFile, 'utf8'));
+        return Array.isArray(data.entries) ? data.entries : [];
+    } catch (err) {
+        console.error('Error reading watchlist file', watchlistFile, err);
+        return [];
+    }
+}
+
+function save(workspace, entries) {
+    const watchlistFile = workspaceFile(workspace, 'watchlist.json', defaultWatchlistFile);
+    try {
+        fs.mkdirSync(path.dirname(watchlistFile), { recursive: true });
+        fs.writeFileSync(watchlistFile, JSON.stringify({ entries }, null, 2), 'utf8');
+    } catch (err) {
+        console.error('Error writing watchlist file', watchlistFile, err);
+    }
+}
+
+// Entries are read and written as a whole; update() re-reads the file so
+// that a long-running check does not overwrite changes made meanwhile.
+function update(workspace, id, fn) {
+    const entries = load(workspace);
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return null;
+    fn(entry);
+    save(workspace, entries);
+    return entry;
+}
+
+function sameName(a, b) {
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+function isDue(entry, now = Date.now()) {
+    if (!entry.lastCheckedAt) return true;
+    return now - Date.parse(entry.lastCheckedAt) >= intervalMs;
+}
+
+// What the UI needs: the snapshot's filings are only used for diffing
+function summarise(entry) {
+    const { snapshot, ...rest } = entry;
+    return {
+        ...rest,
+        score: snapshot ? snapshot.score : null,
+        explanation: snapshot ? snapshot.explanation : null,
+        filings: snapshot ? Object.keys(snapshot.filings).length : 0,
+        unseen: entry.changes.filter(c => !c.seen).length,
+        nextCheckAt: new Date(
+            entry.lastCheckedAt ? Date.parse(entry.lastCheckedAt) + intervalMs : Date.now()
+        ).toISOString()
+    };
+}
+
+/**
+ * Every watched name in a workspace, most recently changed first.
+ *
+ * @param {string} [workspace] Workspace id
+ */
+function listWatches(workspace) {
+    const latest = e => (e.changes.length > 0 ? e.changes[e.changes.length - 1].at : e.addedAt);
+    return {
+        intervalHours: intervalMs / (60 * 60 * 1000),
+        entries: load(workspace)
+            .sort((a, b) => latest(b).localeCompare(latest(a)))
+            .map(summarise)
+    };
+}
+
+/**
+ * Start watching a name. Watching a name that is already watched returns
+ * the existing entry.
+ *
+ * @param {string} workspace Workspace id
+ * @param {{ name: string, profile: string, source: string }} watch
+ * @returns {{ entry: Object, created: boolean }}
+ */
+function addWatch(workspace, { name, profile, source }) {
+    const entries = load(workspace);
+    const existing = entries.find(e => sameName(e.name, name));
+    if (existing) return { entry: summarise(existing), created: false };
+    const entry = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name: name.trim(),
+        profile,
+        source,
+        addedAt: new Date().toISOString(),
+        lastCheckedAt: null,
+        lastError: null,
+        snapshot: null,
+        changes: []
+    };
+    entries.push(entry);
+    save(workspace, entries);
+    return { entry: summarise(entry), created: true };
+}
+
+/**
+ * @returns {boolean} Whether the entry existed
+ */
+function removeWatch(workspace, id) {
+    const entries = load(workspace);
+    const remaining = entries.filter(e => e.id !== id);
+    if (remaining.length === entries.length) return false;
+    save(workspace, remaining);
+    return true;
+}
+
+/**
+ * Mark every change of an entry as seen.
+ *
+ * @returns {Object|null} The updated entry, or null if it does not exist
+ */
+function markSeen(workspace, id) {
+    const entry = update(workspace, id, e => {
+        e.changes.forEach(c => {
+            c.seen = true;
+        });
+    });
+    return entry && summarise(entry);
+}
+
+/**
+ * Re-run the search for an entry and record what changed.
+ *
+ * @param {string} workspace Workspace id
+ * @param {string} id
+ * @param {Function} runSearch Called with the entry and the workspace id;
+ *     resolves to a processName result
+ * @returns {Promise<Object|null>} The updated entry, or null if it does
+ *     not exist
+ */
+async function checkWatch(workspace, id, runSearch) {
+    const entry = load(workspace).find(e => e.id === id);
+    if (!entry) return null;
+    let result;
+    try {
+        result = await runSearch(entry, workspace);
+    } catch (err) {
+        const failed = update(workspace, id, e => {
+            e.lastCheckedAt = new Date().toISOString();
+            e.lastError = err.message;
+        });
+        return failed && summarise(failed);
+    }
+    const checked = update(workspace, id, e => {
+        const now = new Date().toISOString();
+        const next = snapshotOf(result);
+        const changes = diffSnapshots(e.snapshot, next);
+        e.snapshot = mergeSnapshots(e.snapshot, next);
+        e.changes.push(...changes.map(c => ({ ...c, at: now, seen: false })));
+        if (e.changes.length > MAX_CHANGES) {
+            e.changes.splice(0, e.changes.length - MAX_CHANGES);
+        }
+        e.lastCheckedAt = now;
+        e.lastError = null;
+    });
+    return checked && summarise(checked);
+}
+
+/**
+ * Re-check due entries in the background, one at a time.
+ *
+ * @param {Function} runSearch See checkWatch
+ * @param {Object} [options]
+ * @param {number} [options.pollMs=60000] How often to look for due entries
+ * @returns {Function} Stops watching
+ */
+function startWatching(runSearch, { pollMs = 60 * 1000 } = {}) {
+    let running = false;
+    async function poll() {
+        if (running) return;
+        running = true;
+        try {
+            for (const { id: workspace } of listWorkspaces()) {
+                for (const entry of load(workspace).filter(e => isDue(e))) {
+                    await checkWatch(workspace, entry.id, runSearch);
+                }
+            }
+        } catch (err) {
+            console.error('Error checking watchlist', err);
+        } finally {
+            running = false;
+        }
+    }
+    const timer = setInterval(poll, pollMs);
+    // Don't keep the process alive just for the watchlist
+    timer.unref();
+    poll();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    listWatches,
+    addWatch,
+    removeWatch,
+    markSeen,
+    checkWatch,
+    startWatching
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+// Workspaces keep each team's search history, watchlist, scoring profiles
+// and decisions apart. A workspace is a directory <id> in WORKSPACES_DIR
+// (default data/workspaces) holding workspace.json and that workspace's
+// own files. The cache and detail store hold public filings and are
+// shared by every workspace.
+//
+// The "default" workspace always exists and uses the original top-level
+// files (AUDIT_LOG, WATCHLIST_FILE, PROFILES_FILE and so on), so data from
+// before workspaces stays where it was.
+const workspacesDir = process.env.WORKSPACES_DIR ||
+    path.join(__dirname, '..', 'data', 'workspaces');
+
+const DEFAULT_WORKSPACE = 'default';
+
+// Ids are used as directory names
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+function workspaceDir(id) {
+    return path.join(workspacesDir, id);
+}
+
+function readWorkspace(id) {
+    const file = path.join(workspaceDir(id), 'workspace.json');
+    if (!fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        console.error('Error reading workspace file', file, err);
+        return null;
+    }
+}
+
+/**
+ * Every workspace, the default one first.
+ *
+ * @returns {{ id: string, name: string, createdAt: string|null }[]}
+ */
+function listWorkspaces() {
+    const workspaces = [{ id: DEFAULT_WORKSPACE, name: 'Default', createdAt: null }];
+    if (!fs.existsSync(workspacesDir)) return workspaces;
+    let ids = [];
+    try {
+        ids = fs.readdirSync(workspacesDir);
+    } catch (err) {
+        console.error('Error reading workspaces directory', workspacesDir, err);
+    }
+    ids.sort().forEach(id => {
+        const workspace = ID_PATTERN.test(id) && id !== DEFAULT_WORKSPACE && readWorkspace(id);
+        if (workspace) workspaces.push(workspace);
+    });
+    return workspaces;
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getWorkspace(id) {
+    return listWorkspaces().find(w => w.id === id) || null;
+}
+
+/**
+ * Create a workspace. The id is derived from the name unless given.
+ *
+ * @param {{ name: string, id?: string }} workspace
+ * @returns {{ workspace?: Object, error?: string }}
+ */
+function createWorkspace({ name, id }) {
+    const wsId = id || String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    if (!ID_PATTERN.test(wsId)) {
+        return { error: `Invalid workspace id "${wsId}".` };
+    }
+    if (getWorkspace(wsId)) {
+        return { error: `Workspace "${wsId}" already exists.` };
+    }
+    const workspace = { id: wsId, name: String(name).trim(), createdAt: new Date().toISOString() };
+    fs.mkdirSync(workspaceDir(wsId), { recursive: true });
+    fs.writeFileSync(path.join(workspaceDir(wsId), 'workspace.json'), JSON.stringify(workspace, null, 2), 'utf8');
+    return { workspace };
+}
+
+/**
+ * Path of one of a workspace's files. The default workspace (and a
+ * missing id) uses `defaultPath`, the file's location before workspaces.
+ *
+ * @param {string} [id] Workspace id
+ * @param {string} fileName e.g. 'watchlist.json'
+ * @param {string} defaultPath
+ * @returns {string}
+ */
+function workspaceFile(id, fileName, defaultPath) {
+    if (!id || id === DEFAULT_WORKSPACE) return defaultPath;
+    return path.join(workspaceDir(id), fileName);
+}
+
+module.exports = {
+    DEFAULT_WORKSPACE,
+    listWorkspaces,
+    getWorkspace,
+    createWorkspace,
+    workspaceFile
+};
@@ -0,0 +1,322 @@
+const { createZip, readZip } = require('./zip');
+
+// Minimal XLSX (Office Open XML spreadsheet) writer. Each sheet has a bold,
+// frozen header row with filters, then rows of plain values:
+//
+//   string or number  written as is
+//   null/undefined    an empty cell
+//   { link, text }    a HYPERLINK formula showing `text`
+//
+// A sheet may list colour rules, which become conditional formatting so
+// that the colours follow the values if they are edited in Excel.
+// Strings are written inline rather than through a shared strings table,
+// which is larger but simpler and opens in Excel, LibreOffice and Numbers.
+//
+// readWorkbook reads the cell text of a workbook's first sheet back, for
+// importing names. Values come back as stored: numbers and dates (which
+// Excel stores as day counts) are not formatted.
+
+// Longest text Excel accepts in a cell
+const MAX_CELL_LENGTH = 32767;
+
+// Most columns a sheet can have, A to XFD
+const MAX_COLUMNS = 16384;
+
+// Cell formats (cellXfs) referenced by index
+const STYLE_HEADER = 1;
+const STYLE_LINK = 2;
+
+function escapeXml(value) {
+    return String(value)
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letters for a zero-based index: 0 -> A, 26 -> AA.
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+// Excel rejects sheet names over 31 characters or containing \ / ? * [ ] :
+function sheetName(sheet) {
+    return sheet.name.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31);
+}
+
+function cellXml(value, ref, style) {
+    const s = style ? ` s="${style}"` : '';
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"${s}><v>${value}</v></c>`;
+    }
+    if (typeof value === 'object' && value.link) {
+        const formula = `HYPERLINK("${String(value.link).replace(/"/g, '""')}","${String(value.text || value.link).replace(/"/g, '""')}")`;
+        return `<c r="${ref}" s="${STYLE_LINK}" t="str"><f>${escapeXml(formula)}</f><v>${escapeXml(value.text || value.link)}</v></c>`;
+    }
+    const text = String(value).slice(0, MAX_CELL_LENGTH);
+    return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+function sheetXml(sheet, dxfIds) {
+    const { columns, rows } = sheet;
+    const lastCol = columnName(Math.max(columns.length, 1) - 1);
+    const lastRow = rows.length + 1;
+    const cols = columns.map((col, idx) =>
+        `<col min="${idx + 1}" max="${idx + 1}" width="${col.width || 14}" customWidth="1"/>`
+    ).join('');
+    const header = `<row r="1">${columns.map((col, idx) =>
+        cellXml(col.header, `${columnName(idx)}1`, STYLE_HEADER)).join('')}</row>`;
+    const body = rows.map((row, r) => `<row r="${r + 2}">${row.map((value, c) =>
+        cellXml(value, `${columnName(c)}${r + 2}`)).join('')}</row>`).join('');
+    let priority = 0;
+    const conditional = (sheet.colourRules || []).map(rule => {
+        const col = columnName(rule.column);
+        const range = `${col}2:${col}${Math.max(lastRow, 2)}`;
+        priority += 1;
+        return `<conditionalFormatting sqref="${range}">` +
+            `<cfRule type="cellIs" dxfId="${dxfIds.get(rule)}" priority="${priority}" operator="equal">` +
+            `<formula>"${escapeXml(rule.equals)}"</formula></cfRule></conditionalFormatting>`;
+    }).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0">' +
+        '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+        '</sheetView></sheetViews>' +
+        (cols ? `<cols>${cols}</cols>` : '') +
+        `<sheetData>${header}${body}</sheetData>` +
+        `<autoFilter ref="A1:${lastCol}${lastRow}"/>` +
+        conditional +
+        '</worksheet>';
+}
+
+function stylesXml(rules) {
+    const dxfs = rules.map(rule =>
+        '<dxf>' +
+        (rule.font ? `<font><color rgb="FF${rule.font}"/></font>` : '') +
+        `<fill><patternFill patternType="solid"><bgColor rgb="FF${rule.fill}"/></patternFill></fill>` +
+        '</dxf>'
+    ).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="3">' +
+        '<font><sz val="11"/><name val="Calibri"/></font>' +
+        '<font><b/><sz val="11"/><name val="Calibri"/></font>' +
+        '<font><u/><sz val="11"/><color rgb="FF0563C1"/><name val="Calibri"/></font>' +
+        '</fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="3">' +
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+        '<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+        '</cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        `<dxfs count="${rules.length}">${dxfs}</dxfs>` +
+        '</styleSheet>';
+}
+
+/**
+ * Build an XLSX workbook.
+ *
+ * @param {Object[]} sheets
+ * @param {string} sheets[].name Sheet name (at most 31 characters)
+ * @param {{ header: string, width?: number }[]} sheets[].columns
+ * @param {Array[]} sheets[].rows Cell values, one array per row
+ * @param {{ column: number, equals: string, fill: string, font?: string }[]} [sheets[].colourRules]
+ *     Colour cells of a column (zero-based) whose value equals `equals`;
+ *     colours are RGB hex such as 'FFC7CE'
+ * @returns {Buffer}
+ */
+function buildWorkbook(sheets) {
+    const rules = [];
+    const dxfIds = new Map();
+    sheets.forEach(sheet => {
+        (sheet.colourRules || []).forEach(rule => {
+            dxfIds.set(rule, rules.length);
+            rules.push(rule);
+        });
+    });
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                sheets.map((_, idx) =>
+                    `<Override PartName="/xl/worksheets/sheet${idx + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+                ).join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                '<sheets>' +
+                sheets.map((sheet, idx) =>
+                    `<sheet name="${escapeXml(sheetName(sheet))}" sheetId="${idx + 1}" r:id="rId${idx + 1}"/>`
+                ).join('') +
+                '</sheets>' +
+                '<definedNames>' +
+                sheets.map((sheet, idx) => {
+                    const lastCol = columnName(Math.max(sheet.columns.length, 1) - 1);
+                    return `<definedName name="_xlnm._FilterDatabase" localSheetId="${idx}" hidden="1">` +
+                        `'${escapeXml(sheetName(sheet).replace(/'/g, "''"))}'!$A$1:$${lastCol}$${sheet.rows.length + 1}` +
+                        '</definedName>';
+                }).join('') +
+                '</definedNames>' +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheets.map((_, idx) =>
+                    `<Relationship Id="rId${idx + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${idx + 1}.xml"/>`
+                ).join('') +
+                `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                '</Relationships>'
+        },
+        { name: 'xl/styles.xml', data: stylesXml(rules) },
+        ...sheets.map((sheet, idx) => ({
+            name: `xl/worksheets/sheet${idx + 1}.xml`,
+            data: sheetXml(sheet, dxfIds)
+        }))
+    ];
+    return createZip(files);
+}
+
+function unescapeXml(value) {
+    return value.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(lt|gt|amp|quot|apos));/gi, (entity, hex, dec, name) => {
+        if (hex) return String.fromCodePoint(parseInt(hex, 16));
+        if (dec) return String.fromCodePoint(Number(dec));
+        return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[name.toLowerCase()];
+    });
+}
+
+// Text of every <t> element in a fragment, e.g. the runs of a rich text
+// string
+function textOf(xml) {
+    let text = '';
+    const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+    let match;
+    while ((match = pattern.exec(xml))) {
+        text += unescapeXml(match[1]);
+    }
+    return text;
+}
+
+// Zero-based column index of a cell reference such as "AB12"
+function columnIndex(ref) {
+    const letters = ref.replace(/\d+$/, '').toUpperCase();
+    let index = 0;
+    for (const ch of letters) {
+        index = index * 26 + ch.charCodeAt(0) - 64;
+    }
+    return index - 1;
+}
+
+// Path of the first sheet listed in the workbook, following its
+// relationship, or the conventional name if either part is missing
+function firstSheetPath(files) {
+    const workbook = files.get('xl/workbook.xml');
+    const rels = files.get('xl/_rels/workbook.xml.rels');
+    const sheet = workbook && workbook.toString('utf8').match(/<sheet\s[^>]*r:id="([^"]+)"/);
+    if (sheet && rels) {
+        const rel = rels.toString('utf8').match(new RegExp(`<Relationship\\s[^>]*Id="${sheet[1]}"[^>]*>`));
+        const target = rel && rel[0].match(/Target="([^"]+)"/);
+        if (target) {
+            return target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+        }
+    }
+    return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Read the cell text of a workbook's first sheet.
+ *
+ * @param {Buffer} buf XLSX file
+ * @param {Object} [options]
+ * @param {number} [options.maxColumns] Most columns a row may reach;
+ *     never more than the format's own limit, column XFD
+ * @returns {string[][]} Rows of cell text; blank rows are skipped
+ * @throws {Error} If the file is not a readable workbook or has cells
+ *     beyond `maxColumns`
+ */
+function readWorkbook(buf, { maxColumns = MAX_COLUMNS } = {}) {
+    maxColumns = Math.min(maxColumns, MAX_COLUMNS);
+    const files = readZip(buf);
+    const sheet = files.get(firstSheetPath(files));
+    if (!sheet) {
+        throw new Error('The workbook has no worksheets.');
+    }
+    const shared = [];
+    const strings = files.get('xl/sharedStrings.xml');
+    if (strings) {
+        const pattern = /<si>([\s\S]*?)<\/si>/g;
+        let match;
+        while ((match = pattern.exec(strings.toString('utf8')))) {
+            shared.push(textOf(match[1]));
+        }
+    }
+    const rows = [];
+    const rowPattern = /<row\b[^>]*>([\s\S]*?)<\/row>/g;
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let rowMatch;
+    while ((rowMatch = rowPattern.exec(sheet.toString('utf8')))) {
+        const row = [];
+        let cellMatch;
+        cellPattern.lastIndex = 0;
+        while ((cellMatch = cellPattern.exec(rowMatch[1]))) {
+            const attrs = cellMatch[1];
+            const body = cellMatch[2] || '';
+            const ref = attrs.match(/\br="([A-Z]+\d+)"/i);
+            const type = (attrs.match(/\bt="(\w+)"/) || [])[1];
+            const value = body.match(/<v>([\s\S]*?)<\/v>/);
+            let text = '';
+            if (type === 's') {
+                text = value ? shared[Number(value[1])] || '' : '';
+            } else if (type === 'inlineStr') {
+                text = textOf(body);
+            } else if (value) {
+                text = unescapeXml(value[1]);
+            }
+            const index = ref ? columnIndex(ref[1]) : row.length;
+            // Rows are padded out to each cell, so a stray far-off reference
+            // would otherwise allocate a row that wide
+            if (index >= maxColumns) {
+                throw new Error(`The sheet has cells beyond column ${columnName(maxColumns - 1)}.`);
+            }
+            while (row.length < index) row.push('');
+            row[index] = text;
+        }
+        if (row.some(cell => cell.trim() !== '')) rows.push(row);
+    }
+    return rows;
+}
+
+module.exports = {
+    columnName,
+    buildWorkbook,
+    readWorkbook
+};
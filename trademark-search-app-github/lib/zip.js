@@ -0,0 +1,174 @@
+const zlib = require('zlib');
+
+// Minimal ZIP archive writer, enough for XLSX workbooks (see lib/xlsx.js):
+// every entry is deflated, there are no directories, comments or ZIP64
+// extensions, and timestamps are fixed so the same input gives the same
+// bytes. readZip reads back archives written by spreadsheet applications,
+// with stored or deflated entries.
+
+// Most bytes readZip unpacks from one archive, all entries together, so
+// that a small upload cannot inflate to fill memory (a "zip bomb").
+// Spreadsheets of a few thousand names unpack to well under this.
+const MAX_UNZIPPED_BYTES = Number(process.env.ZIP_MAX_UNZIPPED_BYTES) || 20 * 1024 * 1024;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buf) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buf.length; i++) {
+        crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// 1 January 2000 00:00 in MS-DOS date and time format
+const DOS_TIME = 0;
+const DOS_DATE = ((2000 - 1980) << 9) | (1 << 5) | 1;
+
+/**
+ * Build a ZIP archive.
+ *
+ * @param {{ name: string, data: Buffer|string }[]} files Strings are
+ *     written as UTF-8
+ * @returns {Buffer}
+ */
+function createZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    files.forEach(file => {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // version needed
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt16LE(DOS_TIME, 10);
+        local.writeUInt16LE(DOS_DATE, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+        locals.push(local, name, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4); // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(DOS_TIME, 12);
+        central.writeUInt16LE(DOS_DATE, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        // Extra field, comment, disk number and attributes stay zero
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, name);
+
+        offset += local.length + name.length + compressed.length;
+    });
+    const centralSize = centrals.reduce((sum, buf) => sum + buf.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, ...centrals, end]);
+}
+
+/**
+ * Read every file in a ZIP archive.
+ *
+ * @param {Buffer} buf
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] Most bytes to unpack from all entries
+ *     together; defaults to ZIP_MAX_UNZIPPED_BYTES (20 MiB)
+ * @returns {Map<string, Buffer>} File contents by name
+ * @throws {Error} If the archive is not a ZIP file, uses an unsupported
+ *     compression method or unpacks to more than `maxBytes`
+ */
+function readZip(buf, { maxBytes = MAX_UNZIPPED_BYTES } = {}) {
+    const tooLarge = () => new Error(`The archive unpacks to more than ${maxBytes} bytes.`);
+    let remaining = maxBytes;
+    // The end of central directory record is at least 22 bytes from the
+    // end, followed by a comment of up to 64 KiB
+    let end = -1;
+    for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+        if (buf.readUInt32LE(i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('Not a ZIP archive.');
+    }
+    const count = buf.readUInt16LE(end + 10);
+    let offset = buf.readUInt32LE(end + 16);
+    const files = new Map();
+    for (let n = 0; n < count; n++) {
+        if (buf.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error('Corrupt ZIP central directory.');
+        }
+        const method = buf.readUInt16LE(offset + 10);
+        const compressedSize = buf.readUInt32LE(offset + 20);
+        const declaredSize = buf.readUInt32LE(offset + 24);
+        const nameLength = buf.readUInt16LE(offset + 28);
+        const extraLength = buf.readUInt16LE(offset + 30);
+        const commentLength = buf.readUInt16LE(offset + 32);
+        const localOffset = buf.readUInt32LE(offset + 42);
+        const name = buf.toString('utf8', offset + 46, offset + 46 + nameLength);
+        // The local header's name and extra field may differ in length
+        // from the central directory's
+        const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+        const data = buf.subarray(dataStart, dataStart + compressedSize);
+        // The declared size rejects honest large archives without
+        // unpacking them; maxOutputLength stops those that understate it
+        if (declaredSize > remaining) {
+            throw tooLarge();
+        }
+        let contents;
+        if (method === 0) {
+            contents = data;
+        } else if (method === 8) {
+            try {
+                contents = zlib.inflateRawSync(data, { maxOutputLength: Math.max(remaining, 1) });
+            } catch (err) {
+                throw err.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge() : err;
+            }
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${method} for ${name}.`);
+        }
+        if (contents.length > remaining) {
+            throw tooLarge();
+        }
+        remaining -= contents.length;
+        files.set(name, contents);
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return files;
+}
+
+module.exports = {
+    MAX_UNZIPPED_BYTES,
+    crc32,
+    createZip,
+    readZip
+};
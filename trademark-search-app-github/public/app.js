@@ -5,6 +5,163 @@
         useRef
     } = React;
 
+    /**
+     * Read a Server-Sent Events response body and invoke a callback for
+     * each event as it arrives. Resolves once the stream ends.
+     *
+     * @param {Response} response Fetch response with an event-stream body
+     * @param {Function} onEvent Called with (eventName, parsedData)
+     */
+    async function readEventStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                let event = 'message';
+                const dataLines = [];
+                block.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) {
+                        event = line.slice(6).trim();
+                    } else if (line.startsWith('data:')) {
+                        dataLines.push(line.slice(5).trim());
+                    }
+                });
+                if (dataLines.length > 0) {
+                    onEvent(event, JSON.parse(dataLines.join('\n')));
+                }
+            }
+        }
+    }
+
+    // Lifecycle stages reported by the server (see lib/lifecycle.js), with
+    // the explanation shown when hovering over a filing's status.
+    const LIFECYCLE_STAGES = {
+        filed: {
+            label: 'Filed',
+            description: 'Application lodged and waiting to be examined. It may still be refused, but it has priority from its filing date.'
+        },
+        'under-examination': {
+            label: 'Under examination',
+            description: 'IP Australia is examining the application and may raise objections before accepting it.'
+        },
+        accepted: {
+            label: 'Accepted',
+            description: 'Accepted for registration and open to opposition. Usually registers unless opposed.'
+        },
+        opposed: {
+            label: 'Opposed',
+            description: 'A third party is opposing registration. The outcome is uncertain until the opposition is decided.'
+        },
+        registered: {
+            label: 'Registered',
+            description: 'Registered and enforceable while it is renewed.'
+        },
+        lapsed: {
+            label: 'Lapsed',
+            description: 'The application lapsed before registering and no longer blocks new marks.'
+        },
+        removed: {
+            label: 'Removed',
+            description: 'Removed from the register, e.g. not renewed or cancelled, and no longer blocks new marks.'
+        },
+        refused: {
+            label: 'Refused',
+            description: 'Registration was refused.'
+        },
+        withdrawn: {
+            label: 'Withdrawn',
+            description: 'The applicant withdrew the application.'
+        }
+    };
+
+    // Decisions the team can record for a name (see lib/decisions.js)
+    const DECISIONS = {
+        approved: 'Approved',
+        rejected: 'Rejected',
+        'legal-review': 'Legal review'
+    };
+
+    /**
+     * Normalise a name the way the server keys its decisions, so that a
+     * decision shows whichever way the name was typed.
+     */
+    function decisionKey(name) {
+        return String(name || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    // Typed queries such as owner:"Aristocrat", app:1234567 or
+    // class:028 "dragon". Copied from lib/query.js, which documents them.
+    const QUERY_TOKEN = /(\w+):"([^"]*)"?|(\w+):(\S*)|"([^"]*)"?|(\S+)/g;
+
+    function parseQuery(text) {
+        let kind = 'name';
+        const words = [];
+        const classes = [];
+        let match;
+        QUERY_TOKEN.lastIndex = 0;
+        while ((match = QUERY_TOKEN.exec(String(text || '')))) {
+            const prefix = (match[1] || match[3] || '').toLowerCase();
+            const value = match[1] ? match[2] : match[3] ? match[4] : match[5] !== undefined ? match[5] : match[6];
+            if (prefix === 'class') {
+                if (!/^\d{1,3}$/.test(value) || Number(value) < 1 || Number(value) > 45) {
+                    return { error: `"${value}" is not a trademark class (001-045).` };
+                }
+                const cls = value.padStart(3, '0');
+                if (!classes.includes(cls)) classes.push(cls);
+            } else if (prefix === 'owner' || prefix === 'app') {
+                if (kind !== 'name' || words.length > 0) {
+                    return { error: 'A query can only search one of a name, an owner or an application number.' };
+                }
+                kind = prefix;
+                words.push(value);
+            } else {
+                words.push(match[0].replace(/"/g, ''));
+            }
+        }
+        const value = words.join(' ').replace(/\s+/g, ' ').trim();
+        if (kind === 'app' && !/^\d+$/.test(value)) {
+            return { error: `"${value}" is not an application number.` };
+        }
+        if (!value) {
+            return { error: kind === 'name' ? 'The query has no name to search for.' : `The ${kind}: query is empty.` };
+        }
+        return { kind, value, classes };
+    }
+
+    function formatQuery({ kind, value, classes }) {
+        const parts = [...classes].sort().map(cls => `class:${cls}`);
+        if (kind === 'owner') {
+            parts.push(`owner:"${value}"`);
+        } else if (kind === 'app') {
+            parts.push(`app:${value}`);
+        } else {
+            parts.push(classes.length ? `"${value}"` : value);
+        }
+        return parts.join(' ');
+    }
+
+    /**
+     * Text of a new chip: typed queries in their canonical form so that
+     * the same query typed two ways is one chip. Queries that do not parse
+     * are kept as typed; the server reports the problem for that chip.
+     */
+    function chipText(text) {
+        const query = parseQuery(text);
+        return query.error ? text : formatQuery(query);
+    }
+
     function App() {
         // List of completed chips. Each chip represents a single search term.
         const [chips, setChips] = useState([]);
@@ -41,33 +198,146 @@
         // filings. The keys are the search names and values are booleans.
         const [expandedCards, setExpandedCards] = useState({});
 
+        // Track which filing rows are expanded to show their goods and
+        // services descriptions. Keys are "<search name>|<filing key>".
+        const [expandedRows, setExpandedRows] = useState({});
+
         // Filtering options for result tables. Users can toggle which
-        // classes to display and choose a sort order. By default all
-        // classes are shown and no sorting is applied.
+        // classes to display and choose a sort order. `hiddenClasses` maps
+        // a class number to true when that class has been unticked; the
+        // checkboxes offered come from the active scoring profile. By
+        // default all classes are shown and no sorting is applied.
         const [filterOptions, setFilterOptions] = useState({
-            show028: true,
-            show041: true,
-            show009: true,
+            hiddenClasses: {},
             showOther: true,
-            sortBy: 'none' // 'none' | 'appNumber' | 'filingDate'
+            sortBy: 'none', // 'none' | 'appNumber' | 'filingDate' | 'similarity'
+            // Only show cards with this decision: 'all', 'none' (undecided)
+            // or a key of DECISIONS
+            decision: 'all'
         });
 
+        // Scoring profiles served by /api/profiles ({ default, profiles }).
+        // Each profile names the classes that matter for a kind of product
+        // together with their weights and Red/Yellow thresholds.
+        const [profiles, setProfiles] = useState(null);
+        // Profile chosen for the next search. Empty until profiles load,
+        // in which case the server applies its default.
+        const [profileId, setProfileId] = useState('');
+        // Profile the currently displayed results were scored with. Card
+        // grouping and class filters follow this rather than the selector
+        // so that changing the selector doesn't regroup stale results.
+        const [resultsProfileId, setResultsProfileId] = useState('');
+        // Data sources served by /api/sources ({ default, sources }), e.g.
+        // the live trademarkelite.com scraper or an offline IPGOD dataset.
+        const [sources, setSources] = useState(null);
+        // Source chosen for the next search. Empty means the server default.
+        const [sourceId, setSourceId] = useState('');
+        // Mirror of the selected profile and source (as "profile|source")
+        // for async callbacks that must discard responses requested under
+        // a previous selection.
+        const searchKeyRef = useRef('|');
+
         // Track loading status for each chip name. Keys are names and
-        // values are either 'pending' or 'done'. Currently this is
-        // retained for potential future use but no progress indicator
-        // is displayed in the UI.
+        // values are 'pending', 'done' or 'error'. Drives the progress
+        // indicator shown while a search streams in.
         const [loadingNames, setLoadingNames] = useState({});
+        // Detail page progress per name while it is being processed. Keys
+        // are names and values are `{ done, total }` as reported by the
+        // server's progress events.
+        const [detailProgress, setDetailProgress] = useState({});
+
+        // Searches recorded in the server's audit log, newest first, as
+        // returned by /api/history for the current filters. Reloaded on
+        // mount, when the filters change and whenever a search completes.
+        const [historyEntries, setHistoryEntries] = useState([]);
+        const [historyFilters, setHistoryFilters] = useState({ from: '', to: '', score: '' });
+
+        // "Clear History" only hides names searched before this time from
+        // the history chips on this browser; the server's log is
+        // append-only. ISO timestamp, or '' when never cleared.
+        const [historyClearedAt, setHistoryClearedAt] = useState(() => {
+            try {
+                return localStorage.getItem('historyClearedAt') || '';
+            } catch (err) {
+                return '';
+            }
+        });
 
-        // History of previously searched names. Loaded from localStorage on
-        // mount and updated whenever a search completes. Users can click
+        // Previously searched names, most recent first. Users can click
         // history items to re‑add them as chips.
-        const [history, setHistory] = useState([]);
+        const history = [];
+        historyEntries.forEach(entry => {
+            if (historyClearedAt && entry.at <= historyClearedAt) return;
+            entry.names.forEach(name => {
+                if (!history.includes(name)) history.push(name);
+            });
+        });
 
         // Whether the history section is currently expanded. When false, only
         // the History label is shown; when true, history entries and the
         // clear history button are visible. Starts collapsed by default.
         const [historyExpanded, setHistoryExpanded] = useState(false);
 
+        // Server-side watchlist ({ intervalHours, entries }) of names that
+        // are re-checked periodically, and whether its panel is expanded.
+        // Entries carry the changes found between checks.
+        const [watchlist, setWatchlist] = useState(null);
+        const [watchlistExpanded, setWatchlistExpanded] = useState(false);
+
+        // Name generator panel: the seed words typed in, the ranked
+        // candidates from /api/generate (null before the first run) and
+        // whether a run is in progress.
+        const [generatorExpanded, setGeneratorExpanded] = useState(false);
+        const [generatorSeeds, setGeneratorSeeds] = useState('');
+        const [candidates, setCandidates] = useState(null);
+        const [generating, setGenerating] = useState(false);
+
+        // Columns imported with names from a CSV/XLSX file, as
+        // { name: { column: value } }, kept with the results through to
+        // saved searches and exports.
+        const [chipMeta, setChipMeta] = useState({});
+        // An uploaded file waiting for its name column to be picked
+        // ({ fileName, columns, rows, nameColumn, truncated }), and whether a
+        // file is being dragged over the chip input.
+        const [nameImport, setNameImport] = useState(null);
+        const [dragOver, setDragOver] = useState(false);
+
+        // Owners panel: filings seen so far grouped by owner from
+        // /api/owners (null until first loaded), the owner and class
+        // filters, and the key of the owner whose marks are listed.
+        const [ownersExpanded, setOwnersExpanded] = useState(false);
+        const [ownerFilters, setOwnerFilters] = useState({ owner: '', class: '' });
+        const [owners, setOwners] = useState(null);
+        const [openOwner, setOpenOwner] = useState(null);
+
+        // Id of the server-side session the current results were saved as,
+        // for the share link. Null until the search completes and saves.
+        const [sessionId, setSessionId] = useState(null);
+
+        // When the page was opened from a share link (/s/<id>), the saved
+        // session being shown. The app is then read-only: no input, search
+        // or watchlist controls, just the saved cards.
+        const [sharedSession, setSharedSession] = useState(null);
+
+        // Recorded decisions keyed by decisionKey(name), and the decision
+        // being edited for each card whose editor is open, keyed by name.
+        const [decisions, setDecisions] = useState({});
+        const [decisionDrafts, setDecisionDrafts] = useState({});
+
+        // The logged in account from /api/me: `{ authEnabled, user,
+        // workspace, workspaces }`, or null until it has loaded. When
+        // logins are enabled and `user` is null only the login form shows.
+        const [account, setAccount] = useState(null);
+        const [loginForm, setLoginForm] = useState({ name: '', password: '' });
+        const [loginError, setLoginError] = useState(null);
+
+        // Viewers can read results, history and the watchlist but not
+        // search or change anything, like a shared search. With logins
+        // disabled everyone can search.
+        const role = account && account.user ? account.user.role : null;
+        const canSearch = !account || !account.authEnabled || role === 'searcher' || role === 'admin';
+        const readOnly = !!sharedSession || !canSearch;
+
         // -------------------------------------------------------------------
         // Virtualisation and skeleton state management
         //
@@ -104,6 +374,164 @@
             });
         }
 
+        /**
+         * Return the profile object for an id, or an empty profile when
+         * profiles haven't loaded yet so that callers can treat every
+         * filing as lower priority.
+         *
+         * @param {string} id Profile id
+         */
+        function getProfile(id) {
+            if (profiles && profiles.profiles) {
+                const found = profiles.profiles[id || profiles.default];
+                if (found) return found;
+            }
+            return { id: id || '', label: '', classes: {}, thresholds: {} };
+        }
+
+        /**
+         * Normalise a filing's classes into an array of strings. Classes
+         * may arrive as an array or as a comma/space separated string.
+         */
+        function detailClasses(det) {
+            if (Array.isArray(det.classes)) {
+                return det.classes.map(String);
+            } else if (det.classes && typeof det.classes === 'string') {
+                return det.classes.split(/[,\s]+/).filter(Boolean);
+            }
+            return [];
+        }
+
+        /**
+         * Weight of a filing under a profile: the heaviest profile class
+         * it lists, or 0 when it lists none of them.
+         */
+        function detailWeight(det, profile) {
+            return detailClasses(det).reduce(
+                (max, cls) => Math.max(max, profile.classes[cls] || 0),
+                0
+            );
+        }
+
+        /**
+         * Class numbers of a profile ordered by descending weight, then by
+         * class number. Used for the filter checkboxes.
+         */
+        function profileClassOrder(profile) {
+            return Object.keys(profile.classes).sort((a, b) =>
+                (profile.classes[b] - profile.classes[a]) || a.localeCompare(b)
+            );
+        }
+
+        /**
+         * Split filings into those listing at least one profile class,
+         * ordered heaviest first, and all others. The others are hidden
+         * behind the "Show More" button until a card is expanded.
+         *
+         * @returns {{ prioritised: Object[], others: Object[] }}
+         */
+        function partitionByPriority(details, profile) {
+            const weighted = [];
+            const others = [];
+            details.forEach(det => {
+                const weight = detailWeight(det, profile);
+                if (weight > 0) {
+                    weighted.push({ det, weight });
+                } else {
+                    others.push(det);
+                }
+            });
+            // Array.prototype.sort is stable, so equal weights keep their
+            // original order.
+            weighted.sort((a, b) => b.weight - a.weight);
+            return { prioritised: weighted.map(w => w.det), others };
+        }
+
+        /**
+         * Whether a filing passes the class filter checkboxes. A filing is
+         * hidden if it lists any unticked profile class, or if it lists no
+         * profile class and "Other" is unticked.
+         */
+        function passesClassFilter(det, profile) {
+            const relevant = detailClasses(det).filter(cls => profile.classes[cls]);
+            if (relevant.length === 0) return filterOptions.showOther;
+            return !relevant.some(cls => filterOptions.hiddenClasses[cls]);
+        }
+
+        /**
+         * Format a filing's similarity to the searched name as a
+         * percentage, with the individual measures as a tooltip. Filings
+         * without a word mark have no similarity and render blank.
+         *
+         * @returns {{ text: string, title: string }}
+         */
+        function formatSimilarity(det) {
+            const sim = det.similarity;
+            if (!sim || typeof sim.score !== 'number') {
+                return { text: '', title: 'No word mark to compare' };
+            }
+            const pct = n => `${Math.round(n * 100)}%`;
+            return {
+                text: pct(sim.score),
+                title: sim.exact ?
+                    'Exact match' :
+                    `Spelling ${pct(sim.edit)}, sound-alike words ${pct(sim.phonetic)}, shared words ${pct(sim.containment)}`
+            };
+        }
+
+        /**
+         * Sort comparator putting the most recently filed first. Filing
+         * dates arrive as YYYY-MM-DD, so they compare as strings; filings
+         * without one go last.
+         */
+        function compareFilingDates(a, b) {
+            const da = a.filingDate || '';
+            const db = b.filingDate || '';
+            if (!da || !db) return (db ? 1 : 0) - (da ? 1 : 0);
+            return db.localeCompare(da);
+        }
+
+        /**
+         * Tooltips for a filing's word mark (mark type, international
+         * registration, agent) and filing date (the other key dates).
+         *
+         * @returns {{ mark: string, dates: string }}
+         */
+        function filingTooltips(det) {
+            const line = (label, value) => value ? `${label}: ${value}` : null;
+            return {
+                mark: [
+                    line('Mark type', det.markType),
+                    line('International registration', det.irNumber),
+                    line('Agent', det.agent)
+                ].filter(Boolean).join('\n'),
+                dates: [
+                    line('Priority', det.priorityDate),
+                    line('Registered', det.registrationDate),
+                    line('Renewal due', det.renewalDate)
+                ].filter(Boolean).join('\n')
+            };
+        }
+
+        /**
+         * Status cell content: the lifecycle stage with its explanation as
+         * a tooltip, or the raw LIVE/DEAD status for filings whose status
+         * description was not recognised.
+         *
+         * @returns {{ text: string, title: string }}
+         */
+        function formatStatus(det) {
+            const stage = LIFECYCLE_STAGES[det.lifecycle];
+            const desc = det.statusDesc ? `Status: ${det.statusDesc}` : '';
+            if (!stage) {
+                return { text: det.status || '', title: desc };
+            }
+            return {
+                text: stage.label,
+                title: [stage.description, desc].filter(Boolean).join('\n')
+            };
+        }
+
         /**
          * Render a set of skeleton cards. Skeletons are grey, animated
          * placeholders that mimic the structure of the final UI. They
@@ -111,10 +539,10 @@
          * operations. Each skeleton card contains a faux title, summary
          * lines and several table row placeholders.
          *
+         * @param {number} count Number of skeleton cards to display
          * @returns {React.Element[]} An array of skeleton card elements
          */
-        function renderSkeleton() {
-            const count = 3; // Number of skeleton cards to display
+        function renderSkeleton(count) {
             const cards = [];
             for (let i = 0; i < count; i++) {
                 cards.push(
@@ -168,7 +596,13 @@
          */
         function renderVirtualisedResults() {
             if (!results) return null;
-            const entries = Object.entries(results);
+            const entries = Object.entries(results).filter(([name]) => {
+                if (filterOptions.decision === 'all') return true;
+                const decision = findDecision(name);
+                return filterOptions.decision === 'none' ?
+                    !decision :
+                    !!decision && decision.decision === filterOptions.decision;
+            });
             return entries.map(([name, info]) => {
                 const lower = info && info.score ? info.score.toLowerCase() : '';
                 // Card wrapper
@@ -179,11 +613,27 @@
                         className: 'card'
                     },
                     [
-                        // Title
+                        // Title, with the name's decision and a button to add the
+                        // name to the watchlist
                         React.createElement('h2', {
                             key: 'title',
                             style: { marginTop: 0 }
-                        }, name),
+                        },
+                            name,
+                            renderDecisionBadge(name),
+                            renderMetadata(name),
+                            info && !info.error && !readOnly ?
+                                React.createElement(
+                                    'button', {
+                                        type: 'button',
+                                        className: 'watch-button',
+                                        disabled: !!findWatch(name),
+                                        onClick: () => handleWatch(name, info)
+                                    },
+                                    findWatch(name) ? 'Watching' : 'Watch'
+                                ) :
+                                null
+                        ),
                         // Error state
                         info && info.error ?
                             React.createElement(
@@ -217,51 +667,18 @@
                                         )
                                     ]
                                 ),
+                                // The team's decision for the name
+                                renderDecisionEditor(name),
                                 // Filings table or no details message
                                 Array.isArray(info.details) && info.details.length > 0 ?
                                     (() => {
                                         // Partition filings into priority groups
-                                        const priority1 = [];
-                                        const priority2 = [];
-                                        const others = [];
-                                        info.details.forEach(det => {
-                                            let cls = [];
-                                            if (Array.isArray(det.classes)) {
-                                                cls = det.classes.map(String);
-                                            } else if (det.classes && typeof det.classes === 'string') {
-                                                cls = det.classes.split(/[\,\s]+/).filter(Boolean);
-                                            }
-                                            const has028 = cls.includes('028');
-                                            const has041 = cls.includes('041');
-                                            const has009 = cls.includes('009');
-                                            if (has028 || has041) {
-                                                priority1.push(det);
-                                            } else if (has009) {
-                                                priority2.push(det);
-                                            } else {
-                                                others.push(det);
-                                            }
-                                        });
+                                        const profile = getProfile(resultsProfileId);
+                                        const { prioritised, others } = partitionByPriority(info.details, profile);
                                         const isExpanded = expandedCards[name] || false;
-                                        let displayList = isExpanded ? [...priority1, ...priority2, ...others] : [...priority1, ...priority2];
+                                        let displayList = isExpanded ? [...prioritised, ...others] : [...prioritised];
                                         // Apply class filters
-                                        displayList = displayList.filter(det => {
-                                            let cls = [];
-                                            if (Array.isArray(det.classes)) {
-                                                cls = det.classes.map(String);
-                                            } else if (det.classes && typeof det.classes === 'string') {
-                                                cls = det.classes.split(/[\,\s]+/).filter(Boolean);
-                                            }
-                                            const has028 = cls.includes('028');
-                                            const has041 = cls.includes('041');
-                                            const has009 = cls.includes('009');
-                                            const isOther = !has028 && !has041 && !has009;
-                                            if (has028 && !filterOptions.show028) return false;
-                                            if (has041 && !filterOptions.show041) return false;
-                                            if (has009 && !filterOptions.show009) return false;
-                                            if (isOther && !filterOptions.showOther) return false;
-                                            return true;
-                                        });
+                                        displayList = displayList.filter(det => passesClassFilter(det, profile));
                                         // Apply sorting
                                         if (filterOptions.sortBy === 'appNumber') {
                                             displayList.sort((a, b) => {
@@ -270,17 +687,68 @@
                                                 return A.localeCompare(B);
                                             });
                                         } else if (filterOptions.sortBy === 'filingDate') {
+                                            displayList.sort(compareFilingDates);
+                                        } else if (filterOptions.sortBy === 'similarity') {
                                             displayList.sort((a, b) => {
-                                                const ta = a.filingDate ? Date.parse(a.filingDate) : 0;
-                                                const tb = b.filingDate ? Date.parse(b.filingDate) : 0;
-                                                return tb - ta;
+                                                const sa = a.similarity ? a.similarity.score : -1;
+                                                const sb = b.similarity ? b.similarity.score : -1;
+                                                return sb - sa;
                                             });
                                         }
-                                        // Row renderer
-                                        function renderDetailRow(det, rowKey) {
+                                        // Expanded goods and services rows have a fixed height so that
+                                        // the virtualised table below can still position rows exactly
+                                        const goodsRowHeight = 120;
+                                        function filingKey(det, idx) {
+                                            return det.applicationNumber || det.detailUrl || String(idx);
+                                        }
+                                        function hasGoods(det) {
+                                            return !det.error && Array.isArray(det.goodsServices) && det.goodsServices.length > 0;
+                                        }
+                                        function isRowExpanded(det, idx) {
+                                            return hasGoods(det) && !!expandedRows[`${name}|${filingKey(det, idx)}`];
+                                        }
+                                        function toggleRow(det, idx) {
+                                            const key = `${name}|${filingKey(det, idx)}`;
+                                            setExpandedRows(prev => ({ ...prev, [key]: !prev[key] }));
+                                        }
+                                        function renderGoodsRow(det) {
+                                            const hits = det.keywordHits || [];
                                             return React.createElement(
+                                                'tr', { key: 'goods', className: 'goods-row' },
+                                                React.createElement(
+                                                    'td', { colSpan: 7 },
+                                                    React.createElement(
+                                                        'div', {
+                                                            className: 'goods-list',
+                                                            style: { height: (goodsRowHeight - 16) + 'px' }
+                                                        },
+                                                        [
+                                                            hits.length > 0 ?
+                                                                React.createElement(
+                                                                    'div', { key: 'hits', className: 'goods-hits' },
+                                                                    'Profile keywords found: ' + hits.join(', ')
+                                                                ) :
+                                                                null,
+                                                            ...det.goodsServices.map((gs, i) =>
+                                                                React.createElement(
+                                                                    'div', { key: i, className: 'goods-item' },
+                                                                    React.createElement('strong', null, `Class ${gs.class}`),
+                                                                    ' — ',
+                                                                    gs.description
+                                                                )
+                                                            )
+                                                        ]
+                                                    )
+                                                )
+                                            );
+                                        }
+                                        // Row renderer. Returns the filing's row followed by its goods
+                                        // and services row when expanded.
+                                        function renderDetailRow(det, idx) {
+                                            const expanded = isRowExpanded(det, idx);
+                                            const row = React.createElement(
                                                 'tr', {
-                                                key: rowKey,
+                                                key: 'row',
                                                 onClick: () => {
                                                     if (det.detailUrl) {
                                                         window.open(det.detailUrl, '_blank');
@@ -291,7 +759,7 @@
                                                 det.error ?
                                                     React.createElement(
                                                         'td', {
-                                                        colSpan: 6,
+                                                        colSpan: 7,
                                                         style: { color: '#d32f2f' }
                                                     },
                                                         det.error
@@ -302,15 +770,34 @@
                                                             key: 'app',
                                                             'data-label': 'Application #'
                                                         },
-                                                            det.applicationNumber || ''
+                                                            det.applicationNumber || '',
+                                                            det.parserWarning ?
+                                                                React.createElement(
+                                                                    'span', {
+                                                                        className: 'parser-warning',
+                                                                        title: det.parserWarning +
+                                                                            (det.stale ? ' Showing the last copy that could be read.' : '')
+                                                                    },
+                                                                    ' ⚠'
+                                                                ) :
+                                                                null
                                                         ),
                                                         React.createElement(
                                                             'td', {
                                                             key: 'mark',
-                                                            'data-label': 'Word Mark'
+                                                            'data-label': 'Word Mark',
+                                                            title: filingTooltips(det).mark || undefined
                                                         },
                                                             det.wordMark || ''
                                                         ),
+                                                        React.createElement(
+                                                            'td', {
+                                                            key: 'similarity',
+                                                            'data-label': 'Similarity',
+                                                            title: formatSimilarity(det).title
+                                                        },
+                                                            formatSimilarity(det).text
+                                                        ),
                                                         React.createElement(
                                                             'td', {
                                                             key: 'owner',
@@ -323,26 +810,49 @@
                                                         React.createElement(
                                                             'td', {
                                                             key: 'filing',
-                                                            'data-label': 'Filing Date'
+                                                            'data-label': 'Filing Date',
+                                                            title: filingTooltips(det).dates || undefined
                                                         },
                                                             det.filingDate || ''
                                                         ),
                                                         React.createElement(
                                                             'td', {
                                                             key: 'status',
-                                                            'data-label': 'Status'
+                                                            'data-label': 'Status',
+                                                            className: det.lifecycle ? `status-stage status-${det.status.toLowerCase()}` : undefined,
+                                                            title: formatStatus(det).title || undefined
                                                         },
-                                                            det.status || ''
+                                                            formatStatus(det).text
                                                         ),
                                                         React.createElement(
                                                             'td', {
                                                             key: 'classes',
                                                             'data-label': 'Classes'
                                                         },
-                                                            Array.isArray(det.classes) ? det.classes.join(' ') : (det.classes || '')
+                                                            Array.isArray(det.classes) ? det.classes.join(' ') : (det.classes || ''),
+                                                            hasGoods(det) ?
+                                                                React.createElement(
+                                                                    'button', {
+                                                                        type: 'button',
+                                                                        className: 'goods-toggle',
+                                                                        title: expanded ? 'Hide goods and services' : 'Show goods and services',
+                                                                        onClick: (e) => {
+                                                                            // Don't open the filing's page
+                                                                            e.stopPropagation();
+                                                                            toggleRow(det, idx);
+                                                                        }
+                                                                    },
+                                                                    expanded ? '▾' : '▸'
+                                                                ) :
+                                                                null
                                                         )
                                                     ]
                                             );
+                                            return React.createElement(
+                                                React.Fragment, { key: filingKey(det, idx) },
+                                                row,
+                                                expanded ? renderGoodsRow(det) : null
+                                            );
                                         }
                                         // Decide whether to virtualise based on list length. For modest
                                         // lists we render all rows directly and avoid introducing an
@@ -357,6 +867,7 @@
                                                 [
                                                     React.createElement('th', { key: 'h-app' }, 'Application #'),
                                                     React.createElement('th', { key: 'h-mark' }, 'Word Mark'),
+                                                    React.createElement('th', { key: 'h-sim' }, 'Similarity'),
                                                     React.createElement('th', { key: 'h-owner' }, 'Owner'),
                                                     React.createElement('th', { key: 'h-file' }, 'Filing Date'),
                                                     React.createElement('th', { key: 'h-status' }, 'Status'),
@@ -383,11 +894,23 @@
                                             // Show up to 15 rows before clipping inside the virtualised scroll area
                                             const visibleCount = 15;
                                             const containerHeight = Math.min(displayList.length, visibleCount) * rowHeight;
-                                            const totalHeight = displayList.length * rowHeight;
+                                            // offsets[i] is the top of filing i; expanded filings take
+                                            // an extra goodsRowHeight
+                                            const offsets = [0];
+                                            displayList.forEach((det, i) => {
+                                                offsets.push(offsets[i] + rowHeight + (isRowExpanded(det, i) ? goodsRowHeight : 0));
+                                            });
+                                            const totalHeight = offsets[displayList.length];
                                             const scrollTop = tableScrollPositions[name] || 0;
-                                            const startIndex = Math.floor(scrollTop / rowHeight);
-                                            const endIndex = Math.min(displayList.length, startIndex + visibleCount + 2);
-                                            const offsetY = startIndex * rowHeight;
+                                            let startIndex = 0;
+                                            while (startIndex < displayList.length - 1 && offsets[startIndex + 1] <= scrollTop) {
+                                                startIndex++;
+                                            }
+                                            let endIndex = startIndex;
+                                            while (endIndex < displayList.length && offsets[endIndex] < scrollTop + containerHeight + 2 * rowHeight) {
+                                                endIndex++;
+                                            }
+                                            const offsetY = offsets[startIndex];
                                             const visibleRows = [];
                                             for (let i = startIndex; i < endIndex; i++) {
                                                 const det = displayList[i];
@@ -453,9 +976,9 @@
 
         /**
          * Toggle the expanded state for a particular search card. When
-         * expanded, all trademark filings including lower priority classes
-         * (i.e. not 028, 041 or 009) are displayed. Otherwise only the
-         * highest priority classes (028, 041, then 009) are shown.
+         * expanded, all trademark filings including those outside the
+         * scoring profile's classes are displayed. Otherwise only filings
+         * listing a profile class are shown, heaviest weight first.
          *
          * @param {string} name The search name (key in results)
          */
@@ -463,22 +986,127 @@
             setExpandedCards(prev => ({ ...prev, [name]: !prev[name] }));
         }
 
-        // On mount, load search history from localStorage. If none exists,
-        // initialize with an empty array.
+        // Load recorded decisions on mount
         useEffect(() => {
-            try {
-                const stored = localStorage.getItem('searchHistory');
-                if (stored) {
-                    const parsed = JSON.parse(stored);
-                    if (Array.isArray(parsed)) {
-                        setHistory(parsed);
+            loadDecisions();
+        }, []);
+
+        // On mount, find out who is logged in
+        useEffect(() => {
+            fetch('/api/me')
+                .then(res => {
+                    if (!res.ok) {
+                        throw new Error(`Loading account failed with status ${res.status}`);
                     }
-                }
-            } catch (err) {
-                console.error('Failed to load search history', err);
-            }
+                    return res.json();
+                })
+                .then(setAccount)
+                .catch(err => {
+                    console.error('Failed to load account', err);
+                });
         }, []);
 
+        // Load search history from the server on mount and again whenever
+        // the history filters change.
+        useEffect(() => {
+            loadHistory();
+        }, [historyFilters]);
+
+        // On mount, load the scoring profiles and preselect the default.
+        useEffect(() => {
+            fetch('/api/profiles')
+                .then(res => {
+                    if (!res.ok) {
+                        throw new Error(`Loading profiles failed with status ${res.status}`);
+                    }
+                    return res.json();
+                })
+                .then(data => {
+                    setProfiles(data);
+                    setProfileId(data.default);
+                })
+                .catch(err => {
+                    console.error('Failed to load scoring profiles', err);
+                });
+            fetch('/api/sources')
+                .then(res => {
+                    if (!res.ok) {
+                        throw new Error(`Loading sources failed with status ${res.status}`);
+                    }
+                    return res.json();
+                })
+                .then(data => {
+                    setSources(data);
+                    setSourceId(data.default);
+                })
+                .catch(err => {
+                    console.error('Failed to load data sources', err);
+                });
+        }, []);
+
+        // A share link renders its saved session instead of a new search
+        useEffect(() => {
+            const match = window.location.pathname.match(/^\/s\/([^/]+)$/);
+            if (!match) return;
+            fetch(`/api/sessions/${match[1]}`)
+                .then(res => {
+                    if (!res.ok) {
+                        throw new Error(res.status === 404 ?
+                            'This shared search no longer exists.' :
+                            `Loading shared search failed with status ${res.status}`);
+                    }
+                    return res.json();
+                })
+                .then(session => {
+                    setSharedSession(session);
+                    setChipMeta(session.metadata || {});
+                    setResults(session.results);
+                    setResultsProfileId(session.profile);
+                    setSessionId(session.id);
+                })
+                .catch(err => {
+                    setError(err.message);
+                });
+        }, []);
+
+        // Load the watchlist on mount and poll it so that changes found by
+        // the server's scheduled checks show up without a reload.
+        useEffect(() => {
+            loadWatchlist();
+            const timer = setInterval(loadWatchlist, 60 * 1000);
+            return () => clearInterval(timer);
+        }, []);
+
+        // Keep the ref in step with the selectors. Declared before the
+        // prefetch effect so it is updated first within the same commit.
+        useEffect(() => {
+            searchKeyRef.current = `${profileId}|${sourceId}`;
+        }, [profileId, sourceId]);
+
+        /**
+         * Switch the scoring profile used for subsequent searches. Results
+         * prefetched under the previous profile were scored differently,
+         * so the prefetch cache is discarded and refilled.
+         *
+         * @param {string} id Profile id
+         */
+        function handleProfileChange(id) {
+            setProfileId(id);
+            setPrefetchCache({});
+        }
+
+        /**
+         * Switch the data source used for subsequent searches. As with
+         * profiles, prefetched results came from the previous source and
+         * are discarded.
+         *
+         * @param {string} id Source id
+         */
+        function handleSourceChange(id) {
+            setSourceId(id);
+            setPrefetchCache({});
+        }
+
         /**
          * Remove all currently selected chips. This helper uses the
          * selectedIndices state to filter out the chips array and
@@ -496,27 +1124,37 @@
         }
 
         /**
-         * Update the search history with a new set of names. Maintains
-         * uniqueness and persists to localStorage. New names are placed
-         * at the beginning of the list so the most recent appear first.
-         * @param {string[]} names
+         * Fetch the search history matching the current filters from the
+         * server's audit log.
          */
-        function updateHistory(names) {
-            setHistory(prev => {
-                const existing = new Set(prev);
-                const combined = [];
-                names.forEach(n => {
-                    if (!existing.has(n)) combined.push(n);
-                });
-                const updated = [...combined, ...prev];
-                // Persist to localStorage for future sessions
-                try {
-                    localStorage.setItem('searchHistory', JSON.stringify(updated));
-                } catch (err) {
-                    console.error('Failed to save history', err);
-                }
-                return updated;
+        function loadHistory() {
+            const params = new URLSearchParams({ limit: '50' });
+            Object.entries(historyFilters).forEach(([key, value]) => {
+                if (value) params.set(key, value);
             });
+            return fetch(`/api/history?${params}`)
+                .then(res => {
+                    if (!res.ok) {
+                        throw new Error(`Loading history failed with status ${res.status}`);
+                    }
+                    return res.json();
+                })
+                .then(data => setHistoryEntries(data.entries))
+                .catch(err => {
+                    console.error('Failed to load search history', err);
+                });
+        }
+
+        /**
+         * Refresh the search history after a search. The server has
+         * already recorded the searched names; this picks them up.
+         */
+        function updateHistory() {
+            loadHistory();
+        }
+
+        function updateHistoryFilter(key, value) {
+            setHistoryFilters(prev => ({ ...prev, [key]: value }));
         }
 
         /**
@@ -549,9 +1187,19 @@
         function handleExport() {
             if (!results) return;
             const rows = [];
-            rows.push('Name,Application #,Word Mark,Owner,Filing Date,Status,Classes');
+            // Imported columns go last, in the order first seen
+            const metaColumns = [];
+            Object.keys(results).forEach(name => {
+                Object.keys(chipMeta[name] || {}).forEach(column => {
+                    if (!metaColumns.includes(column)) metaColumns.push(column);
+                });
+            });
+            rows.push(['Name', 'Application #', 'Word Mark', 'Owner', 'Filing Date', 'Status', 'Classes', 'Registration Date',
+                'Renewal Date', 'Priority Date', 'Mark Type', 'Stage', 'Decision', 'Decision Note', 'Reviewer', ...metaColumns]
+                .map(v => '"' + String(v).replace(/"/g, '""') + '"').join(','));
             Object.entries(results).forEach(([name, info]) => {
                 if (!info || info.error || !Array.isArray(info.details)) return;
+                const decision = findDecision(name);
                 info.details.forEach(det => {
                     const owner = (det.ownerName || det.owner || '')
                         .replace(/\s*[-]+>\s*/g, ' ')
@@ -564,7 +1212,16 @@
                         owner,
                         det.filingDate || '',
                         det.status || '',
-                        classes
+                        classes,
+                        det.registrationDate || '',
+                        det.renewalDate || '',
+                        det.priorityDate || '',
+                        det.markType || '',
+                        LIFECYCLE_STAGES[det.lifecycle] ? LIFECYCLE_STAGES[det.lifecycle].label : '',
+                        decision ? DECISIONS[decision.decision] : '',
+                        decision ? decision.note : '',
+                        decision ? decision.reviewer : '',
+                        ...metaColumns.map(column => (chipMeta[name] || {})[column] || '')
                     ].map(v => '"' + String(v).replace(/"/g, '""') + '"').join(',');
                     rows.push(row);
                 });
@@ -581,13 +1238,513 @@
         }
 
         /**
-         * Clear the search history without affecting cached results. This
-         * removes all history entries from state and localStorage.
+         * Fetch every recorded decision from the server.
+         */
+        function loadDecisions() {
+            return fetch('/api/decisions')
+                .then(res => {
+                    if (!res.ok) {
+                        throw new Error(`Loading decisions failed with status ${res.status}`);
+                    }
+                    return res.json();
+                })
+                .then(list => {
+                    const byKey = {};
+                    list.forEach(d => {
+                        byKey[d.key] = d;
+                    });
+                    setDecisions(byKey);
+                })
+                .catch(err => {
+                    console.error('Failed to load decisions', err);
+                });
+        }
+
+        function findDecision(name) {
+            return decisions[decisionKey(name)] || null;
+        }
+
+        /**
+         * Open the decision editor for a card, starting from the name's
+         * current decision. The reviewer defaults to the logged in user.
+         */
+        function editDecision(name) {
+            const current = findDecision(name);
+            setDecisionDrafts(prev => ({
+                ...prev,
+                [name]: {
+                    decision: current ? current.decision : 'approved',
+                    note: current ? current.note : '',
+                    reviewer: current ? current.reviewer : (account && account.user ? account.user.name : '')
+                }
+            }));
+        }
+
+        function updateDecisionDraft(name, key, value) {
+            setDecisionDrafts(prev => ({ ...prev, [name]: { ...prev[name], [key]: value } }));
+        }
+
+        function closeDecisionEditor(name) {
+            setDecisionDrafts(prev => {
+                const { [name]: closed, ...rest } = prev;
+                return rest;
+            });
+        }
+
+        /**
+         * Save (or with `clear`, remove) a name's decision and reload the
+         * decisions.
+         */
+        function saveDecision(name, clear) {
+            fetch(`/api/decisions/${encodeURIComponent(name)}`, clear ?
+                { method: 'DELETE' } :
+                {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(decisionDrafts[name])
+                })
+                .then(res => {
+                    if (!res.ok) {
+                        return res.json().then(body => {
+                            throw new Error(body.error || `Saving decision failed with status ${res.status}`);
+                        });
+                    }
+                    closeDecisionEditor(name);
+                    return loadDecisions();
+                })
+                .catch(err => {
+                    setError(err.message);
+                });
+        }
+
+        /**
+         * Badge for a name's decision, with the note, reviewer and date on
+         * hover. Nothing when the name has no decision.
+         */
+        function renderDecisionBadge(name) {
+            const decision = findDecision(name);
+            if (!decision) return null;
+            const title = [
+                decision.note,
+                `${decision.reviewer ? `Reviewed by ${decision.reviewer}` : 'Decided'} on ${new Date(decision.decidedAt).toLocaleDateString()}`
+            ].filter(Boolean).join('\n');
+            return React.createElement(
+                'span', { className: `decision-badge decision-${decision.decision}`, title },
+                DECISIONS[decision.decision] || decision.decision
+            );
+        }
+
+        /**
+         * A card's decision controls: the note and a button to open the
+         * editor, or the editor itself. Read-only users only see the note.
+         */
+        function renderDecisionEditor(name) {
+            const decision = findDecision(name);
+            const draft = decisionDrafts[name];
+            if (!draft) {
+                if (readOnly && !decision) return null;
+                return React.createElement(
+                    'div', { key: 'decision', className: 'decision-row' },
+                    decision && decision.note ?
+                        React.createElement('span', { className: 'decision-note' }, decision.note) :
+                        null,
+                    readOnly ?
+                        null :
+                        React.createElement(
+                            'button', { type: 'button', onClick: () => editDecision(name) },
+                            decision ? 'Change decision' : 'Record decision'
+                        )
+                );
+            }
+            return React.createElement(
+                'div', { key: 'decision', className: 'decision-row decision-editor' },
+                React.createElement(
+                    'select', {
+                        value: draft.decision,
+                        onChange: e => updateDecisionDraft(name, 'decision', e.target.value)
+                    },
+                    Object.entries(DECISIONS).map(([value, label]) =>
+                        React.createElement('option', { key: value, value }, label)
+                    )
+                ),
+                React.createElement('input', {
+                    type: 'text',
+                    placeholder: 'Note',
+                    value: draft.note,
+                    onChange: e => updateDecisionDraft(name, 'note', e.target.value)
+                }),
+                React.createElement('input', {
+                    type: 'text',
+                    placeholder: 'Reviewer',
+                    value: draft.reviewer,
+                    onChange: e => updateDecisionDraft(name, 'reviewer', e.target.value)
+                }),
+                React.createElement('button', { type: 'button', onClick: () => saveDecision(name) }, 'Save'),
+                decision ?
+                    React.createElement('button', { type: 'button', onClick: () => saveDecision(name, true) }, 'Clear') :
+                    null,
+                React.createElement('button', { type: 'button', onClick: () => closeDecisionEditor(name) }, 'Cancel')
+            );
+        }
+
+        /**
+         * Generate candidate names from the seed words and screen them on
+         * the server with the selected profile and source.
+         */
+        function handleGenerate() {
+            if (!generatorSeeds.trim()) return;
+            setGenerating(true);
+            fetch('/api/generate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    seeds: generatorSeeds,
+                    profile: profileId || undefined,
+                    source: sourceId || undefined
+                })
+            })
+                .then(res => res.json().then(body => {
+                    if (!res.ok) {
+                        throw new Error(body.error || `Generating names failed with status ${res.status}`);
+                    }
+                    setCandidates(body.candidates);
+                }))
+                .catch(err => {
+                    setError(err.message);
+                })
+                .then(() => {
+                    setGenerating(false);
+                    updateHistory();
+                });
+        }
+
+        /**
+         * Add candidate names as chips, skipping ones already added.
+         *
+         * @param {string[]} names
+         */
+        function addCandidateChips(names) {
+            setChips(prev => [...prev, ...names.filter(name => !prev.includes(name))]);
+        }
+
+        /**
+         * Panel for generating candidate names from seed words. Candidates
+         * are listed best score first, each with a button to add it as a
+         * chip, and all Green ones can be added at once.
+         */
+        function renderGenerator() {
+            const arrow = generatorExpanded ? '\u25BC' : '\u25B6';
+            const label = React.createElement(
+                'span',
+                {
+                    key: 'generatorLabel',
+                    className: 'watchlist-label',
+                    onClick: () => setGeneratorExpanded(prev => !prev)
+                },
+                `Name ideas ${arrow}`
+            );
+            if (!generatorExpanded) {
+                return React.createElement('div', { key: 'generator', className: 'generator' }, label);
+            }
+            const green = (candidates || []).filter(c => c.score === 'Green').map(c => c.name);
+            return React.createElement(
+                'div', { key: 'generator', className: 'generator' },
+                label,
+                React.createElement(
+                    'div', { className: 'generator-controls' },
+                    React.createElement('input', {
+                        type: 'text',
+                        placeholder: 'Seed words, e.g. Dragon, Phoenix',
+                        value: generatorSeeds,
+                        onChange: e => setGeneratorSeeds(e.target.value),
+                        onKeyDown: e => {
+                            if (e.key === 'Enter') handleGenerate();
+                        }
+                    }),
+                    React.createElement(
+                        'button', {
+                            type: 'button',
+                            onClick: handleGenerate,
+                            disabled: generating || !generatorSeeds.trim()
+                        },
+                        generating ? 'Screening…' : 'Generate'
+                    ),
+                    green.length > 0 ?
+                        React.createElement(
+                            'button', { type: 'button', onClick: () => addCandidateChips(green) },
+                            `Add ${green.length} Green`
+                        ) :
+                        null
+                ),
+                candidates ?
+                    React.createElement(
+                        'table', { className: 'generator-table' },
+                        React.createElement(
+                            'tbody', null,
+                            candidates.map(c => React.createElement(
+                                'tr', { key: c.name },
+                                React.createElement('td', null, c.name),
+                                React.createElement('td', { className: 'generator-kind' }, c.kind),
+                                React.createElement(
+                                    'td', null,
+                                    c.error ?
+                                        React.createElement('span', { className: 'history-failed', title: c.error }, 'failed') :
+                                        React.createElement(
+                                            'span', {
+                                                className: `score-label score-${c.score.toLowerCase()}`,
+                                                title: c.explanation
+                                            },
+                                            c.score
+                                        )
+                                ),
+                                React.createElement(
+                                    'td', null,
+                                    React.createElement(
+                                        'button', {
+                                            type: 'button',
+                                            disabled: chips.includes(c.name),
+                                            onClick: () => addCandidateChips([c.name])
+                                        },
+                                        chips.includes(c.name) ? 'Added' : 'Add'
+                                    )
+                                )
+                            ))
+                        )
+                    ) :
+                    null
+            );
+        }
+
+        /**
+         * Fetch the filings seen so far grouped by owner, for the current
+         * owner and class filters.
+         */
+        function loadOwners() {
+            const params = new URLSearchParams();
+            Object.entries(ownerFilters).forEach(([key, value]) => {
+                if (value.trim()) params.set(key, value.trim());
+            });
+            return fetch(`/api/owners?${params}`)
+                .then(res => {
+                    if (!res.ok) {
+                        throw new Error(`Loading owners failed with status ${res.status}`);
+                    }
+                    return res.json();
+                })
+                .then(setOwners)
+                .catch(err => {
+                    console.error('Failed to load owners', err);
+                });
+        }
+
+        function toggleOwners() {
+            if (!ownersExpanded && !owners) loadOwners();
+            setOwnersExpanded(prev => !prev);
+        }
+
+        /**
+         * Panel listing the owners of every filing seen so far, most
+         * filings first, with their live/dead counts, classes and filings
+         * per year. Clicking an owner lists its marks.
+         */
+        function renderOwners() {
+            const arrow = ownersExpanded ? '\u25BC' : '\u25B6';
+            const label = React.createElement(
+                'span',
+                { key: 'ownersLabel', className: 'watchlist-label', onClick: toggleOwners },
+                `Owners ${arrow}`
+            );
+            if (!ownersExpanded) {
+                return React.createElement('div', { key: 'owners', className: 'owners' }, label);
+            }
+            const filterInput = (key, placeholder) => React.createElement('input', {
+                type: 'text',
+                placeholder,
+                value: ownerFilters[key],
+                onChange: e => {
+                    const value = e.target.value;
+                    setOwnerFilters(prev => ({ ...prev, [key]: value }));
+                },
+                onKeyDown: e => {
+                    if (e.key === 'Enter') loadOwners();
+                }
+            });
+            const list = owners ? owners.owners : [];
+            return React.createElement(
+                'div', { key: 'owners', className: 'owners' },
+                label,
+                React.createElement(
+                    'div', { className: 'generator-controls' },
+                    filterInput('owner', 'Owner'),
+                    filterInput('class', 'Classes, e.g. 009, 028, 041'),
+                    React.createElement('button', { type: 'button', onClick: loadOwners }, 'Show')
+                ),
+                owners && owners.total > list.length ?
+                    React.createElement('div', { className: 'owners-note' }, `Showing ${list.length} of ${owners.total} owners.`) :
+                    null,
+                owners && list.length === 0 ?
+                    React.createElement('div', { className: 'owners-note' }, 'No filings seen yet match.') :
+                    null,
+                list.length > 0 ?
+                    React.createElement(
+                        'table', { className: 'owners-table' },
+                        React.createElement(
+                            'thead', null,
+                            React.createElement(
+                                'tr', null,
+                                ['Owner', 'Filings', 'Live', 'Dead', 'Classes', 'Filed per year'].map(h =>
+                                    React.createElement('th', { key: h }, h))
+                            )
+                        ),
+                        React.createElement(
+                            'tbody', null,
+                            list.flatMap(o => {
+                                const rows = [React.createElement(
+                                    'tr', { key: o.key },
+                                    React.createElement(
+                                        'td', null,
+                                        React.createElement(
+                                            'span', {
+                                                className: 'owners-name',
+                                                title: o.variants.join('\n'),
+                                                onClick: () => setOpenOwner(prev => (prev === o.key ? null : o.key))
+                                            },
+                                            o.name
+                                        ),
+                                        o.variants.length > 1 ?
+                                            React.createElement('span', { className: 'owners-note' }, ` +${o.variants.length - 1} spellings`) :
+                                            null
+                                    ),
+                                    React.createElement('td', null, o.filings),
+                                    React.createElement('td', null, o.live),
+                                    React.createElement('td', null, o.dead),
+                                    React.createElement('td', null, o.classes.map(c => `${c.class} ×${c.count}`).join(', ')),
+                                    React.createElement('td', null, o.timeline.map(t => `${t.year}: ${t.count}`).join(' · '))
+                                )];
+                                if (openOwner === o.key) {
+                                    rows.push(React.createElement(
+                                        'tr', { key: `${o.key}-marks` },
+                                        React.createElement(
+                                            'td', { colSpan: 6 },
+                                            React.createElement(
+                                                'ul', { className: 'owners-marks' },
+                                                o.marks.map(m => React.createElement(
+                                                    'li', { key: m.applicationNumber || m.detailUrl },
+                                                    m.detailUrl ?
+                                                        React.createElement('a', { href: m.detailUrl, target: '_blank', rel: 'noopener noreferrer' }, m.wordMark || m.applicationNumber) :
+                                                        m.wordMark || m.applicationNumber,
+                                                    ` — ${m.lifecycle || m.status || ''}, classes ${m.classes.join(' ')}` +
+                                                        (m.filingDate ? `, filed ${m.filingDate}` : '')
+                                                ))
+                                            )
+                                        )
+                                    ));
+                                }
+                                return rows;
+                            })
+                        )
+                    ) :
+                    null
+            );
+        }
+
+        /**
+         * Fetch the watchlist from the server.
+         */
+        function loadWatchlist() {
+            return fetch('/api/watchlist')
+                .then(res => {
+                    if (!res.ok) {
+                        throw new Error(`Loading watchlist failed with status ${res.status}`);
+                    }
+                    return res.json();
+                })
+                .then(setWatchlist)
+                .catch(err => {
+                    console.error('Failed to load watchlist', err);
+                });
+        }
+
+        /**
+         * Send a watchlist request and reload the list afterwards.
+         *
+         * @param {string} path Path below /api/watchlist
+         * @param {Object} options fetch options
+         */
+        function watchlistRequest(path, options) {
+            return fetch('/api/watchlist' + path, options)
+                .then(res => {
+                    if (!res.ok) {
+                        return res.json().then(body => {
+                            throw new Error(body.error || `Request failed with status ${res.status}`);
+                        });
+                    }
+                    return res.json();
+                })
+                .catch(err => {
+                    setError(err.message);
+                })
+                .then(loadWatchlist);
+        }
+
+        /**
+         * Add a searched name to the watchlist with the profile and source
+         * its result was produced with.
+         */
+        function handleWatch(name, info) {
+            watchlistRequest('', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, profile: info.profile, source: info.source })
+            });
+        }
+
+        function handleUnwatch(id) {
+            watchlistRequest(`/${id}`, { method: 'DELETE' });
+        }
+
+        function handleCheckWatch(id) {
+            watchlistRequest(`/${id}/check`, { method: 'POST' });
+        }
+
+        function handleWatchSeen(id) {
+            watchlistRequest(`/${id}/seen`, { method: 'POST' });
+        }
+
+        function findWatch(name) {
+            if (!watchlist) return null;
+            const lower = name.trim().toLowerCase();
+            return watchlist.entries.find(e => e.name.toLowerCase() === lower) || null;
+        }
+
+        /**
+         * One line describing a watchlist change.
+         */
+        function describeChange(change) {
+            const stage = id => (LIFECYCLE_STAGES[id] ? LIFECYCLE_STAGES[id].label : id);
+            switch (change.type) {
+                case 'score':
+                    return `Score changed from ${change.from} to ${change.to}`;
+                case 'new-filing':
+                    return `New filing ${change.key} "${change.wordMark}" (${stage(change.to)})`;
+                case 'status':
+                    return `Filing ${change.key} "${change.wordMark}" changed from ${stage(change.from)} to ${stage(change.to)}`;
+                case 'owner':
+                    return `Filing ${change.key} "${change.wordMark}" changed owner from ${change.from} to ${change.to}`;
+                default:
+                    return change.type;
+            }
+        }
+
+        /**
+         * Clear the history chips without affecting cached results or the
+         * server's log. Names searched from now on appear again.
          */
         function handleClearHistory() {
-            setHistory([]);
+            const now = new Date().toISOString();
+            setHistoryClearedAt(now);
             try {
-                localStorage.removeItem('searchHistory');
+                localStorage.setItem('historyClearedAt', now);
             } catch (err) {
                 console.error('Failed to clear history', err);
             }
@@ -600,7 +1757,7 @@
          * trimmed.
          */
         function finalizeInput() {
-            const val = inputValue.trim();
+            const val = chipText(inputValue.trim());
             if (!val) return;
             setChips(prev => {
                 // Avoid duplicate chips; if duplicates are desired just remove this check
@@ -773,7 +1930,8 @@
                 const parts = pasted
                     .split(/[\n,]+/)
                     .map(s => s.trim())
-                    .filter(Boolean);
+                    .filter(Boolean)
+                    .map(chipText);
                 // Update chips: avoid duplicates and maintain order
                 if (parts.length > 0) {
                     setChips(prev => {
@@ -894,10 +2052,10 @@
         useEffect(() => {
             // Determine which chip values have not yet been prefetched. We
             // aggregate them into a single API call to reduce the number of
-            // outbound requests and thereby mitigate potential rate limits on
-            // the upstream trademark website. Grouping chips together in one
-            // request allows the server to process them sequentially while
-            // respecting its own caching.
+            // requests to our server. The server's fetch scheduler bounds
+            // concurrency and spaces requests to the upstream trademark
+            // website, so grouping chips does not risk its rate limits.
+            if (!canSearch) return;
             const namesToFetch = chips.filter(
                 chip => !Object.prototype.hasOwnProperty.call(prefetchCache, chip)
             );
@@ -910,12 +2068,18 @@
                 });
                 return updated;
             });
+            const requestedKey = `${profileId}|${sourceId}`;
             fetch('/api/search', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ names: namesToFetch.join('\n') })
+                body: JSON.stringify({
+                    names: namesToFetch,
+                    profile: profileId || undefined,
+                    source: sourceId || undefined,
+                    prefetch: true
+                })
             })
                 .then(res => {
                     if (!res.ok) {
@@ -924,6 +2088,9 @@
                     return res.json();
                 })
                 .then(data => {
+                    // The profile or source changed while this request was
+                    // in flight; its results no longer apply.
+                    if (searchKeyRef.current !== requestedKey) return;
                     setPrefetchCache(prev => {
                         const updated = { ...prev };
                         namesToFetch.forEach(name => {
@@ -934,6 +2101,7 @@
                 })
                 .catch(err => {
                     console.error('Prefetch error', err);
+                    if (searchKeyRef.current !== requestedKey) return;
                     setPrefetchCache(prev => {
                         const updated = { ...prev };
                         namesToFetch.forEach(name => {
@@ -942,7 +2110,160 @@
                         return updated;
                     });
                 });
-        }, [chips]);
+        }, [chips, profileId, sourceId, canSearch]);
+
+        /**
+         * Columns imported with a name, shown after it as small labels.
+         */
+        function renderMetadata(name) {
+            const columns = Object.entries(chipMeta[name] || {}).filter(([, value]) => value);
+            if (columns.length === 0) return null;
+            return React.createElement(
+                'span', { className: 'name-metadata' },
+                columns.map(([column, value]) => React.createElement(
+                    'span', { key: column, title: column }, `${column}: ${value}`
+                ))
+            );
+        }
+
+        /**
+         * Send a CSV or XLSX file of names to the server to be read, then
+         * ask which column holds the names.
+         */
+        function handleNameFile(file) {
+            if (!file) return;
+            fetch(`/api/import?filename=${encodeURIComponent(file.name)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: file
+            })
+                .then(res => res.json().then(body => {
+                    if (!res.ok) {
+                        throw new Error(body.error || `Importing names failed with status ${res.status}`);
+                    }
+                    setNameImport({ fileName: file.name, ...body });
+                }))
+                .catch(err => {
+                    setError(err.message);
+                });
+        }
+
+        function handleNameDrop(e) {
+            e.preventDefault();
+            setDragOver(false);
+            handleNameFile(e.dataTransfer.files[0]);
+        }
+
+        /**
+         * Add the names in the chosen column as chips, with the other
+         * columns as their metadata. Names are taken as they are, commas
+         * included.
+         */
+        function addImportedNames() {
+            const { columns, rows, nameColumn } = nameImport;
+            const meta = {};
+            const names = [];
+            rows.forEach(row => {
+                const name = row[nameColumn];
+                if (!name || names.includes(name)) return;
+                names.push(name);
+                meta[name] = {};
+                columns.forEach((column, idx) => {
+                    if (idx !== nameColumn && row[idx]) meta[name][column] = row[idx];
+                });
+            });
+            setChips(prev => [...prev, ...names.filter(name => !prev.includes(name))]);
+            setChipMeta(prev => ({ ...prev, ...meta }));
+            setNameImport(null);
+        }
+
+        /**
+         * Pick the name column of an uploaded file before adding its names.
+         */
+        function renderNameImport() {
+            if (!nameImport) return null;
+            const { fileName, columns, rows, nameColumn, truncated } = nameImport;
+            const count = new Set(rows.map(row => row[nameColumn]).filter(Boolean)).size;
+            return React.createElement(
+                'div', { key: 'nameImport', className: 'name-import' },
+                React.createElement('span', null, `${fileName}: names are in `),
+                React.createElement(
+                    'select', {
+                        value: nameColumn,
+                        onChange: e => {
+                            const value = Number(e.target.value);
+                            setNameImport(prev => ({ ...prev, nameColumn: value }));
+                        }
+                    },
+                    columns.map((column, idx) => React.createElement('option', { key: idx, value: idx }, column))
+                ),
+                React.createElement(
+                    'span', { className: 'name-import-note' },
+                    columns.length > 1 ?
+                        ` ${columns.filter((_, idx) => idx !== nameColumn).join(', ')} kept with each name.` :
+                        '',
+                    truncated ? ` Only the first ${rows.length} rows were read.` : ''
+                ),
+                React.createElement(
+                    'button', { type: 'button', onClick: addImportedNames, disabled: count === 0 },
+                    `Add ${count} name${count === 1 ? '' : 's'}`
+                ),
+                React.createElement('button', { type: 'button', onClick: () => setNameImport(null) }, 'Cancel')
+            );
+        }
+
+        // Whether the chosen source can answer owner: queries; scraping
+        // sources cannot, and the server reports those chips as errors
+        function sourceSearchesOwners() {
+            if (!sources || !Array.isArray(sources.sources)) return true;
+            const source = sources.sources.find(src => src.id === (sourceId || sources.default));
+            return !source || source.ownerSearch !== false;
+        }
+
+        /**
+         * Say under the input why owner: chips will fail on the chosen
+         * source, rather than only in each chip's tooltip.
+         */
+        function renderOwnerSearchNote() {
+            if (sourceSearchesOwners() || !chips.some(chip => chipKind(chip) === 'owner')) return null;
+            return React.createElement(
+                'div', { key: 'owner-note', className: 'owner-search-note' },
+                'Owner searches need the offline IPGOD data: this source cannot list every filing an owner holds. ' +
+                    'Choose the IPGOD source, or use the Owners view for the filings found so far.'
+            );
+        }
+
+        // 'owner', 'app' or 'class' for typed query chips, null for names
+        function chipKind(chip) {
+            const query = parseQuery(chip);
+            if (query.error) return null;
+            if (query.kind !== 'name') return query.kind;
+            return query.classes.length > 0 ? 'class' : null;
+        }
+
+        /**
+         * Chip text. Typed queries show what they search for as tags,
+         * e.g. [Owner] Aristocrat or [Class 028] dragon.
+         */
+        function renderChipLabel(chip) {
+            const query = parseQuery(chip);
+            if (query.error || !chipKind(chip)) {
+                return React.createElement('span', { key: 'text', title: query.error || undefined }, chip);
+            }
+            const tags = query.classes.map(cls => `Class ${cls}`);
+            if (query.kind === 'owner') tags.unshift('Owner');
+            if (query.kind === 'app') tags.unshift('App #');
+            const unsupported = query.kind === 'owner' && !sourceSearchesOwners();
+            return React.createElement(
+                'span', {
+                    key: 'text',
+                    className: unsupported ? 'chip-unsupported' : undefined,
+                    title: unsupported ? 'This source cannot be searched by owner; choose a local source such as IPGOD.' : chip
+                },
+                ...tags.map(tag => React.createElement('small', { key: tag, className: 'chip-tag' }, tag)),
+                query.value
+            );
+        }
 
         /**
          * Render the chip input UI. Chips are shown as small bubbles with a
@@ -956,7 +2277,7 @@
                 React.createElement(
                     'div',
                     {
-                        className: `chip${selectedIndices.has(idx) ? ' selected' : ''}`,
+                        className: `chip${chipKind(chip) ? ` chip-${chipKind(chip)}` : ''}${selectedIndices.has(idx) ? ' selected' : ''}`,
                         key: `chip-${idx}`,
                         onMouseDown: (e) => handleChipMouseDown(idx, e),
                         onMouseEnter: () => handleChipMouseEnter(idx),
@@ -967,13 +2288,7 @@
                         }
                     },
                     [
-                        React.createElement(
-                            'span',
-                            {
-                                key: 'text'
-                            },
-                            chip
-                        ),
+                        renderChipLabel(chip),
                         React.createElement(
                             'button',
                             {
@@ -994,8 +2309,16 @@
             return React.createElement(
                 'div',
                 {
-                    className: 'tag-input',
+                    className: `tag-input${dragOver ? ' drag-over' : ''}`,
                     key: 'taginput',
+                    // Drop a CSV or XLSX file of names here to import it
+                    onDragOver: e => {
+                        if (!canSearch) return;
+                        e.preventDefault();
+                        setDragOver(true);
+                    },
+                    onDragLeave: () => setDragOver(false),
+                    onDrop: handleNameDrop,
                     onClick: () => {
                         if (inputRef.current) {
                             inputRef.current.focus();
@@ -1020,7 +2343,7 @@
                         onKeyDown: handleInputKeyDown,
                         onBlur: handleInputBlur,
                         onPaste: handleInputPaste,
-                        placeholder: chips.length === 0 && !inputValue ? 'Enter one or more names separated by commas or new lines (e.g. Golden Emperor, Urban Jungle, Dragon Train)' : '',
+                        placeholder: chips.length === 0 && !inputValue ? 'Enter one or more names separated by commas or new lines (e.g. Golden Emperor, Urban Jungle, Dragon Train), or owner:"Name", app:1234567, class:028 "Name"' : '',
                         rows: 1,
                         style: {
                             border: 'none',
@@ -1098,6 +2421,31 @@
             }
         }
 
+        /**
+         * Apply a single event from the search stream. Progress events
+         * update the per-name detail counter; result events add the card
+         * immediately and remember the result for later searches.
+         *
+         * @param {string} event Event name sent by the server
+         * @param {Object} data Parsed event payload
+         */
+        function handleStreamEvent(event, data) {
+            if (event === 'progress') {
+                setDetailProgress(prev => ({
+                    ...prev,
+                    [data.name]: { done: data.done, total: data.total }
+                }));
+            } else if (event === 'result') {
+                const { name, info } = data;
+                setResults(prev => ({ ...(prev || {}), [name]: info }));
+                setPrefetchCache(prev => ({ ...prev, [name]: info }));
+                setLoadingNames(prev => ({
+                    ...prev,
+                    [name]: info && info.error ? 'error' : 'done'
+                }));
+            }
+        }
+
         async function handleSearch() {
             // Convert any residual input into a chip before searching
             finalizeInput();
@@ -1106,64 +2454,59 @@
             if (list.length === 0) {
                 return;
             }
-            // Mark all names as loading/pending
+            // Names already prefetched render straight away; the rest are
+            // streamed from the server and appear as each one completes.
+            const initial = {};
+            list.forEach(name => {
+                if (prefetchCache[name]) {
+                    initial[name] = prefetchCache[name];
+                }
+            });
+            const namesToFetch = list.filter(n => !prefetchCache[n]);
             setLoadingNames(list.reduce((acc, n) => {
-                acc[n] = 'pending';
+                acc[n] = initial[n] ? 'done' : 'pending';
                 return acc;
             }, {}));
+            setDetailProgress({});
             setLoading(true);
             setError(null);
-            setResults(null);
+            setResults(initial);
+            setResultsProfileId(profileId);
+            setSessionId(null);
+            // Every result of this search, to save as a session at the end
+            const collected = { ...initial };
             try {
-                // Determine which names still need to be fetched from the server.
-                const namesToFetch = list.filter(n => !prefetchCache[n]);
-                let fetchedResults = {};
                 if (namesToFetch.length > 0) {
-                    const response = await fetch('/api/search', {
+                    const response = await fetch('/api/search/stream', {
                         method: 'POST',
                         headers: {
                             'Content-Type': 'application/json'
                         },
                         body: JSON.stringify({
-                            names: namesToFetch.join('\n')
+                            names: namesToFetch,
+                            profile: profileId || undefined,
+                            source: sourceId || undefined
                         })
                     });
                     if (!response.ok) {
                         throw new Error(`Server returned status ${response.status}`);
                     }
-                    const data = await response.json();
-                    fetchedResults = data;
-                    // Merge freshly fetched data into prefetchCache
-                    setPrefetchCache(prev => {
-                        const updated = { ...prev };
-                        namesToFetch.forEach(name => {
-                            if (data[name]) {
-                                updated[name] = data[name];
-                            }
-                        });
-                        return updated;
+                    await readEventStream(response, (event, data) => {
+                        if (event === 'result') {
+                            collected[data.name] = data.info;
+                        }
+                        handleStreamEvent(event, data);
                     });
                 }
-                // Construct combined results for all chips using prefetched and newly fetched data.
-                const combined = {};
+                // Results arrive in completion order; restore chip order
+                const ordered = {};
                 list.forEach(name => {
-                    if (prefetchCache[name]) {
-                        combined[name] = prefetchCache[name];
-                    } else if (fetchedResults[name]) {
-                        combined[name] = fetchedResults[name];
-                    }
-                });
-                setResults(combined);
-                // Mark each name as done in loadingNames
-                setLoadingNames(prev => {
-                    const updated = { ...prev };
-                    list.forEach(n => {
-                        updated[n] = 'done';
-                    });
-                    return updated;
+                    if (collected[name]) ordered[name] = collected[name];
                 });
+                setResults(ordered);
                 // Update search history
-                updateHistory(list);
+                updateHistory();
+                saveSession(list, ordered);
             } catch (err) {
                 setError(err.message);
             } finally {
@@ -1171,6 +2514,189 @@
             }
         }
 
+        /**
+         * Save a completed search on the server so that it can be shared.
+         * Failing to save only loses the share link, so errors are logged
+         * rather than shown.
+         */
+        function saveSession(names, searchResults) {
+            fetch('/api/sessions', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    names,
+                    results: searchResults,
+                    metadata: chipMeta,
+                    profile: profileId || undefined,
+                    source: sourceId || undefined
+                })
+            })
+                .then(res => {
+                    if (!res.ok) {
+                        throw new Error(`Saving session failed with status ${res.status}`);
+                    }
+                    return res.json();
+                })
+                .then(session => setSessionId(session.id))
+                .catch(err => {
+                    console.error('Failed to save search session', err);
+                });
+        }
+
+        /**
+         * Copy the share link for the current results to the clipboard,
+         * or show it for copying by hand where the clipboard is blocked.
+         */
+        async function handleCopyLink() {
+            const link = `${window.location.origin}/s/${sessionId}`;
+            try {
+                await navigator.clipboard.writeText(link);
+                alert('Link copied to clipboard.');
+            } catch (err) {
+                window.prompt('Copy this link:', link);
+            }
+        }
+
+        /**
+         * Upload a JSON export and open it as a saved search.
+         */
+        function handleImportJson(e) {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            file.text()
+                .then(text => fetch('/api/sessions/import', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: text
+                }))
+                .then(res => res.json().then(body => {
+                    if (!res.ok) {
+                        throw new Error(body.error || `Opening export failed with status ${res.status}`);
+                    }
+                    window.location.href = body.url;
+                }))
+                .catch(err => {
+                    setError(err.message);
+                });
+        }
+
+        /**
+         * Banner shown above a shared search instead of the search controls.
+         */
+        function renderSharedBanner() {
+            if (!sharedSession) return null;
+            const profile = getProfile(sharedSession.profile);
+            return React.createElement(
+                'div', { key: 'shared', className: 'shared-banner' },
+                `Shared search from ${new Date(sharedSession.createdAt).toLocaleString()}` +
+                    ` using the ${profile ? profile.label : sharedSession.profile} profile. ` +
+                    (sharedSession.clientSupplied ? 'The results are as the searcher\'s browser saved them. ' : ''),
+                React.createElement('a', { href: '/' }, 'Start a new search')
+            );
+        }
+
+        /**
+         * Log in with the name and password typed into the login form. The
+         * page reloads afterwards so that everything loads for the user's
+         * workspace.
+         */
+        function handleLogin(e) {
+            e.preventDefault();
+            setLoginError(null);
+            fetch('/api/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(loginForm)
+            })
+                .then(res => res.json().then(body => {
+                    if (!res.ok) {
+                        throw new Error(body.error || `Login failed with status ${res.status}`);
+                    }
+                    window.location.reload();
+                }))
+                .catch(err => {
+                    setLoginError(err.message);
+                });
+        }
+
+        function handleLogout() {
+            fetch('/api/logout', { method: 'POST' })
+                .catch(err => {
+                    console.error('Failed to log out', err);
+                })
+                .then(() => window.location.reload());
+        }
+
+        /**
+         * Switch to another workspace and reload, since history, the
+         * watchlist and profiles all belong to the workspace.
+         */
+        function handleWorkspaceChange(id) {
+            fetch('/api/me/workspace', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ workspace: id })
+            })
+                .then(res => {
+                    if (!res.ok) {
+                        throw new Error(`Switching workspace failed with status ${res.status}`);
+                    }
+                    window.location.reload();
+                })
+                .catch(err => {
+                    setError(err.message);
+                });
+        }
+
+        function renderLoginForm() {
+            const field = (key, label, type) => React.createElement(
+                'label', { key },
+                label,
+                React.createElement('input', {
+                    type,
+                    value: loginForm[key],
+                    autoComplete: key === 'name' ? 'username' : 'current-password',
+                    onChange: e => setLoginForm(prev => ({ ...prev, [key]: e.target.value }))
+                })
+            );
+            return React.createElement(
+                'form', { key: 'login', className: 'login-form', onSubmit: handleLogin },
+                field('name', 'User name', 'text'),
+                field('password', 'Password', 'password'),
+                React.createElement('button', { key: 'submit', type: 'submit' }, 'Log in'),
+                loginError ?
+                    React.createElement('p', { key: 'error', className: 'login-error' }, loginError) :
+                    null
+            );
+        }
+
+        /**
+         * Who is logged in, with their role, a workspace switcher when they
+         * can use more than one and a log out button. Nothing when logins
+         * are disabled.
+         */
+        function renderAccountBar() {
+            if (!account || !account.user) return null;
+            return React.createElement(
+                'div', { key: 'account', className: 'account-bar' },
+                React.createElement('span', null, `${account.user.name} (${account.user.role})`),
+                account.workspaces.length > 1 ?
+                    React.createElement(
+                        'select', {
+                            value: account.workspace,
+                            title: 'Workspace',
+                            onChange: e => handleWorkspaceChange(e.target.value)
+                        },
+                        account.workspaces.map(w =>
+                            React.createElement('option', { key: w.id, value: w.id }, w.name)
+                        )
+                    ) :
+                    React.createElement('span', null, `Workspace: ${(account.workspaces[0] || {}).name || account.workspace}`),
+                React.createElement('button', { type: 'button', onClick: handleLogout }, 'Log out')
+            );
+        }
+
         function renderResults() {
             if (!results) return null;
             const entries = Object.entries(results);
@@ -1187,7 +2713,7 @@
                             style: {
                                 marginTop: 0
                             }
-                        }, name),
+                        }, name, renderMetadata(name)),
                         info && info.error ?
                             React.createElement(
                                 'p', {
@@ -1228,57 +2754,18 @@
                                 ),
                                 Array.isArray(info.details) && info.details.length > 0 ?
                                     (() => {
-                                        // Partition details into priority groups. Any filing containing
-                                        // classes 028 or 041 goes into priority1; those containing 009
-                                        // (but not in priority1) go into priority2; all others are
-                                        // considered lower priority and initially hidden behind the
-                                        // "Show More" button. Classes may be strings or arrays.
-                                        const priority1 = [];
-                                        const priority2 = [];
-                                        const others = [];
-                                        info.details.forEach(det => {
-                                            let classesList = [];
-                                            if (Array.isArray(det.classes)) {
-                                                classesList = det.classes.map(String);
-                                            } else if (det.classes && typeof det.classes === 'string') {
-                                                classesList = det.classes.split(/[,\s]+/).filter(Boolean);
-                                            }
-                                            const has028 = classesList.includes('028');
-                                            const has041 = classesList.includes('041');
-                                            const has009 = classesList.includes('009');
-                                            if (has028 || has041) {
-                                                priority1.push(det);
-                                            } else if (has009) {
-                                                priority2.push(det);
-                                            } else {
-                                                others.push(det);
-                                            }
-                                        });
+                                        // Partition details into priority groups. Filings listing any
+                                        // class weighted by the scoring profile come first, heaviest
+                                        // first; all others are considered lower priority and initially
+                                        // hidden behind the "Show More" button.
+                                        const profile = getProfile(resultsProfileId);
+                                        const { prioritised, others } = partitionByPriority(info.details, profile);
                                         const isExpanded = expandedCards[name] || false;
                                         // Determine which entries to show based on expansion
-                                        let displayList = isExpanded ? [...priority1, ...priority2, ...others] : [...priority1, ...priority2];
-                                        // Apply class filters based on user selection. An entry is shown
-                                        // if it contains at least one selected class. The "Other"
-                                        // checkbox controls rows that have none of the priority classes.
-                                        displayList = displayList.filter(det => {
-                                            let classesList = [];
-                                            if (Array.isArray(det.classes)) {
-                                                classesList = det.classes.map(String);
-                                            } else if (det.classes && typeof det.classes === 'string') {
-                                                classesList = det.classes.split(/[,\s]+/).filter(Boolean);
-                                            }
-                                            const has028 = classesList.includes('028');
-                                            const has041 = classesList.includes('041');
-                                            const has009 = classesList.includes('009');
-                                            // Determine if this row falls into other
-                                            const isOther = !has028 && !has041 && !has009;
-                                            // Check selected filters
-                                            if (has028 && !filterOptions.show028) return false;
-                                            if (has041 && !filterOptions.show041) return false;
-                                            if (has009 && !filterOptions.show009) return false;
-                                            if (isOther && !filterOptions.showOther) return false;
-                                            return true;
-                                        });
+                                        let displayList = isExpanded ? [...prioritised, ...others] : [...prioritised];
+                                        // Apply class filters based on user selection. The "Other"
+                                        // checkbox controls rows that have none of the profile classes.
+                                        displayList = displayList.filter(det => passesClassFilter(det, profile));
                                         // Apply sorting if requested
                                         if (filterOptions.sortBy === 'appNumber') {
                                             displayList.sort((a, b) => {
@@ -1287,11 +2774,12 @@
                                                 return A.localeCompare(B);
                                             });
                                         } else if (filterOptions.sortBy === 'filingDate') {
+                                            displayList.sort(compareFilingDates);
+                                        } else if (filterOptions.sortBy === 'similarity') {
                                             displayList.sort((a, b) => {
-                                                // Convert filingDate to timestamp; blank values go last
-                                                const ta = a.filingDate ? Date.parse(a.filingDate) : 0;
-                                                const tb = b.filingDate ? Date.parse(b.filingDate) : 0;
-                                                return tb - ta;
+                                                const sa = a.similarity ? a.similarity.score : -1;
+                                                const sb = b.similarity ? b.similarity.score : -1;
+                                                return sb - sa;
                                             });
                                         }
                                         // Build table rows for the filtered and sorted list
@@ -1311,7 +2799,7 @@
                                                 det.error ?
                                                     React.createElement(
                                                         'td', {
-                                                        colSpan: 6,
+                                                        colSpan: 7,
                                                         style: {
                                                             color: '#d32f2f'
                                                         }
@@ -1324,15 +2812,34 @@
                                                             key: 'app',
                                                             'data-label': 'Application #'
                                                         },
-                                                            det.applicationNumber || ''
+                                                            det.applicationNumber || '',
+                                                            det.parserWarning ?
+                                                                React.createElement(
+                                                                    'span', {
+                                                                        className: 'parser-warning',
+                                                                        title: det.parserWarning +
+                                                                            (det.stale ? ' Showing the last copy that could be read.' : '')
+                                                                    },
+                                                                    ' ⚠'
+                                                                ) :
+                                                                null
                                                         ),
                                                         React.createElement(
                                                             'td', {
                                                             key: 'mark',
-                                                            'data-label': 'Word Mark'
+                                                            'data-label': 'Word Mark',
+                                                            title: filingTooltips(det).mark || undefined
                                                         },
                                                             det.wordMark || ''
                                                         ),
+                                                        React.createElement(
+                                                            'td', {
+                                                            key: 'similarity',
+                                                            'data-label': 'Similarity',
+                                                            title: formatSimilarity(det).title
+                                                        },
+                                                            formatSimilarity(det).text
+                                                        ),
                                                         React.createElement(
                                                             'td', {
                                                             key: 'owner',
@@ -1381,16 +2888,19 @@
                                                         React.createElement(
                                                             'td', {
                                                             key: 'date',
-                                                            'data-label': 'Filing Date'
+                                                            'data-label': 'Filing Date',
+                                                            title: filingTooltips(det).dates || undefined
                                                         },
                                                             det.filingDate || ''
                                                         ),
                                                         React.createElement(
                                                             'td', {
                                                             key: 'status',
-                                                            'data-label': 'Status'
+                                                            'data-label': 'Status',
+                                                            className: det.lifecycle ? `status-stage status-${det.status.toLowerCase()}` : undefined,
+                                                            title: formatStatus(det).title || undefined
                                                         },
-                                                            det.status || ''
+                                                            formatStatus(det).text
                                                         ),
                                                         React.createElement(
                                                             'td', {
@@ -1424,6 +2934,7 @@
                                                             [
                                                                 'Application #',
                                                                 'Word Mark',
+                                                                'Similarity',
                                                                 'Owner',
                                                                 'Filing Date',
                                                                 'Status',
@@ -1480,44 +2991,62 @@
         }
 
         /**
-         * Render filter controls for results. Includes checkboxes for
-         * classes 028, 041, 009 and Others, and a drop‑down select to
-         * choose sorting. Filters are only shown when results exist.
+         * Render filter controls for results. Includes a checkbox for each
+         * class in the scoring profile the results were produced with plus
+         * Others, and a drop‑down select to choose sorting. Filters are
+         * only shown when results exist.
          */
         function renderFilterControls() {
             if (!results) return null;
+            const profile = getProfile(resultsProfileId);
             return React.createElement(
                 'div', {
                 key: 'filters',
                 className: 'filter-controls'
             },
-                [
-                    // Class filters
-                    ['028', 'show028'],
-                    ['041', 'show041'],
-                    ['009', 'show009'],
-                    ['Other', 'showOther']
-                ].map(([label, keyOpt]) =>
+                profileClassOrder(profile).map(cls =>
                     React.createElement(
                         'label', {
-                        key: `filter-${keyOpt}`,
+                        key: `filter-${cls}`,
                         style: { marginRight: '12px', fontSize: '0.9rem', cursor: 'pointer' }
                     },
                         [
                             React.createElement('input', {
                                 type: 'checkbox',
-                                key: `chk-${keyOpt}`,
-                                checked: filterOptions[keyOpt],
+                                key: `chk-${cls}`,
+                                checked: !filterOptions.hiddenClasses[cls],
                                 onChange: (e) => {
                                     const checked = e.target.checked;
-                                    setFilterOptions(prev => ({ ...prev, [keyOpt]: checked }));
+                                    setFilterOptions(prev => ({
+                                        ...prev,
+                                        hiddenClasses: { ...prev.hiddenClasses, [cls]: !checked }
+                                    }));
                                 },
                                 style: { marginRight: '4px' }
                             }),
-                            label
+                            cls
                         ]
                     )
                 ).concat(
+                    React.createElement(
+                        'label', {
+                        key: 'filter-other',
+                        style: { marginRight: '12px', fontSize: '0.9rem', cursor: 'pointer' }
+                    },
+                        [
+                            React.createElement('input', {
+                                type: 'checkbox',
+                                key: 'chk-other',
+                                checked: filterOptions.showOther,
+                                onChange: (e) => {
+                                    const checked = e.target.checked;
+                                    setFilterOptions(prev => ({ ...prev, showOther: checked }));
+                                },
+                                style: { marginRight: '4px' }
+                            }),
+                            'Other'
+                        ]
+                    ),
                     // Sorting select element
                     React.createElement(
                         'select', {
@@ -1532,9 +3061,82 @@
                             [
                                 React.createElement('option', { key: 'opt-none', value: 'none' }, 'Sort: Default'),
                                 React.createElement('option', { key: 'opt-app', value: 'appNumber' }, 'Sort by Application #'),
-                                React.createElement('option', { key: 'opt-date', value: 'filingDate' }, 'Sort by Filing Date')
+                                React.createElement('option', { key: 'opt-date', value: 'filingDate' }, 'Sort by Filing Date'),
+                                React.createElement('option', { key: 'opt-sim', value: 'similarity' }, 'Sort by Similarity')
                             ]
-                        )
+                        ),
+                    // Decision filter, with the full decision register as CSV
+                    React.createElement(
+                        'select', {
+                            key: 'decisionSelect',
+                            value: filterOptions.decision,
+                            onChange: (e) => {
+                                const val = e.target.value;
+                                setFilterOptions(prev => ({ ...prev, decision: val }));
+                            },
+                            style: { marginLeft: '8px', fontSize: '0.9rem' }
+                        },
+                            [
+                                React.createElement('option', { key: 'all', value: 'all' }, 'All decisions'),
+                                React.createElement('option', { key: 'none', value: 'none' }, 'Undecided'),
+                                ...Object.entries(DECISIONS).map(([value, label]) =>
+                                    React.createElement('option', { key: value, value }, label)
+                                )
+                            ]
+                        ),
+                    React.createElement(
+                        'a', {
+                            key: 'decisionExport',
+                            href: '/api/decisions?format=csv',
+                            className: 'decision-export'
+                        },
+                        'Export decisions'
+                    )
+                )
+            );
+        }
+
+        /**
+         * Render the data source selector shown beside the search button.
+         * Hidden unless more than one source is available, e.g. when an
+         * IPGOD dataset has been downloaded for offline searches.
+         */
+        function renderSourceSelect() {
+            if (!sources || !Array.isArray(sources.sources)) return null;
+            const available = sources.sources.filter(src => src.available);
+            if (available.length < 2) return null;
+            return React.createElement(
+                'select', {
+                    key: 'sourceSelect',
+                    className: 'option-select',
+                    value: sourceId,
+                    title: 'Data source',
+                    onChange: (e) => handleSourceChange(e.target.value),
+                    disabled: loading
+                },
+                available.map(src =>
+                    React.createElement('option', { key: src.id, value: src.id }, `Source: ${src.label}`)
+                )
+            );
+        }
+
+        /**
+         * Render the scoring profile selector shown beside the search
+         * button. Hidden until profiles have loaded.
+         */
+        function renderProfileSelect() {
+            if (!profiles || !profiles.profiles) return null;
+            return React.createElement(
+                'select', {
+                    key: 'profileSelect',
+                    className: 'option-select',
+                    value: profileId,
+                    title: 'Scoring profile',
+                    onChange: (e) => handleProfileChange(e.target.value),
+                    disabled: loading
+                },
+                Object.values(profiles.profiles).map(p =>
+                    React.createElement('option', { key: p.id, value: p.id }, `Profile: ${p.label}`)
                 )
             );
         }
@@ -1542,12 +3144,14 @@
         /**
          * Render loading progress indicator for each chip. Shows a list of
          * names with a symbol indicating whether the search has completed
-         * (✔) or is still pending (…). Hidden when no search is in progress.
+         * (✔), failed (✖) or is still pending. Pending names show how many
+         * of their detail pages have been processed once that is known.
+         * Hidden when no search is in progress.
          */
         function renderProgress() {
             const names = Object.keys(loadingNames || {});
             // Hide indicator when nothing is loading
-            if (!loading && names.every(n => loadingNames[n] === 'done')) {
+            if (!loading || names.length === 0) {
                 return null;
             }
             return React.createElement(
@@ -1557,7 +3161,15 @@
             },
                 names.map(name => {
                     const status = loadingNames[name];
-                    const symbol = status === 'done' ? '✔' : '…';
+                    const progress = detailProgress[name];
+                    let symbol = '…';
+                    if (status === 'done') {
+                        symbol = '✔';
+                    } else if (status === 'error') {
+                        symbol = '✖';
+                    } else if (progress && progress.total > 0) {
+                        symbol = `${progress.done}/${progress.total}`;
+                    }
                     return React.createElement(
                         'span', {
                         key: name,
@@ -1595,8 +3207,14 @@
                 },
                 `History ${arrow}`
             );
-            // When expanded and there are items, construct a secondary container for clear button and chips
+            // When expanded, show the filters and, when there are items, a
+            // secondary container for the clear button and chips followed by
+            // the matching log entries
             let contents = null;
+            let log = null;
+            if (historyExpanded) {
+                log = renderHistoryLog();
+            }
             if (historyExpanded && history && history.length > 0) {
                 const items = [];
                 // Clear button styled like other action buttons (smaller) defined via CSS
@@ -1649,7 +3267,186 @@
                     key: 'history',
                     className: 'history'
                 },
-                contents ? [label, contents] : [label]
+                [label, contents, log].filter(Boolean)
+            );
+        }
+
+        /**
+         * Render the history filters and the matching audit log entries:
+         * when each search ran, who ran it and the score every name got.
+         */
+        function renderHistoryLog() {
+            const dateInput = (key, title) => React.createElement('input', {
+                key,
+                type: 'date',
+                title,
+                value: historyFilters[key],
+                onChange: (e) => updateHistoryFilter(key, e.target.value)
+            });
+            const filters = React.createElement(
+                'div', { key: 'histFilters', className: 'history-filters' },
+                [
+                    React.createElement('span', { key: 'fromLabel' }, 'From'),
+                    dateInput('from', 'Searched on or after'),
+                    React.createElement('span', { key: 'toLabel' }, 'to'),
+                    dateInput('to', 'Searched on or before'),
+                    React.createElement(
+                        'select', {
+                            key: 'score',
+                            value: historyFilters.score,
+                            onChange: (e) => updateHistoryFilter('score', e.target.value)
+                        },
+                        [
+                            React.createElement('option', { key: 'any', value: '' }, 'Any score'),
+                            React.createElement('option', { key: 'green', value: 'Green' }, 'Green'),
+                            React.createElement('option', { key: 'yellow', value: 'Yellow' }, 'Yellow'),
+                            React.createElement('option', { key: 'red', value: 'Red' }, 'Red')
+                        ]
+                    )
+                ]
+            );
+            const rows = historyEntries.map((entry, idx) => React.createElement(
+                'tr', { key: idx },
+                [
+                    React.createElement('td', { key: 'at' }, new Date(entry.at).toLocaleString()),
+                    React.createElement('td', { key: 'who' }, entry.user || entry.ip || ''),
+                    React.createElement(
+                        'td', { key: 'names' },
+                        entry.names.map(name => React.createElement(
+                            'span', { key: name, className: 'history-result' },
+                            name,
+                            entry.scores[name] ?
+                                React.createElement(
+                                    'span', { className: `score-label score-${entry.scores[name].toLowerCase()}` },
+                                    entry.scores[name]
+                                ) :
+                                React.createElement('span', { className: 'history-failed' }, 'failed')
+                        ))
+                    ),
+                    React.createElement('td', { key: 'kind' }, entry.prefetch ? 'As typed' : 'Search')
+                ]
+            ));
+            return React.createElement(
+                'div', { key: 'histLog', className: 'history-log' },
+                [
+                    filters,
+                    rows.length > 0 ?
+                        React.createElement(
+                            'table', { key: 'histTable', className: 'history-table' },
+                            React.createElement('tbody', null, rows)
+                        ) :
+                        React.createElement('p', { key: 'histEmpty' }, 'No searches match these filters.')
+                ]
+            );
+        }
+
+        /**
+         * Render the watchlist panel. Collapsed it shows only a label with
+         * the number of unseen changes; expanded it lists every watched
+         * name with its latest score and recent changes, newest first.
+         */
+        function renderWatchlist() {
+            const entries = watchlist ? watchlist.entries : [];
+            const unseen = entries.reduce((sum, e) => sum + e.unseen, 0);
+            const arrow = watchlistExpanded ? '\u25BC' : '\u25B6';
+            const label = React.createElement(
+                'span',
+                {
+                    key: 'watchLabel',
+                    className: 'watchlist-label',
+                    onClick: () => setWatchlistExpanded(prev => !prev)
+                },
+                `Watchlist (${entries.length})`,
+                unseen > 0 ?
+                    React.createElement('span', { className: 'watchlist-unseen' }, `${unseen} new`) :
+                    null,
+                ` ${arrow}`
+            );
+            if (!watchlistExpanded) {
+                return React.createElement('div', { key: 'watchlist', className: 'watchlist' }, label);
+            }
+            const items = entries.length === 0 ?
+                React.createElement(
+                    'p', { key: 'empty', className: 'watchlist-empty' },
+                    'Use the Watch button on a result to re-check it every ' +
+                        `${watchlist ? watchlist.intervalHours : 24} hours.`
+                ) :
+                entries.map(entry => React.createElement(
+                    'div', { key: entry.id, className: 'watchlist-entry' },
+                    React.createElement(
+                        'div', { className: 'watchlist-header' },
+                        React.createElement('strong', null, entry.name),
+                        entry.score ?
+                            React.createElement(
+                                'span', {
+                                    className: `score-label score-${entry.score.toLowerCase()}`,
+                                    title: entry.explanation || undefined
+                                },
+                                entry.score
+                            ) :
+                            null,
+                        React.createElement(
+                            'span', { className: 'watchlist-meta' },
+                            entry.lastCheckedAt ?
+                                `Checked ${new Date(entry.lastCheckedAt).toLocaleString()}` :
+                                'Not checked yet',
+                            entry.lastError ? ` — last check failed: ${entry.lastError}` : ''
+                        ),
+                        canSearch ?
+                            React.createElement(
+                                'button', { type: 'button', onClick: () => handleCheckWatch(entry.id) },
+                                'Check now'
+                            ) :
+                            null,
+                        canSearch && entry.unseen > 0 ?
+                            React.createElement(
+                                'button', { type: 'button', onClick: () => handleWatchSeen(entry.id) },
+                                'Mark seen'
+                            ) :
+                            null,
+                        canSearch ?
+                            React.createElement(
+                                'button', { type: 'button', onClick: () => handleUnwatch(entry.id) },
+                                'Remove'
+                            ) :
+                            null
+                    ),
+                    entry.changes.length > 0 ?
+                        React.createElement(
+                            'ul', { className: 'watchlist-changes' },
+                            entry.changes.slice(-10).reverse().map((change, idx) =>
+                                React.createElement(
+                                    'li', {
+                                        key: idx,
+                                        className: change.seen ? undefined : 'unseen'
+                                    },
+                                    `${new Date(change.at).toLocaleDateString()}: ${describeChange(change)}`
+                                )
+                            )
+                        ) :
+                        null
+                ));
+            return React.createElement(
+                'div', { key: 'watchlist', className: 'watchlist' },
+                label,
+                React.createElement('div', { className: 'watchlist-items' }, items)
+            );
+        }
+
+        const header = [
+            React.createElement('h1', {
+                key: 'header'
+            }, 'Australia Trademark Slot Name Availability Checker'),
+            React.createElement('p', {
+                key: 'byline',
+                className: 'byline'
+            }, 'by Robert McKone')
+        ];
+
+        if (account && account.authEnabled && !account.user) {
+            return React.createElement(
+                'div', { className: 'container' },
+                React.createElement('div', { className: 'glass' }, [...header, renderLoginForm()])
             );
         }
 
@@ -1662,18 +3459,26 @@
                 className: 'glass'
             },
                 [
-                    React.createElement('h1', {
-                        key: 'header'
-                    }, 'Australia Trademark Slot Name Availability Checker'),
-                    React.createElement('p', {
-                        key: 'byline',
-                        className: 'byline'
-                    }, 'by Robert McKone'),
+                    ...header,
+                    /* Logged in user and workspace */
+                    renderAccountBar(),
+                    /* A shared search is read-only: banner instead of the inputs */
+                    renderSharedBanner(),
                     /* Chip input replaces the traditional textarea. */
-                    renderTagInput(),
+                    readOnly ? null : renderTagInput(),
+                    readOnly ? null : renderOwnerSearchNote(),
+                    /* Column picker for an imported file of names */
+                    readOnly ? null : renderNameImport(),
                     /* Search history chips */
-                    renderHistory(),
-                    /* Progress indicator removed */
+                    sharedSession ? null : renderHistory(),
+                    /* Watched names and their changes */
+                    sharedSession ? null : renderWatchlist(),
+                    /* Candidate names generated from seed words */
+                    readOnly ? null : renderGenerator(),
+                    /* Filings seen so far grouped by owner */
+                    sharedSession ? null : renderOwners(),
+                    /* Per-name progress while a search streams in */
+                    renderProgress(),
                     /* Result filter controls (only shown when results exist) */
                     renderFilterControls(),
 
@@ -1688,23 +3493,30 @@
                         }
                     },
                         [
-                            React.createElement(
-                                'button', {
-                                key: 'searchButton',
-                                onClick: handleSearch,
-                                disabled: loading
-                            },
-                                loading ? 'Searching…' : 'Search'
-                            ),
+                            /* Scoring profile and data source for the next search */
+                            readOnly ? null : renderProfileSelect(),
+                            readOnly ? null : renderSourceSelect(),
+                            readOnly ?
+                                null :
+                                React.createElement(
+                                    'button', {
+                                    key: 'searchButton',
+                                    onClick: handleSearch,
+                                    disabled: loading
+                                },
+                                    loading ? 'Searching…' : 'Search'
+                                ),
                             /* Clear all chips */
-                            React.createElement(
-                                'button', {
-                                key: 'clearButton',
-                                onClick: handleClearAll,
-                                disabled: chips.length === 0
-                            },
-                                'Clear'
-                            ),
+                            readOnly ?
+                                null :
+                                React.createElement(
+                                    'button', {
+                                    key: 'clearButton',
+                                    onClick: handleClearAll,
+                                    disabled: chips.length === 0
+                                },
+                                    'Clear'
+                                ),
                             /* Copy results breakdown */
                             results ?
                                 React.createElement(
@@ -1724,17 +3536,85 @@
                                 },
                                     'Export CSV'
                                 ) :
+                                null,
+                            /* Workbook and lossless JSON exports of the saved session */
+                            results && sessionId && !loading ?
+                                React.createElement(
+                                    'a', {
+                                    key: 'xlsxButton',
+                                    className: 'button-link',
+                                    href: `/api/sessions/${sessionId}/export?format=xlsx`
+                                },
+                                    'Export XLSX'
+                                ) :
+                                null,
+                            results && sessionId && !loading ?
+                                React.createElement(
+                                    'a', {
+                                    key: 'jsonButton',
+                                    className: 'button-link',
+                                    href: `/api/sessions/${sessionId}/export?format=json`
+                                },
+                                    'Export JSON'
+                                ) :
+                                null,
+                            results && sessionId && !loading ?
+                                React.createElement(
+                                    'a', {
+                                    key: 'pdfButton',
+                                    className: 'button-link',
+                                    href: `/api/sessions/${sessionId}/export?format=pdf`
+                                },
+                                    'PDF Report'
+                                ) :
+                                null,
+                            /* Names from a CSV or XLSX file */
+                            readOnly ?
+                                null :
+                                React.createElement(
+                                    'label', {
+                                    key: 'importNames',
+                                    className: 'button-link'
+                                },
+                                    'Import Names',
+                                    React.createElement('input', {
+                                        type: 'file',
+                                        accept: '.csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+                                        style: { display: 'none' },
+                                        onChange: e => {
+                                            handleNameFile(e.target.files[0]);
+                                            e.target.value = '';
+                                        }
+                                    })
+                                ),
+                            /* Open a JSON export as a saved search */
+                            readOnly ?
+                                null :
+                                React.createElement(
+                                    'label', {
+                                    key: 'importJson',
+                                    className: 'button-link'
+                                },
+                                    'Open JSON',
+                                    React.createElement('input', {
+                                        type: 'file',
+                                        accept: '.json,application/json',
+                                        style: { display: 'none' },
+                                        onChange: handleImportJson
+                                    })
+                                ),
+                            /* Share link to the saved session */
+                            results && sessionId && !loading ?
+                                React.createElement(
+                                    'button', {
+                                    key: 'shareButton',
+                                    onClick: handleCopyLink
+                                },
+                                    'Copy Link'
+                                ) :
                                 null
                         ]
                     ),
-                    // Display skeleton placeholders during loading instead of a spinner
-                    loading ?
-                        React.createElement(
-                            'div',
-                            { key: 'skeletons', className: 'results' },
-                            renderSkeleton()
-                        ) :
-                        null,
                     error ?
                         React.createElement(
                             'p', {
@@ -1746,10 +3626,10 @@
                             error
                         ) :
                         null,
-                    // When results are available and not loading, render them using
-                    // the virtualised version of the results renderer. This keeps
-                    // the DOM lightweight by only mounting visible rows.
-                    results && !loading ?
+                    // Render results as they arrive using the virtualised version
+                    // of the results renderer. This keeps the DOM lightweight by
+                    // only mounting visible rows.
+                    results ?
                         React.createElement(
                             'div', {
                                 key: 'results',
@@ -1757,6 +3637,15 @@
                             },
                             renderVirtualisedResults()
                         ) :
+                        null,
+                    // Display skeleton placeholders for names still being searched
+                    // instead of a spinner (at most three at a time)
+                    loading ?
+                        React.createElement(
+                            'div',
+                            { key: 'skeletons', className: 'results' },
+                            renderSkeleton(Math.min(3, Object.values(loadingNames).filter(st => st === 'pending').length))
+                        ) :
                         null
                 ]
             )
@@ -1,53 +1,75 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { loadProfiles, resolveProfile, keywordMatches, scoreDetails } = require('./lib/profiles');
+const { compareMarks } = require('./lib/similarity');
+const { createScheduler } = require('./lib/scheduler');
+const { getSource, listSources } = require('./lib/sources');
+const {
+    saveTermIndex,
+    getCachedDetail,
+    getCachedFiling,
+    storeDetail,
+    detailKey,
+    findFilings,
+    isFresh,
+    listCache,
+    inspectCache,
+    purgeTerm,
+    purgeAll
+} = require('./lib/cache');
+const { checkDetail, healthReport } = require('./lib/parserHealth');
+const {
+    listWatches,
+    addWatch,
+    removeWatch,
+    markSeen,
+    checkWatch,
+    startWatching
+} = require('./lib/watchlist');
+const { recordResult } = require('./lib/lastResults');
+const { notifyChange, readDeliveryLog } = require('./lib/notify');
+const { resultsError, createSession, getSession } = require('./lib/sessions');
+const { requestIdentity, recordSearch, querySearches } = require('./lib/auditLog');
+const {
+    authEnabled,
+    hasRole,
+    canUseWorkspace,
+    currentUser,
+    logIn,
+    logOut,
+    switchWorkspace
+} = require('./lib/auth');
+const { hasUsers, listUsers, getUser, createUser, updateUser, removeUser } = require('./lib/users');
+const { listWorkspaces, getWorkspace, createWorkspace } = require('./lib/workspaces');
+const { decisionKey, listDecisions, setDecision, clearDecision } = require('./lib/decisions');
+const { generateCandidates } = require('./lib/generator');
+const { exportXlsx, exportJson, parseJsonExport } = require('./lib/export');
+const { buildReport } = require('./lib/report');
+const { groupByOwner } = require('./lib/owners');
+const { parseQuery } = require('./lib/query');
+const { readNameFile } = require('./lib/nameImport');
+const { createApiV1 } = require('./lib/apiV1');
+const { envNumber } = require('./lib/env');
 
-// Directory used for caching detail pages. Caching persists across
-// requests and server restarts to minimise network traffic for
-// subsequent searches on the same host. Each search term gets its own
-// JSON file keyed by a URI‑encoded version of the term. Within each
-// file we store a mapping from full detail URLs to parsed detail
-// objects. When processing a name, we always hit the search page to
-// discover up‑to‑date detail links but reuse cached detail pages
-// whenever possible. New detail links are fetched on demand and the
-// cache file is updated accordingly.
-const cacheDir = path.join(__dirname, 'cache');
-if (!fs.existsSync(cacheDir)) {
-    try {
-        fs.mkdirSync(cacheDir);
-    } catch (err) {
-        // Ignore errors if directory creation fails; caching simply won't work
-        console.error('Unable to create cache directory', err);
-    }
-}
+// Largest name file accepted by /api/import, in bytes
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES) || 5 * 1024 * 1024;
 
-function loadCache(name) {
-    const safeName = encodeURIComponent(name);
-    const file = path.join(cacheDir, safeName + '.json');
-    if (fs.existsSync(file)) {
-        try {
-            const data = fs.readFileSync(file, 'utf8');
-            return JSON.parse(data);
-        } catch (err) {
-            console.error('Error reading cache file', file, err);
-            return {};
-        }
-    }
-    return {};
-}
+// Largest saved search accepted by /api/sessions and /api/sessions/import,
+// in bytes
+const SESSION_MAX_BYTES = envNumber('SESSION_MAX_BYTES', 5 * 1024 * 1024, { min: 1 });
 
-function saveCache(name, data) {
-    const safeName = encodeURIComponent(name);
-    const file = path.join(cacheDir, safeName + '.json');
-    try {
-        fs.writeFileSync(file, JSON.stringify(data), 'utf8');
-    } catch (err) {
-        console.error('Error writing cache file', file, err);
-    }
-}
+// All outbound requests share one scheduler so that concurrent searches
+// stay within a polite request rate. Tune with the FETCH_* variables.
+const scheduler = createScheduler({
+    concurrency: envNumber('FETCH_CONCURRENCY', 4, { min: 1, integer: true }),
+    hostInterval: envNumber('FETCH_HOST_INTERVAL_MS', 500),
+    retries: envNumber('FETCH_RETRIES', 3, { integer: true }),
+    backoff: envNumber('FETCH_BACKOFF_MS', 1000)
+});
 
 async function fetchPage(url) {
-    const res = await fetch(url, {
+    const res = await scheduler.fetch(url, {
         headers: {
             'User-Agent': 'Mozilla/5.0 (Node.js trademark search tool)'
         }
@@ -58,200 +80,193 @@ async function fetchPage(url) {
     return await res.text();
 }
 
-function extractDetailLinks(html) {
-    const regex = /\/australia\/trademark\/trademark-detail\/\d+\/[^"'>]+/gi;
-    const matches = html.match(regex) || [];
-    return Array.from(new Set(matches));
+// A search term that cannot be searched, as opposed to a search that failed
+function queryError(message) {
+    const err = new Error(message);
+    err.invalidQuery = true;
+    return err;
 }
 
-function parseDetail(html) {
-    function extractTableValue(label) {
-        const regex = new RegExp(
-            `<th[^>]*>\\s*${label}\\s*<\\/th>\\s*<td[^>]*>([\\s\\S]*?)<\\/td>`,
-            'i'
-        );
-        const m = html.match(regex);
-        if (m) {
-            const raw = m[1]
-                .replace(/<[^>]*>/g, ' ')
-                .replace(/&nbsp;/gi, ' ')
-                .replace(/\s+/g, ' ')
-                .trim();
-            return raw;
-        }
-        return '';
-    }
-
-    const applicationNumber = extractTableValue('Application Number');
-    const wordMark = extractTableValue('Word Mark');
-    const filingDate = extractTableValue('Filing Date');
-    let ownerName = '';
-    let ownerAddress = '';
-    {
-        const ownerMatch = html.match(/<th[^>]*>\s*Trademark\s*Owner\s*<\/th>\s*<td[^>]*>([\s\S]*?)<\/td>/i);
-        if (ownerMatch) {
-            const tdHtml = ownerMatch[1];
-            const divRegex = /<div[^>]*>([\s\S]*?)<\/div>/gi;
-            const parts = [];
-            let d;
-            while ((d = divRegex.exec(tdHtml)) !== null) {
-                let text = d[1]
-                    .replace(/<[^>]*>/g, ' ')
-                    .replace(/&nbsp;/gi, ' ')
-                    .replace(/\s+/g, ' ')
-                    .trim();
-                text = text.replace(/\s*[-]+>\s*/g, ' ');
-                if (text) parts.push(text);
-            }
-            if (parts.length > 0) {
-                ownerName = parts[0];
-                if (parts.length > 1) {
-                    ownerAddress = parts.slice(1).join(' ');
-                }
-            } else {
-                let cleaned = tdHtml
-                    .replace(/<[^>]*>/g, ' ')
-                    .replace(/&nbsp;/gi, ' ')
-                    .replace(/\s+/g, ' ')
-                    .trim();
-                const arrowSplit = cleaned.split(/\s*[-]+>\s*|\s*→\s*|\s*&gt;\s*/i).filter(Boolean);
-                if (arrowSplit.length > 0) {
-                    ownerName = arrowSplit[0].trim();
-                    if (arrowSplit.length > 1) {
-                        ownerAddress = arrowSplit.slice(1).join(' ').trim();
-                    }
-                } else {
-                    const withoutArrow = cleaned.replace(/\s*[-]+>\s*/g, ' ').trim();
-                    ownerName = withoutArrow;
-                }
-            }
-        }
+/**
+ * Search for a single name and score the filings found. With `record`,
+ * the result is also compared with the previous one for the name, which
+ * may send notifications (see lib/notify.js).
+ *
+ * @param {string} name Search term
+ * @param {Object} profile Scoring profile from resolveProfile
+ * @param {Object} [options]
+ * @param {Object} [options.source] Source adapter from getSource; defaults
+ *     to the configured default source
+ * @param {boolean} [options.refresh] Refetch every detail page even if a
+ *     fresh copy is cached
+ * @param {Function} [options.onProgress] Called with `{ done, total, cached }`
+ *     once the filings to resolve are known and again after each one is
+ *     resolved, whether from the cache or the network
+ * @param {string} [options.workspace] Workspace the search is made in
+ * @param {boolean} [options.record] Record the result and notify about
+ *     changes. Set for searches someone asked for and watchlist checks;
+ *     background, generated and scripted searches leave it unset so that
+ *     they neither move the baseline nor send notifications.
+ * @throws {Error} With `invalidQuery` set if the term cannot be searched
+ *     on the source, otherwise if the search fails
+ */
+async function processName(name, profile, options = {}) {
+    const source = options.source || getSource();
+    const onProgress = options.onProgress || (() => {});
+    const query = parseQuery(name);
+    if (query.error) {
+        throw queryError(query.error);
+    }
+    if (query.kind === 'owner' && !source.lookupOwner) {
+        // The filings stored so far are only those other searches happened
+        // to find, so scoring them could report a false all clear
+        throw queryError(`${source.label} cannot be searched by owner. The Owners view lists the filings seen so far.`);
+    }
+    let details = await findDetails(query, source, { refresh: !!options.refresh, onProgress });
+    if (query.classes.length > 0) {
+        details = details.filter(info => info.error || (info.classes || []).some(cls => query.classes.includes(cls)));
+    }
+    // Compute a summary score from live filings weighted by the profile and
+    // by how closely each word mark resembles the searched name
+    const { score, explanation } = scoreDetails(details, profile);
+    // Show which profile keywords the goods and services mention
+    details.forEach(info => {
+        if (!info.error) info.keywordHits = keywordMatches(info, profile);
+    });
+    const result = {
+        score,
+        explanation,
+        profile: profile.id,
+        source: source.id,
+        details
+    };
+    if (options.record) {
+        // Compare with the previous result for this name and notify about
+        // score changes and new live filings without holding up the response
+        const diff = recordResult(name, result, options.workspace);
+        notifyChange(name, result, diff).catch(err => {
+            console.error('Error sending notifications for', name, err);
+        });
     }
+    return result;
+}
 
-    let status = '';
-    if (/\sLIVE\s/i.test(html)) {
-        status = 'LIVE';
-    } else if (/\sDEAD\s/i.test(html)) {
-        status = 'DEAD';
+/**
+ * Resolve the filings for a parsed query (see lib/query.js). Names are
+ * compared with each word mark; owner and application number queries ask
+ * for those filings specifically, so they are not. Owner queries need a
+ * source with lookupOwner.
+ */
+async function findDetails(query, source, { refresh, onProgress }) {
+    const { kind, value } = query;
+    const similar = details => details.map(info => ({ ...info, similarity: compareMarks(value, info.wordMark) }));
+    if (source.lookup) {
+        // Local sources answer directly without pages to fetch or cache
+        const found = kind === 'owner' ? await source.lookupOwner(value) :
+            kind === 'app' ? await source.lookupApplication(value) :
+                similar(await source.lookup(value));
+        onProgress({ done: found.length, total: found.length, cached: true });
+        return found;
     }
-    let statusDesc = '';
-    {
-        const match = html.match(/Current\s+Status\s+([^<\n]+)/i);
-        if (match) {
-            statusDesc = match[1].trim();
-        }
+    const details = await scrapeDetails(value, source, { refresh, onProgress });
+    if (kind === 'app') {
+        // The site's search also matches the number inside other fields
+        return details
+            .filter(info => info.error || info.applicationNumber === value)
+            .map(({ similarity, ...info }) => info);
     }
+    return details;
+}
 
-    const classes = [];
-    {
-        const regex = /Class\s*(\d{3})/gi;
-        let m;
-        const set = new Set();
-        while ((m = regex.exec(html)) !== null) {
-            set.add(m[1]);
+/**
+ * The filing with an application number, or null if the source has none.
+ * Scraping sources reuse a fresh stored copy, whichever term found it,
+ * before searching the site for the number. Rejects if the search fails.
+ */
+async function findFiling(applicationNumber, source, { refresh } = {}) {
+    if (!source.lookup && !refresh) {
+        const stored = getCachedFiling(applicationNumber);
+        if (isFresh(stored)) {
+            return { ...source.normalise(stored), detailUrl: stored.detailUrl };
         }
-        classes.push(...set);
     }
-
-    const owner = ownerAddress ?
-        `${ownerName}, ${ownerAddress}` :
-        ownerName;
-    return {
-        applicationNumber,
-        wordMark,
-        ownerName,
-        ownerAddress,
-        owner,
-        filingDate,
-        status,
-        statusDesc,
-        classes
-    };
+    const query = { kind: 'app', value: applicationNumber, classes: [] };
+    const details = await findDetails(query, source, { refresh: !!refresh, onProgress: () => {} });
+    const filing = details.find(info => !info.error);
+    if (!filing && details.length > 0) {
+        throw new Error(details[0].error);
+    }
+    return filing || null;
 }
 
-async function processName(name) {
-    const baseUrl = 'https://www.trademarkelite.com';
-    const searchUrl = `${baseUrl}/australia/trademark/trademark-search.aspx?sw=${encodeURIComponent(name)}`;
+/**
+ * Resolve the filings for a name from a scraping source. Filings stored
+ * within the TTL are reused unless `refresh` is set, whichever term first
+ * found them; others are fetched, parsed and stored with a new
+ * `fetchedAt`. The term's index is then updated to list its filings.
+ */
+async function scrapeDetails(name, source, { refresh, onProgress }) {
     // Always fetch the search page to discover current detail links. Even if
     // we have cached details for previous runs, new filings may appear and
     // should be incorporated into the result.
-    const searchHtml = await fetchPage(searchUrl);
-    const detailLinks = extractDetailLinks(searchHtml);
-    const details = [];
-    let hasLive = false;
-    let hasRedMark = false;
-    // Load cached details for this name if available
-    let cached = {};
-    try {
-        const cache = loadCache(name);
-        cached = cache && cache.detailCache ? cache.detailCache : {};
-    } catch (err) {
-        cached = {};
-    }
-    for (const relLink of detailLinks) {
-        const url = baseUrl + relLink;
-        // If this detail page has been cached previously, reuse it
-        if (cached[url]) {
-            const info = cached[url];
-            // ensure the detailUrl property exists
-            if (!info.detailUrl) {
-                info.detailUrl = url;
-            }
-            details.push(info);
-            if (info.status === 'LIVE') {
-                hasLive = true;
-                const includes009 = info.classes.includes('009');
-                const includes028 = info.classes.includes('028');
-                const includes041 = info.classes.includes('041');
-                if (includes009 || includes028 || includes041) {
-                    hasRedMark = true;
-                }
-            }
-            continue;
+    const searchHtml = await fetchPage(source.buildSearchUrl(name));
+    const detailLinks = source.extractDetailLinks(searchHtml);
+    onProgress({ done: 0, total: detailLinks.length, cached: false });
+    // Detail pages are requested together; the shared scheduler decides how
+    // many actually run at once. Results keep the search page's order.
+    let done = 0;
+    const keys = [];
+    const details = await Promise.all(detailLinks.map(async url => {
+        const stored = getCachedDetail(url);
+        // If this filing was stored recently enough, reuse it
+        if (!refresh && isFresh(stored)) {
+            keys.push(detailKey(stored));
+            onProgress({ done: ++done, total: detailLinks.length, cached: true });
+            // Normalising again brings filings stored by older versions up
+            // to the current shape (e.g. ISO dates)
+            return { ...source.normalise(stored), detailUrl: url, similarity: compareMarks(name, stored.wordMark) };
         }
         // Otherwise fetch and parse it now
+        let detail;
         try {
             const html = await fetchPage(url);
-            const info = parseDetail(html);
+            const info = source.normalise(source.parseDetail(html));
             info.detailUrl = url;
-            details.push(info);
-            // Store in cache for future use
-            cached[url] = info;
-            if (info.status === 'LIVE') {
-                hasLive = true;
-                const includes009 = info.classes.includes('009');
-                const includes028 = info.classes.includes('028');
-                const includes041 = info.classes.includes('041');
-                if (includes009 || includes028 || includes041) {
-                    hasRedMark = true;
+            info.fetchedAt = new Date().toISOString();
+            const missing = checkDetail(source.id, url, info);
+            if (missing.length > 0) {
+                // The page most likely changed layout. Storing the blank
+                // record would hide the problem until it expired, so show
+                // the last good copy if there is one and refetch next time.
+                const parserWarning = `Could not read the ${missing.join(' or ')} from the detail page.`;
+                if (stored) {
+                    keys.push(detailKey(stored));
+                    detail = { ...source.normalise(stored), stale: true, parserWarning, similarity: compareMarks(name, stored.wordMark) };
+                } else {
+                    detail = { ...info, parserWarning, similarity: compareMarks(name, info.wordMark) };
                 }
+            } else {
+                // Store for future use by this and any other term
+                keys.push(storeDetail(info));
+                // Similarity depends on the searched name, so it is attached
+                // to the returned copy rather than stored
+                detail = { ...info, similarity: compareMarks(name, info.wordMark) };
             }
         } catch (err) {
-            details.push({
-                error: `Error processing detail page: ${err.message}`
-            });
+            // Fall back to an expired copy rather than losing the filing
+            if (stored) {
+                keys.push(detailKey(stored));
+                detail = { ...source.normalise(stored), stale: true, similarity: compareMarks(name, stored.wordMark) };
+            } else {
+                detail = { error: `Error processing detail page: ${err.message}` };
+            }
         }
-    }
-    // Save updated cache back to disk
-    saveCache(name, { detailCache: cached });
-    // Compute a summary score based on live filings and relevant classes
-    let score;
-    let explanation;
-    if (!hasLive) {
-        score = 'Green';
-        explanation = 'No live trademark registrations were found for this name.';
-    } else if (hasRedMark) {
-        score = 'Red';
-        explanation = 'At least one live filing lists classes 009, 028 or 041.';
-    } else {
-        score = 'Yellow';
-        explanation = 'Live filings exist, but none contain 009, 028 or 041.';
-    }
-    return {
-        score,
-        explanation,
-        details
-    };
+        onProgress({ done: ++done, total: detailLinks.length, cached: false });
+        return detail;
+    }));
+    // Save the term's updated index back to disk
+    saveTermIndex(name, keys);
+    return details;
 }
 
 function serveStatic(urlPath, res) {
@@ -280,75 +295,974 @@ function serveStatic(urlPath, res) {
     return false;
 }
 
+function sendJson(res, statusCode, body) {
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Decode a name taken from the path. Sends a 400 and returns undefined if
+ * it is not correctly encoded, e.g. a stray "%".
+ */
+function decodeSegment(res, segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (err) {
+        sendJson(res, 400, { error: 'The path is not correctly encoded.' });
+        return undefined;
+    }
+}
+
+/**
+ * Read a request body and parse it as JSON. An empty body parses as an
+ * empty object. Rejects with a SyntaxError for malformed JSON.
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body || '{}'));
+            } catch (err) {
+                reject(err);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read a raw request body, e.g. an uploaded file. Rejects once the body
+ * exceeds `maxBytes`, with an error whose `tooLarge` is set.
+ *
+ * @returns {Promise<Buffer>}
+ */
+function readRawBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                // Discard the rest so that the error can still be sent
+                req.removeListener('data', onData);
+                req.resume();
+                const err = new Error('Request body too large.');
+                err.tooLarge = true;
+                reject(err);
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read a JSON request body of at most `maxBytes`. Rejects as readRawBody
+ * does when it is larger, or with a SyntaxError if it is not JSON.
+ *
+ * @returns {Promise<Object>}
+ */
+async function readLimitedJsonBody(req, maxBytes) {
+    const body = await readRawBody(req, maxBytes);
+    return JSON.parse(body.toString('utf8') || '{}');
+}
+
+/**
+ * Validate a search request body. Returns either `{ error }` describing
+ * the problem or `{ list, profile, source, refresh, prefetch }` with the
+ * individual names split out of the newline/comma separated `names` field,
+ * or taken as they are when `names` is an array (so that names may contain
+ * commas). `prefetch` marks searches the client runs in the background.
+ * Profiles are looked up in the given workspace.
+ */
+function parseSearchRequest(data, workspace) {
+    const {
+        names,
+        profile: profileId,
+        source: sourceId,
+        refresh,
+        prefetch
+    } = data;
+    const isList = Array.isArray(names) && names.every(n => typeof n === 'string');
+    if (!names || (typeof names !== 'string' && !isList)) {
+        return { error: 'Missing or invalid "names" field.' };
+    }
+    const profile = resolveProfile(profileId, workspace);
+    if (!profile) {
+        return { error: `Unknown scoring profile "${profileId}".` };
+    }
+    const source = getSource(sourceId);
+    if (!source) {
+        return { error: `Unknown data source "${sourceId}".` };
+    }
+    const list = (isList ? names : names.split(/[\n,]+/))
+        .map(s => s.trim())
+        .filter(Boolean);
+    return { list, profile, source, refresh: refresh === true, prefetch: prefetch === true };
+}
+
+/**
+ * Stream search results as Server-Sent Events. Names are processed
+ * concurrently (bounded by the fetch scheduler) and each produces
+ * `progress` events while its detail pages are resolved followed by a
+ * single `result` event as soon as it completes; a final `done` event
+ * closes the stream. Events stop if the client disconnects.
+ *
+ * @returns {Promise<Object>} Results keyed by name
+ */
+async function streamSearch(res, list, options) {
+    let closed = false;
+    // The response closes early only when the client goes away
+    res.on('close', () => {
+        closed = true;
+    });
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    const send = (event, payload) => {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+    const { profile, source, refresh, workspace, record } = options;
+    send('start', { names: list, profile: profile.id, source: source.id });
+    const results = {};
+    await Promise.all(list.map(async n => {
+        let info;
+        try {
+            info = await processName(n, profile, {
+                source,
+                refresh,
+                workspace,
+                record,
+                onProgress: progress => {
+                    send('progress', { name: n, ...progress });
+                }
+            });
+        } catch (err) {
+            info = {
+                error: err.message
+            };
+        }
+        results[n] = info;
+        send('result', { name: n, info });
+    }));
+    send('done', {});
+    res.end();
+    return results;
+}
+
+/**
+ * Cache administration routes:
+ *
+ *   GET    /api/admin/cache         list cached terms with sizes and ages
+ *   GET    /api/admin/cache/<term>  cached details for one term
+ *   DELETE /api/admin/cache/<term>  purge one term
+ *   DELETE /api/admin/cache         purge everything
+ *
+ * and parser health:
+ *
+ *   GET    /api/admin/parser-health detail pages parsed and failed per source
+ *
+ * and notification deliveries:
+ *
+ *   GET    /api/admin/deliveries?limit=N  most recent deliveries first
+ *
+ * and accounts and workspaces (see handleAccounts).
+ */
+async function handleAdmin(req, res, pathname) {
+    const { method } = req;
+    if (/^\/api\/admin\/(users|workspaces)(\/|$)/.test(pathname)) {
+        await handleAccounts(req, res, pathname);
+        return;
+    }
+    if (pathname === '/api/admin/deliveries') {
+        if (method === 'GET') {
+            const { searchParams } = new URL(req.url, 'http://localhost');
+            sendJson(res, 200, readDeliveryLog(Number(searchParams.get('limit')) || 100));
+        } else {
+            res.setHeader('Allow', 'GET');
+            sendJson(res, 405, { error: 'Method not allowed' });
+        }
+        return;
+    }
+    if (pathname === '/api/admin/parser-health') {
+        if (method === 'GET') {
+            sendJson(res, 200, healthReport());
+        } else {
+            res.setHeader('Allow', 'GET');
+            sendJson(res, 405, { error: 'Method not allowed' });
+        }
+        return;
+    }
+    const match = pathname.match(/^\/api\/admin\/cache(?:\/(.+))?$/);
+    if (!match) {
+        sendJson(res, 404, { error: 'Not Found' });
+        return;
+    }
+    const term = match[1] ? decodeSegment(res, match[1]) : null;
+    if (term === undefined) return;
+    if (method === 'GET' && !term) {
+        sendJson(res, 200, listCache());
+    } else if (method === 'GET') {
+        const entry = inspectCache(term);
+        if (entry) {
+            sendJson(res, 200, entry);
+        } else {
+            sendJson(res, 404, { error: `No cache for "${term}".` });
+        }
+    } else if (method === 'DELETE' && !term) {
+        sendJson(res, 200, { purged: purgeAll() });
+    } else if (method === 'DELETE') {
+        if (purgeTerm(term)) {
+            sendJson(res, 200, { purged: 1 });
+        } else {
+            sendJson(res, 404, { error: `No cache for "${term}".` });
+        }
+    } else {
+        res.setHeader('Allow', 'GET, DELETE');
+        sendJson(res, 405, { error: 'Method not allowed' });
+    }
+}
+
+// Accounts must keep at least one admin, or nobody could manage them
+function isLastAdmin(name) {
+    const admins = listUsers().filter(u => u.role === 'admin');
+    return admins.length === 1 && admins[0].name === name;
+}
+
+// Error message for workspace ids that do not exist, or null
+function unknownWorkspace(ids) {
+    const unknown = (ids || []).find(id => !getWorkspace(id));
+    return unknown ? `Unknown workspace "${unknown}".` : null;
+}
+
+/**
+ * Account and workspace administration routes:
+ *
+ *   GET    /api/admin/users         every account
+ *   POST   /api/admin/users         create { name, password, role?, workspaces? }
+ *   PATCH  /api/admin/users/<name>  change { password?, role?, workspaces? }
+ *   DELETE /api/admin/users/<name>  remove an account
+ *   GET    /api/admin/workspaces    every workspace
+ *   POST   /api/admin/workspaces    create { name, id? }
+ */
+async function handleAccounts(req, res, pathname) {
+    const { method } = req;
+    const match = pathname.match(/^\/api\/admin\/(users|workspaces)(?:\/([^/]+))?$/);
+    if (!match || (match[1] === 'workspaces' && match[2])) {
+        sendJson(res, 404, { error: 'Not Found' });
+        return;
+    }
+    const [, kind, encodedName] = match;
+    const name = encodedName ? decodeSegment(res, encodedName) : null;
+    if (name === undefined) return;
+    let data = {};
+    if (method === 'POST' || method === 'PATCH') {
+        try {
+            data = await readJsonBody(req);
+        } catch (err) {
+            sendJson(res, 400, { error: 'Invalid JSON body.' });
+            return;
+        }
+    }
+    if (kind === 'workspaces') {
+        if (method === 'GET') {
+            sendJson(res, 200, listWorkspaces());
+        } else if (method === 'POST') {
+            if (!data.name || typeof data.name !== 'string' || !data.name.trim()) {
+                sendJson(res, 400, { error: 'Missing or invalid "name" field.' });
+                return;
+            }
+            const { workspace, error } = createWorkspace({ name: data.name, id: data.id });
+            if (error) {
+                sendJson(res, 400, { error });
+            } else {
+                sendJson(res, 201, workspace);
+            }
+        } else {
+            res.setHeader('Allow', 'GET, POST');
+            sendJson(res, 405, { error: 'Method not allowed' });
+        }
+        return;
+    }
+    if (!name && method === 'GET') {
+        sendJson(res, 200, listUsers());
+    } else if (!name && method === 'POST') {
+        const workspaceError = unknownWorkspace(data.workspaces);
+        if (workspaceError) {
+            sendJson(res, 400, { error: workspaceError });
+            return;
+        }
+        const { user, error } = createUser(data);
+        if (error) {
+            sendJson(res, 400, { error });
+        } else {
+            sendJson(res, 201, user);
+        }
+    } else if (name && method === 'PATCH') {
+        if (!getUser(name)) {
+            sendJson(res, 404, { error: 'No such user.' });
+            return;
+        }
+        if (data.role !== undefined && data.role !== 'admin' && isLastAdmin(name)) {
+            sendJson(res, 400, { error: 'The last admin cannot be given another role.' });
+            return;
+        }
+        const workspaceError = unknownWorkspace(data.workspaces);
+        if (workspaceError) {
+            sendJson(res, 400, { error: workspaceError });
+            return;
+        }
+        const { user, error } = updateUser(name, data);
+        if (error) {
+            sendJson(res, 400, { error });
+        } else {
+            sendJson(res, 200, user);
+        }
+    } else if (name && method === 'DELETE') {
+        if (isLastAdmin(name)) {
+            sendJson(res, 400, { error: 'The last admin cannot be removed.' });
+        } else if (removeUser(name)) {
+            sendJson(res, 200, { removed: 1 });
+        } else {
+            sendJson(res, 404, { error: 'No such user.' });
+        }
+    } else {
+        res.setHeader('Allow', name ? 'PATCH, DELETE' : 'GET, POST');
+        sendJson(res, 405, { error: 'Method not allowed' });
+    }
+}
+
+/**
+ * Login routes, open to everyone:
+ *
+ *   POST /api/login          log in with { name, password }
+ *   POST /api/logout         log out
+ *   GET  /api/me             the logged in user and their workspaces
+ *   POST /api/me/workspace   switch to { workspace }
+ */
+async function handleLogin(req, res, pathname) {
+    const { method } = req;
+    if (pathname === '/api/me' && method === 'GET') {
+        const user = req.user;
+        sendJson(res, 200, {
+            authEnabled: authEnabled(),
+            user: user && user.name ? { name: user.name, role: user.role } : null,
+            workspace: user ? user.workspace : null,
+            workspaces: user ? listWorkspaces().filter(w => canUseWorkspace(user, w.id)) : []
+        });
+        return;
+    }
+    if (method !== 'POST') {
+        res.setHeader('Allow', pathname === '/api/me' ? 'GET' : 'POST');
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+    if (pathname === '/api/logout') {
+        res.setHeader('Set-Cookie', logOut(req));
+        sendJson(res, 200, { loggedOut: true });
+        return;
+    }
+    let data;
+    try {
+        data = await readJsonBody(req);
+    } catch (err) {
+        sendJson(res, 400, { error: 'Invalid JSON body.' });
+        return;
+    }
+    if (pathname === '/api/login') {
+        const login = logIn(data.name, data.password);
+        if (!login) {
+            sendJson(res, 401, { error: 'Wrong user name or password.' });
+            return;
+        }
+        if (login.error) {
+            sendJson(res, 403, { error: login.error });
+            return;
+        }
+        res.setHeader('Set-Cookie', login.cookie);
+        sendJson(res, 200, { user: { name: login.user.name, role: login.user.role }, workspace: login.user.workspace });
+    } else if (switchWorkspace(req, data.workspace)) {
+        sendJson(res, 200, { workspace: data.workspace });
+    } else {
+        sendJson(res, 403, { error: `You cannot use workspace "${data.workspace}".` });
+    }
+}
+
+/**
+ * Lowest role allowed to use an API route: admin routes need an admin,
+ * anything that searches or changes workspace data needs a searcher and
+ * reading needs a viewer.
+ */
+function requiredRole(method, pathname) {
+    if (pathname.startsWith('/api/admin/')) return 'admin';
+    if (['/api/search', '/api/search/stream', '/api/generate'].includes(pathname)) {
+        return 'searcher';
+    }
+    if (pathname.startsWith('/api/sessions') && method !== 'GET') return 'searcher';
+    if (pathname === '/api/import') return 'searcher';
+    if (pathname.startsWith('/api/watchlist') && method !== 'GET') return 'searcher';
+    if (pathname.startsWith('/api/decisions') && method !== 'GET') return 'searcher';
+    return 'viewer';
+}
+
+/**
+ * Re-run a watched name with the profile and source it was added with,
+ * bypassing the cache so that changes are seen as soon as they happen.
+ * Falls back to the defaults if that profile or source has since gone.
+ */
+function runWatch(entry, workspace) {
+    const profile = resolveProfile(entry.profile, workspace) || resolveProfile(undefined, workspace);
+    const source = getSource(entry.source) || getSource();
+    return processName(entry.name, profile, { source, refresh: true, workspace, record: true });
+}
+
+/**
+ * Watchlist routes:
+ *
+ *   GET    /api/watchlist            watched names with their changes
+ *   POST   /api/watchlist            watch { name, profile?, source? }
+ *   DELETE /api/watchlist/<id>       stop watching
+ *   POST   /api/watchlist/<id>/check re-check now
+ *   POST   /api/watchlist/<id>/seen  mark the entry's changes as seen
+ */
+async function handleWatchlist(req, res, pathname) {
+    const { method } = req;
+    const { workspace } = req.user;
+    const match = pathname.match(/^\/api\/watchlist(?:\/([^/]+)(?:\/(check|seen))?)?$/);
+    if (!match) {
+        sendJson(res, 404, { error: 'Not Found' });
+        return;
+    }
+    const [, id, action] = match;
+    if (!id && method === 'GET') {
+        sendJson(res, 200, listWatches(workspace));
+    } else if (!id && method === 'POST') {
+        let data;
+        try {
+            data = await readJsonBody(req);
+        } catch (err) {
+            sendJson(res, 400, { error: 'Invalid JSON body.' });
+            return;
+        }
+        if (!data.name || typeof data.name !== 'string' || !data.name.trim()) {
+            sendJson(res, 400, { error: 'Missing or invalid "name" field.' });
+            return;
+        }
+        const profile = resolveProfile(data.profile, workspace);
+        if (!profile) {
+            sendJson(res, 400, { error: `Unknown scoring profile "${data.profile}".` });
+            return;
+        }
+        const source = getSource(data.source);
+        if (!source) {
+            sendJson(res, 400, { error: `Unknown data source "${data.source}".` });
+            return;
+        }
+        const { entry, created } = addWatch(workspace, { name: data.name, profile: profile.id, source: source.id });
+        if (created) {
+            // Record the baseline straight away rather than at the next poll
+            checkWatch(workspace, entry.id, runWatch).catch(err => {
+                console.error('Error checking watched name', entry.name, err);
+            });
+        }
+        sendJson(res, created ? 201 : 200, entry);
+    } else if (id && !action && method === 'DELETE') {
+        if (removeWatch(workspace, id)) {
+            sendJson(res, 200, { removed: 1 });
+        } else {
+            sendJson(res, 404, { error: 'No such watched name.' });
+        }
+    } else if (id && action && method === 'POST') {
+        const entry = action === 'check' ?
+            await checkWatch(workspace, id, runWatch) :
+            markSeen(workspace, id);
+        if (entry) {
+            sendJson(res, 200, entry);
+        } else {
+            sendJson(res, 404, { error: 'No such watched name.' });
+        }
+    } else {
+        res.setHeader('Allow', id ? (action ? 'POST' : 'DELETE') : 'GET, POST');
+        sendJson(res, 405, { error: 'Method not allowed' });
+    }
+}
+
+// Best first: Green candidates are the ones worth adding
+const SCORE_RANK = { Green: 0, Yellow: 1, Red: 2 };
+
+// Most seed words in one /api/generate request
+const MAX_SEEDS = 20;
+
+/**
+ * Generate candidate names from seed words and screen each one with
+ * processName. Takes the search request fields with up to MAX_SEEDS seed
+ * words in `seeds` instead of `names`, plus optional comma separated `prefixes`
+ * and `suffixes` and a `max` number of candidates (1 to 100).
+ *
+ * @returns {Promise<Object>} `{ error }`, or the profile and source used,
+ *     the processName results keyed by name and the candidates ranked by
+ *     score, each with a summary of its result
+ */
+async function screenCandidates(data, workspace) {
+    const { error, list: seeds, profile, source } = parseSearchRequest({ ...data, names: data.seeds }, workspace);
+    if (error) return { error: error.replace('"names"', '"seeds"') };
+    if (seeds.length > MAX_SEEDS) {
+        return { error: `"seeds" may list at most ${MAX_SEEDS} words.` };
+    }
+    const max = data.max === undefined || data.max === null || data.max === '' ? undefined : Number(data.max);
+    if (max !== undefined && !(Number.isInteger(max) && max >= 1 && max <= 100)) {
+        return { error: '"max" must be a whole number from 1 to 100.' };
+    }
+    const affixes = value => (typeof value === 'string' && value.trim() ?
+        value.split(',').map(s => s.trim()).filter(Boolean) :
+        undefined);
+    const candidates = generateCandidates(seeds, {
+        prefixes: affixes(data.prefixes),
+        suffixes: affixes(data.suffixes),
+        max
+    });
+    const results = {};
+    await Promise.all(candidates.map(async c => {
+        try {
+            results[c.name] = await processName(c.name, profile, { source, workspace });
+        } catch (err) {
+            results[c.name] = { error: err.message };
+        }
+    }));
+    const rank = c => (results[c.name].error ? 3 : SCORE_RANK[results[c.name].score]);
+    const ranked = candidates
+        .map((c, idx) => ({ c, idx }))
+        .sort((a, b) => rank(a.c) - rank(b.c) || a.idx - b.idx)
+        .map(({ c }) => {
+            const info = results[c.name];
+            return info.error ?
+                { ...c, error: info.error } :
+                {
+                    ...c,
+                    score: info.score,
+                    explanation: info.explanation,
+                    filings: (info.details || []).filter(d => !d.error).length
+                };
+        });
+    return { profile, source, results, candidates: ranked };
+}
+
+// Who ran a search, for saved sessions and reports
+function searcherOf(req) {
+    const identity = requestIdentity(req);
+    return identity.user || identity.ip;
+}
+
+function csvField(value) {
+    return '"' + String(value === null || value === undefined ? '' : value).replace(/"/g, '""') + '"';
+}
+
+/**
+ * Decision routes:
+ *
+ *   GET    /api/decisions?decision=&name=  decisions, most recent first;
+ *                                          add format=csv for a CSV file
+ *   PUT    /api/decisions/<name>           decide { decision, note?, reviewer? }
+ *   DELETE /api/decisions/<name>           clear a name's decision
+ */
+async function handleDecisions(req, res, pathname) {
+    const { method } = req;
+    const { workspace } = req.user;
+    const match = pathname.match(/^\/api\/decisions(?:\/([^/]+))?$/);
+    if (!match) {
+        sendJson(res, 404, { error: 'Not Found' });
+        return;
+    }
+    const name = match[1] ? decodeSegment(res, match[1]) : null;
+    if (name === undefined) return;
+    if (!name && method === 'GET') {
+        const { searchParams } = new URL(req.url, 'http://localhost');
+        const decisions = listDecisions(workspace, {
+            decision: searchParams.get('decision'),
+            name: searchParams.get('name')
+        });
+        if (searchParams.get('format') !== 'csv') {
+            sendJson(res, 200, decisions);
+            return;
+        }
+        const rows = [['Name', 'Decision', 'Note', 'Reviewer', 'Entered By', 'Decided At'].join(',')];
+        decisions.forEach(d => {
+            rows.push([d.name, d.decision, d.note, d.reviewer, d.decidedBy, d.decidedAt].map(csvField).join(','));
+        });
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="decisions.csv"');
+        res.end(rows.join('\n'));
+    } else if (name && method === 'PUT') {
+        let data;
+        try {
+            data = await readJsonBody(req);
+        } catch (err) {
+            sendJson(res, 400, { error: 'Invalid JSON body.' });
+            return;
+        }
+        const { decision, error } = setDecision(workspace, name, data, req.user.name);
+        if (error) {
+            sendJson(res, 400, { error });
+        } else {
+            sendJson(res, 200, decision);
+        }
+    } else if (name && method === 'DELETE') {
+        if (clearDecision(workspace, name)) {
+            sendJson(res, 200, { removed: 1 });
+        } else {
+            sendJson(res, 404, { error: `No decision for "${name}".` });
+        }
+    } else {
+        res.setHeader('Allow', name ? 'PUT, DELETE' : 'GET');
+        sendJson(res, 405, { error: 'Method not allowed' });
+    }
+}
+
+// Versioned API for other tools (see lib/apiV1.js)
+const apiV1 = createApiV1({ processName, findFiling, readJsonBody });
+
 const server = http.createServer(async (req, res) => {
     const {
         method,
         url
     } = req;
     try {
-        if (url === '/api/search' && method === 'POST') {
-            let body = '';
-            req.on('data', chunk => {
-                body += chunk;
+        const { pathname } = new URL(url, 'http://localhost');
+        req.user = currentUser(req);
+        if (['/api/login', '/api/logout', '/api/me', '/api/me/workspace'].includes(pathname)) {
+            await handleLogin(req, res, pathname);
+            return;
+        }
+        if (pathname === '/api/v1' || pathname.startsWith('/api/v1/')) {
+            // Checks its own logins and roles so that errors keep its format
+            await apiV1.handle(req, res, pathname);
+            return;
+        }
+        // Static files stay public so that the app can show its login form
+        if (pathname.startsWith('/api/')) {
+            if (!req.user) {
+                sendJson(res, 401, { error: 'Please log in.' });
+                return;
+            }
+            if (!hasRole(req.user, requiredRole(method, pathname))) {
+                sendJson(res, 403, { error: 'Your role does not allow this.' });
+                return;
+            }
+        }
+        const { workspace } = req.user || {};
+        if (pathname.startsWith('/api/admin/')) {
+            await handleAdmin(req, res, pathname);
+            return;
+        }
+        if (pathname === '/api/watchlist' || pathname.startsWith('/api/watchlist/')) {
+            await handleWatchlist(req, res, pathname);
+            return;
+        }
+        if (pathname === '/api/decisions' || pathname.startsWith('/api/decisions/')) {
+            await handleDecisions(req, res, pathname);
+            return;
+        }
+        if (pathname === '/api/generate' && method === 'POST') {
+            let data;
+            try {
+                data = await readJsonBody(req);
+            } catch (err) {
+                sendJson(res, 400, { error: 'Invalid JSON body.' });
+                return;
+            }
+            const { error, profile, source, results, candidates } = await screenCandidates(data, workspace);
+            if (error) {
+                sendJson(res, 400, { error });
+                return;
+            }
+            recordSearch({
+                identity: requestIdentity(req),
+                names: candidates.map(c => c.name),
+                results,
+                profile: profile.id,
+                source: source.id,
+                workspace
             });
-            req.on('end', async () => {
-                try {
-                    const data = JSON.parse(body || '{}');
-                    let {
-                        names
-                    } = data;
-                    if (!names || typeof names !== 'string') {
-                        res.statusCode = 400;
-                        res.setHeader('Content-Type', 'application/json');
-                        res.end(JSON.stringify({
-                            error: 'Missing or invalid "names" field.'
-                        }));
-                        return;
-                    }
-                    const list = names
-                        .split(/[\n,]+/)
-                        .map(s => s.trim())
-                        .filter(Boolean);
-                    const result = {};
-                    for (const n of list) {
-                        try {
-                            const info = await processName(n);
-                            result[n] = info;
-                        } catch (err) {
-                            result[n] = {
-                                error: err.message
-                            };
-                        }
-                    }
-                    res.statusCode = 200;
-                    res.setHeader('Content-Type', 'application/json');
-                    res.end(JSON.stringify(result));
-                } catch (err) {
-                    res.statusCode = 400;
-                    res.setHeader('Content-Type', 'application/json');
-                    res.end(JSON.stringify({
-                        error: 'Invalid JSON body.'
-                    }));
-                }
+            sendJson(res, 200, { profile: profile.id, source: source.id, candidates });
+            return;
+        }
+        if (pathname === '/api/import' && method === 'POST') {
+            // Read an uploaded CSV or XLSX file of names, sent as the raw
+            // request body: /api/import?filename=names.xlsx
+            let body;
+            try {
+                body = await readRawBody(req, IMPORT_MAX_BYTES);
+            } catch (err) {
+                sendJson(res, err.tooLarge ? 413 : 400, { error: err.tooLarge ? 'The file is too large.' : 'Could not read the upload.' });
+                return;
+            }
+            const result = readNameFile(body, new URL(url, 'http://localhost').searchParams.get('filename') || '');
+            sendJson(res, result.error ? 400 : 200, result);
+            return;
+        }
+        if (pathname === '/api/sessions' && method === 'POST') {
+            // Save a completed search so it can be shared as /s/<id>
+            let data;
+            try {
+                data = await readLimitedJsonBody(req, SESSION_MAX_BYTES);
+            } catch (err) {
+                sendJson(res, err.tooLarge ? 413 : 400, { error: err.tooLarge ? 'The search is too large to save.' : 'Invalid JSON body.' });
+                return;
+            }
+            const { names, results, profile, source, metadata } = data;
+            if (!Array.isArray(names) || names.length === 0 || !names.every(n => typeof n === 'string')) {
+                sendJson(res, 400, { error: 'Missing or invalid "names" field.' });
+                return;
+            }
+            const invalid = resultsError(names, results);
+            if (invalid) {
+                sendJson(res, 400, { error: invalid });
+                return;
+            }
+            const resolved = resolveProfile(profile, workspace);
+            if (!resolved) {
+                sendJson(res, 400, { error: `Unknown scoring profile "${profile}".` });
+                return;
+            }
+            if (source !== undefined && !getSource(source)) {
+                sendJson(res, 400, { error: `Unknown data source "${source}".` });
+                return;
+            }
+            const session = createSession({
+                names,
+                results,
+                profile: resolved.id,
+                source,
+                workspace,
+                createdBy: searcherOf(req),
+                metadata,
+                clientSupplied: true
             });
+            sendJson(res, 201, { ...session, url: `/s/${session.id}` });
+            return;
+        }
+        if (pathname === '/api/sessions/import' && method === 'POST') {
+            // Save a JSON export as a new session, e.g. to share it again
+            let data;
+            try {
+                data = await readLimitedJsonBody(req, SESSION_MAX_BYTES);
+            } catch (err) {
+                sendJson(res, err.tooLarge ? 413 : 400, { error: err.tooLarge ? 'The search is too large to save.' : 'Invalid JSON body.' });
+                return;
+            }
+            const { session: imported, error } = parseJsonExport(data);
+            if (error) {
+                sendJson(res, 400, { error });
+                return;
+            }
+            const invalid = resultsError(imported.names, imported.results);
+            if (invalid) {
+                sendJson(res, 400, { error: invalid });
+                return;
+            }
+            const session = createSession({ ...imported, workspace, createdBy: searcherOf(req), clientSupplied: true });
+            sendJson(res, 201, { ...session, url: `/s/${session.id}` });
+            return;
+        }
+        const exportMatch = pathname.match(/^\/api\/sessions\/([^/]+)\/export$/);
+        if (exportMatch && method === 'GET') {
+            // Download a saved search, ?format=xlsx (default), json or pdf
+            const id = decodeSegment(res, exportMatch[1]);
+            if (id === undefined) return;
+            const session = getSession(id);
+            if (!session) {
+                sendJson(res, 404, { error: 'No such session.' });
+                return;
+            }
+            const format = new URL(url, 'http://localhost').searchParams.get('format') || 'xlsx';
+            const fileName = `trademark-search-${session.createdAt.slice(0, 10)}-${session.id}`;
+            res.statusCode = 200;
+            if (format === 'json') {
+                res.setHeader('Content-Type', 'application/json');
+                res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+                res.end(exportJson(session));
+            } else if (format === 'xlsx') {
+                res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+                res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+                res.end(exportXlsx(session));
+            } else if (format === 'pdf') {
+                // Labels and decisions come from the workspace the search
+                // was made in, whoever follows the link
+                const profile = resolveProfile(session.profile, session.workspace);
+                const decisions = listDecisions(session.workspace);
+                res.setHeader('Content-Type', 'application/pdf');
+                res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+                res.end(buildReport(session, {
+                    profileLabel: profile && profile.id === session.profile ? profile.label : null,
+                    sourceLabel: id => (getSource(id) ? getSource(id).label : id),
+                    decisionFor: name => decisions.find(d => d.key === decisionKey(name)) || null
+                }));
+            } else {
+                sendJson(res, 400, { error: `Unknown export format "${format}".` });
+            }
             return;
         }
-        if (serveStatic(url, res)) {
+        if (pathname.startsWith('/api/sessions/') && method === 'GET') {
+            const id = decodeSegment(res, pathname.slice('/api/sessions/'.length));
+            if (id === undefined) return;
+            const session = getSession(id);
+            if (session) {
+                sendJson(res, 200, session);
+            } else {
+                sendJson(res, 404, { error: 'No such session.' });
+            }
+            return;
+        }
+        if (/^\/s\/[^/]+$/.test(pathname) && method === 'GET') {
+            // Shared session links load the app, which reads the id from
+            // the URL and renders the saved results read-only
+            serveStatic('/', res);
+            return;
+        }
+        if (pathname === '/api/history' && method === 'GET') {
+            // Search audit log, e.g. /api/history?from=2024-01-01&score=Red
+            const { searchParams } = new URL(url, 'http://localhost');
+            sendJson(res, 200, {
+                entries: querySearches({
+                    workspace,
+                    from: searchParams.get('from'),
+                    to: searchParams.get('to'),
+                    score: searchParams.get('score'),
+                    name: searchParams.get('name'),
+                    user: searchParams.get('user'),
+                    prefetch: searchParams.get('prefetch') !== 'false',
+                    limit: Number(searchParams.get('limit')) || 100
+                })
+            });
+            return;
+        }
+        if (pathname === '/api/profiles' && method === 'GET') {
+            sendJson(res, 200, loadProfiles(workspace));
+            return;
+        }
+        if (pathname === '/api/filings' && method === 'GET') {
+            // Cross-term search over every filing seen so far, e.g.
+            // /api/filings?owner=Aristocrat&class=028&status=LIVE
+            const { searchParams } = new URL(url, 'http://localhost');
+            sendJson(res, 200, findFilings({
+                owner: searchParams.get('owner'),
+                mark: searchParams.get('mark'),
+                cls: searchParams.get('class'),
+                status: searchParams.get('status')
+            }));
+            return;
+        }
+        if (pathname === '/api/owners' && method === 'GET') {
+            // Filings grouped by normalised owner, e.g. competitors filing
+            // in gaming classes: /api/owners?class=009,028,041
+            const { searchParams } = new URL(url, 'http://localhost');
+            const classes = (searchParams.get('class') || '').split(/[\s,]+/).filter(Boolean);
+            sendJson(res, 200, groupByOwner(findFilings({ status: searchParams.get('status') }), {
+                query: searchParams.get('owner'),
+                classes,
+                limit: Math.min(Number(searchParams.get('limit')) || 100, 1000)
+            }));
+            return;
+        }
+        if (pathname === '/api/sources' && method === 'GET') {
+            sendJson(res, 200, listSources());
+            return;
+        }
+        if ((pathname === '/api/search' || pathname === '/api/search/stream') && method === 'POST') {
+            let data;
+            try {
+                data = await readJsonBody(req);
+            } catch (err) {
+                sendJson(res, 400, { error: 'Invalid JSON body.' });
+                return;
+            }
+            const { error, list, profile, source, refresh, prefetch } = parseSearchRequest(data, workspace);
+            if (error) {
+                sendJson(res, 400, { error });
+                return;
+            }
+            const audit = results => recordSearch({
+                identity: requestIdentity(req),
+                names: list,
+                results,
+                profile: profile.id,
+                source: source.id,
+                prefetch,
+                workspace
+            });
+            if (pathname === '/api/search/stream') {
+                audit(await streamSearch(res, list, { profile, source, refresh, workspace, record: !prefetch }));
+                return;
+            }
+            const infos = await Promise.all(list.map(n =>
+                processName(n, profile, { source, refresh, workspace, record: !prefetch }).catch(err => ({
+                    error: err.message
+                }))
+            ));
+            const result = {};
+            list.forEach((n, idx) => {
+                result[n] = infos[idx];
+            });
+            audit(result);
+            sendJson(res, 200, result);
+            return;
+        }
+        if (serveStatic(pathname, res)) {
             return;
         }
         res.statusCode = 404;
         res.setHeader('Content-Type', 'text/plain');
         res.end('Not Found');
     } catch (err) {
-        res.statusCode = 500;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({
-            error: 'Internal server error'
-        }));
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        sendJson(res, 500, { error: 'Internal server error' });
     }
 });
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`Trademark search server running at http://localhost:${PORT}`);
-});
\ No newline at end of file
+// The server starts only when run directly; cli.js loads this file for
+// processName
+if (require.main === module) {
+    // ADMIN_USER (default "admin") and ADMIN_PASSWORD create the first admin
+    // account, which turns on logins (see lib/auth.js)
+    if (!hasUsers() && process.env.ADMIN_PASSWORD) {
+        const { error } = createUser({
+            name: process.env.ADMIN_USER || 'admin',
+            password: process.env.ADMIN_PASSWORD,
+            role: 'admin'
+        });
+        if (error) {
+            console.error('Could not create the admin account:', error);
+        }
+    }
+    if (!hasUsers()) {
+        console.warn('No user accounts exist, so anyone who can reach the server can use it. Set ADMIN_PASSWORD to create an admin account.');
+    }
+
+    const PORT = process.env.PORT || 3000;
+    server.listen(PORT, () => {
+        console.log(`Trademark search server running at http://localhost:${PORT}`);
+    });
+
+    // Re-check watched names as they fall due
+    startWatching(runWatch);
+}
+
+module.exports = {
+    processName,
+    // For tests, which listen on a port of their own
+    server
+};
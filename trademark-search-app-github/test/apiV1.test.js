@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-v1-'));
+process.env.SESSIONS_DIR = path.join(dir, 'sessions');
+process.env.AUDIT_LOG = path.join(dir, 'audit.jsonl');
+const { paginate, createApiV1 } = require('../lib/apiV1');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Scores every name Red with one filing, except names containing "fail"
+const api = createApiV1({
+    processName: async (name, profile, { source }) => {
+        if (/fail/i.test(name)) throw new Error('Search page unavailable.');
+        return {
+            score: 'Red',
+            explanation: 'Live filing in class 028.',
+            profile: profile.id,
+            source: source.id,
+            details: [{ applicationNumber: '1111111', wordMark: name.toUpperCase(), status: 'LIVE', classes: ['028'] }]
+        };
+    },
+    findFiling: async applicationNumber => (applicationNumber === '1111111' ? { applicationNumber } : null),
+    readJsonBody: req => new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body || '{}'));
+            } catch (err) {
+                reject(err);
+            }
+        });
+    })
+});
+
+async function call(method, url, body) {
+    const req = Readable.from(body === undefined ? [] : [JSON.stringify(body)]);
+    Object.assign(req, {
+        method,
+        url,
+        headers: {},
+        socket: { remoteAddress: '127.0.0.1' },
+        user: { name: null, role: 'admin', workspace: 'default' }
+    });
+    const res = {
+        headers: {},
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+        end(text) {
+            this.body = JSON.parse(text);
+        }
+    };
+    await api.handle(req, res, url.split('?')[0]);
+    return res;
+}
+
+test('lists are paged with meta', () => {
+    const items = Array.from({ length: 5 }, (_, idx) => idx);
+    assert.deepStrictEqual(paginate(items, { page: 2, perPage: 2 }), {
+        data: [2, 3],
+        meta: { page: 2, perPage: 2, total: 5, totalPages: 3 }
+    });
+    assert.deepStrictEqual(paginate(items, { page: 4, perPage: 2 }).data, []);
+});
+
+test('checks take an array of names and keep failures in place', async () => {
+    const created = await call('POST', '/api/v1/checks', { names: ['Dragon', 'Fail, Inc', 'class:99 x', 'Dragon'] });
+    assert.strictEqual(created.statusCode, 201);
+    const check = created.body.data;
+    assert.strictEqual(created.headers.location, `/api/v1/checks/${check.id}`);
+    assert.deepStrictEqual(check.names, ['Dragon', 'Fail, Inc', 'class:99 x']);
+    assert.deepStrictEqual(check.summary, { red: 1, yellow: 0, green: 0, failed: 2 });
+    assert.deepStrictEqual(check.results.map(r => r.error && r.error.code), [null, 'source_error', 'invalid_query']);
+    assert.strictEqual(check.results[0].filings[0].wordMark, 'DRAGON');
+
+    const listed = await call('GET', '/api/v1/checks?perPage=10');
+    assert.deepStrictEqual(listed.body.data.map(c => c.id), [check.id]);
+    assert.strictEqual(listed.body.data[0].results, undefined);
+    assert.strictEqual(listed.body.meta.total, 1);
+    assert.strictEqual((await call('GET', `/api/v1/checks/${check.id}`)).body.data.results.length, 3);
+});
+
+test('errors use one envelope with a code', async () => {
+    const cases = [
+        ['POST', '/api/v1/checks', { names: 'Dragon, Tiger' }, 400, 'invalid_request'],
+        ['GET', '/api/v1/checks?perPage=500', undefined, 400, 'invalid_request'],
+        ['GET', '/api/v1/checks/AAAAAAAAAAAA', undefined, 404, 'not_found'],
+        ['GET', '/api/v1/filings/2222222', undefined, 404, 'not_found'],
+        ['GET', '/api/v1/names/Fail', undefined, 502, 'source_error'],
+        ['DELETE', '/api/v1/checks', undefined, 405, 'method_not_allowed'],
+        ['GET', '/api/v1/unknown', undefined, 404, 'not_found']
+    ];
+    for (const [method, url, body, status, code] of cases) {
+        const res = await call(method, url, body);
+        assert.strictEqual(res.statusCode, status, `${method} ${url}`);
+        assert.strictEqual(res.body.error.code, code, `${method} ${url}`);
+    }
+});
+
+test('the OpenAPI document describes every route', async () => {
+    const doc = (await call('GET', '/api/v1/openapi.json')).body;
+    assert.strictEqual(doc.openapi, '3.0.3');
+    assert.deepStrictEqual(Object.keys(doc.paths['/api/v1/checks']), ['get', 'post']);
+    ['/api/v1/checks/{id}', '/api/v1/names/{name}', '/api/v1/filings/{appNo}'].forEach(route => {
+        assert.ok(doc.paths[route].get, route);
+    });
+    // Every reference resolves
+    const refs = JSON.stringify(doc).match(/"#\/components\/[^"]+"/g);
+    refs.forEach(ref => {
+        const target = JSON.parse(ref).slice(2).split('/').reduce((node, key) => node && node[key], doc);
+        assert.ok(target, ref);
+    });
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+process.env.AUDIT_LOG = path.join(dir, 'audit.jsonl');
+const { recordSearch, querySearches } = require('../lib/auditLog');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('history filters by score and prefetch, newest first', () => {
+    const identity = { user: null, ip: '127.0.0.1' };
+    recordSearch({
+        identity,
+        names: ['dragon', 'phoenix'],
+        results: { dragon: { score: 'Red' }, phoenix: { score: 'Green' } },
+        profile: 'slots',
+        source: 'ipgod',
+        prefetch: true
+    });
+    recordSearch({
+        identity,
+        names: ['tiger'],
+        results: { tiger: { error: 'Network error' } },
+        profile: 'slots',
+        source: 'ipgod'
+    });
+
+    assert.deepStrictEqual(querySearches().map(e => e.names), [['tiger'], ['dragon', 'phoenix']]);
+    assert.strictEqual(querySearches()[0].scores.tiger, null);
+
+    const red = querySearches({ score: 'red' });
+    assert.deepStrictEqual(red.map(e => e.scores), [{ dragon: 'Red' }]);
+
+    assert.deepStrictEqual(querySearches({ prefetch: false }).map(e => e.names), [['tiger']]);
+    assert.strictEqual(querySearches({ from: '2099-01-01' }).length, 0);
+});
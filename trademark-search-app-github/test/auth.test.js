@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+process.env.USERS_FILE = path.join(dir, 'users.json');
+process.env.WORKSPACES_DIR = path.join(dir, 'workspaces');
+const { hashPassword, verifyPassword, createUser, updateUser } = require('../lib/users');
+const { authEnabled, hasRole, logIn, currentUser } = require('../lib/auth');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('passwords are salted and verified against their hash', () => {
+    const hash = hashPassword('correct horse');
+    assert.notStrictEqual(hash, hashPassword('correct horse'));
+    assert.ok(verifyPassword('correct horse', hash));
+    assert.ok(!verifyPassword('wrong horse', hash));
+    assert.ok(!verifyPassword('correct horse', 'plain text'));
+});
+
+test('logins are only required once an account exists', () => {
+    assert.strictEqual(authEnabled(), false);
+    assert.strictEqual(currentUser({ headers: {} }).role, 'admin');
+
+    createUser({ name: 'val', password: 'viewerpass', role: 'viewer' });
+    assert.strictEqual(authEnabled(), true);
+    assert.strictEqual(currentUser({ headers: {} }), null);
+    assert.strictEqual(logIn('val', 'wrong'), null);
+
+    const { cookie } = logIn('val', 'viewerpass');
+    const user = currentUser({ headers: { cookie: cookie.split(';')[0] } });
+    assert.strictEqual(user.name, 'val');
+    assert.strictEqual(user.workspace, 'default');
+    assert.ok(hasRole(user, 'viewer'));
+    assert.ok(!hasRole(user, 'searcher'));
+});
+
+test('users without a workspace get no workspace at all', () => {
+    createUser({ name: 'nora', password: 'searchpass', workspaces: [] });
+    assert.match(logIn('nora', 'searchpass').error, /does not belong to any workspace/);
+
+    // Removing the last workspace ends a login that is in use
+    createUser({ name: 'sam', password: 'searchpass' });
+    const cookie = logIn('sam', 'searchpass').cookie.split(';')[0];
+    assert.strictEqual(currentUser({ headers: { cookie } }).workspace, 'default');
+    updateUser('sam', { workspaces: [] });
+    assert.strictEqual(currentUser({ headers: { cookie } }), null);
+
+    createUser({ name: 'ada', password: 'adminpass', role: 'admin', workspaces: [] });
+    assert.strictEqual(logIn('ada', 'adminpass').user.workspace, 'default');
+});
+
+test('malformed cookies are skipped', () => {
+    createUser({ name: 'cookie', password: 'cookiepass' });
+    const cookie = logIn('cookie', 'cookiepass').cookie.split(';')[0];
+    assert.strictEqual(currentUser({ headers: { cookie: 'a=%E0%A4%A' } }), null);
+    assert.strictEqual(currentUser({ headers: { cookie: `a=%E0%A4%A; ${cookie}` } }).name, 'cookie');
+});
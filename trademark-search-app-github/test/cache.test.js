@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+process.env.CACHE_DIR = path.join(dir, 'cache');
+process.env.CACHE_MAX_BYTES = '4000';
+process.env.USERS_FILE = path.join(dir, 'users.json');
+process.env.FETCH_HOST_INTERVAL_MS = '0';
+
+// Pages of a made-up site: each search page links to one detail page
+// named after the term, and detail pages are the filing as JSON
+const realFetch = globalThis.fetch;
+const fetched = [];
+globalThis.fetch = async url => {
+    fetched.push(url);
+    const { pathname, searchParams } = new URL(url);
+    if (pathname === '/search') {
+        return new Response(`http://fake.test/tm/${encodeURIComponent(searchParams.get('q'))}`);
+    }
+    const term = decodeURIComponent(pathname.slice('/tm/'.length));
+    return new Response(JSON.stringify({ applicationNumber: term, wordMark: term.toUpperCase(), status: 'LIVE', classes: ['028'] }));
+};
+const source = {
+    id: 'fake',
+    label: 'Fake site',
+    buildSearchUrl: name => `http://fake.test/search?q=${encodeURIComponent(name)}`,
+    extractDetailLinks: html => [html],
+    parseDetail: html => JSON.parse(html),
+    normalise: detail => detail
+};
+
+const { processName, server } = require('../server');
+const { resolveProfile } = require('../lib/profiles');
+const { saveTermIndex, storeDetail, getCachedFiling, listCache, isFresh, purgeAll } = require('../lib/cache');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const hours = n => new Date(Date.now() - n * 60 * 60 * 1000).toISOString();
+
+test('filings expire after the TTL', () => {
+    assert.ok(isFresh({ fetchedAt: hours(1) }));
+    assert.ok(!isFresh({ fetchedAt: hours(24 * 7 + 1) }));
+    assert.ok(!isFresh({}));
+    assert.ok(!isFresh({ fetchedAt: 'yesterday' }));
+});
+
+test('fresh filings are reused unless a refresh is asked for', async () => {
+    const details = url => fetched.filter(u => u === url).length;
+    const url = 'http://fake.test/tm/dragon';
+    const first = await processName('dragon', resolveProfile(), { source });
+    assert.strictEqual(first.details[0].wordMark, 'DRAGON');
+    await processName('dragon', resolveProfile(), { source });
+    assert.strictEqual(details(url), 1);
+    await processName('dragon', resolveProfile(), { source, refresh: true });
+    assert.strictEqual(details(url), 2);
+});
+
+test('the least recently used terms are evicted, never the one just written', () => {
+    purgeAll();
+    // Each filing is about a third of CACHE_MAX_BYTES
+    const save = (term, mtime) => {
+        saveTermIndex(term, [storeDetail({ applicationNumber: term, wordMark: term, padding: 'x'.repeat(1500) })]);
+        if (mtime) {
+            const file = path.join(process.env.CACHE_DIR, `${term}.json`);
+            fs.utimesSync(file, mtime, mtime);
+        }
+    };
+    const now = Date.now() / 1000;
+    save('alpha', now - 3000);
+    save('beta', now - 2000);
+    save('gamma');
+    assert.deepStrictEqual(listCache().terms.map(t => t.term), ['gamma', 'beta']);
+    assert.strictEqual(getCachedFiling('alpha'), null);
+
+    // Files dated in the future look more recent than the one just written
+    fs.utimesSync(path.join(process.env.CACHE_DIR, 'gamma.json'), now + 1000, now + 1000);
+    fs.utimesSync(path.join(process.env.CACHE_DIR, 'beta.json'), now + 2000, now + 2000);
+    save('delta');
+    assert.deepStrictEqual(listCache().terms.map(t => t.term).sort(), ['beta', 'delta']);
+    assert.ok(getCachedFiling('delta'));
+});
+
+test('the cache can be inspected and purged through the admin routes', async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/api/admin/cache`;
+    try {
+        const listed = await (await realFetch(base)).json();
+        assert.ok(listed.terms.some(t => t.term === 'delta'));
+        const entry = await (await realFetch(`${base}/delta`)).json();
+        assert.strictEqual(entry.entries[0].key, 'app:delta');
+        assert.strictEqual((await realFetch(`${base}/%E0%A4%A`)).status, 400);
+
+        const purged = await realFetch(`${base}/delta`, { method: 'DELETE' });
+        assert.deepStrictEqual(await purged.json(), { purged: 1 });
+        assert.strictEqual((await realFetch(`${base}/delta`)).status, 404);
+        assert.strictEqual(getCachedFiling('delta'), null);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
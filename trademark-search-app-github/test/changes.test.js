@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffSnapshots } = require('../lib/changes');
+
+function snapshot(score, filings) {
+    return { score, explanation: '', filings };
+}
+
+test('the first check only records a baseline', () => {
+    const next = snapshot('Green', { 1: { wordMark: 'DRAGON', status: 'LIVE', lifecycle: 'filed', owner: 'Acme' } });
+    assert.deepStrictEqual(diffSnapshots(null, next), []);
+});
+
+test('reports score, new filing, status and owner changes', () => {
+    const prev = snapshot('Green', {
+        1: { wordMark: 'DRAGON', status: 'LIVE', lifecycle: 'filed', owner: 'Acme' }
+    });
+    const next = snapshot('Red', {
+        1: { wordMark: 'DRAGON', status: 'LIVE', lifecycle: 'registered', owner: 'Acme Holdings' },
+        2: { wordMark: 'DRAGON SLOTS', status: 'LIVE', lifecycle: 'accepted', owner: 'Other' }
+    });
+    assert.deepStrictEqual(diffSnapshots(prev, next).map(c => c.type), [
+        'score',
+        'status',
+        'owner',
+        'new-filing'
+    ]);
+});
+
+test('ignores filings missing from a check and unknown stages', () => {
+    const prev = snapshot('Red', {
+        1: { wordMark: 'DRAGON', status: 'LIVE', lifecycle: 'registered', owner: 'Acme' },
+        2: { wordMark: 'DRAGON SLOTS', status: 'LIVE', lifecycle: 'registered', owner: 'Other' }
+    });
+    const next = snapshot('Red', {
+        1: { wordMark: 'DRAGON', status: '', lifecycle: '', owner: '' }
+    });
+    assert.deepStrictEqual(diffSnapshots(prev, next), []);
+});
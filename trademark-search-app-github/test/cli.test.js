@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+fs.mkdirSync(path.join(dir, 'ipgod'));
+fs.writeFileSync(path.join(dir, 'ipgod', 'trademarks.csv'), [
+    'tm_number,words,applicant_name,lodgement_date,status,class_code',
+    '1111111,DRAGON LINK,Example Gaming Pty Ltd,2015-01-01,Registered,028',
+    '2222222,DRAGON TEA,Tea House Ltd,2016-01-01,Registered,030',
+    '3333333,DRAGON ORB,Old Games Ltd,2010-01-01,Removed - Not Renewed,028'
+].join('\n'));
+
+function check(names, ...args) {
+    return checkWithEnv({}, names, ...args);
+}
+
+function checkWithEnv(env, names, ...args) {
+    return spawnSync(process.execPath, [path.join(__dirname, '..', 'cli.js'), 'check', '-', '--source', 'ipgod', ...args], {
+        input: names,
+        encoding: 'utf8',
+        timeout: 30000,
+        env: {
+            ...process.env,
+            IPGOD_DIR: path.join(dir, 'ipgod'),
+            CACHE_DIR: path.join(dir, 'cache'),
+            AUDIT_LOG: path.join(dir, 'audit.jsonl'),
+            LAST_RESULTS_FILE: path.join(dir, 'last-results.json'),
+            ...env
+        }
+    });
+}
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('exits non-zero when a name scores at or above --fail-on', () => {
+    const red = check('Dragon\nZebra Quest\n', '--format', 'json');
+    assert.strictEqual(red.status, 1);
+    const output = JSON.parse(red.stdout);
+    assert.deepStrictEqual(output.failed, ['Dragon']);
+    assert.deepStrictEqual(output.results.map(r => r.score), ['Red', 'Green']);
+
+    assert.strictEqual(check('Dragon Tea\n').status, 0);
+    const yellow = check('Dragon Tea\n', '--format', 'csv', '--fail-on', 'yellow');
+    assert.strictEqual(yellow.status, 1);
+    assert.match(yellow.stdout, /^Name,Score/);
+    assert.match(yellow.stdout, /"Dragon Tea","Yellow"/);
+});
+
+test('usage errors exit with 2', () => {
+    assert.strictEqual(check('Dragon\n', '--format', 'xml').status, 2);
+});
+
+test('owner queries fail on sources that cannot search by owner', () => {
+    const local = check('owner:"Example Gaming"\n', '--format', 'json');
+    assert.deepStrictEqual(JSON.parse(local.stdout).results.map(r => r.score), ['Red']);
+
+    const scraped = check('owner:"Example Gaming"\n', '--format', 'json', '--source', 'trademarkelite');
+    assert.strictEqual(scraped.status, 1);
+    assert.match(JSON.parse(scraped.stdout).results[0].error, /cannot be searched by owner/);
+});
+
+test('IPGOD statuses are read through their lifecycle stage', () => {
+    const orb = JSON.parse(check('Dragon Orb\n', '--format', 'json').stdout).results[0];
+    assert.strictEqual(orb.score, 'Green');
+    assert.deepStrictEqual(orb.details.map(d => [d.lifecycle, d.status]), [['removed', 'DEAD']]);
+});
+
+test('runs neither move the notification baseline nor send notifications', () => {
+    // Nothing listens on the discard port, so a delivery would be retried
+    // for minutes
+    const env = { NOTIFY_WEBHOOKS: 'http://127.0.0.1:9/', NOTIFY_LOG: path.join(dir, 'deliveries.jsonl') };
+    assert.strictEqual(checkWithEnv(env, 'Dragon\n').status, 1);
+    assert.strictEqual(checkWithEnv(env, 'Dragon Tea\n').status, 0);
+    assert.ok(!fs.existsSync(path.join(dir, 'last-results.json')));
+    assert.ok(!fs.existsSync(path.join(dir, 'deliveries.jsonl')));
+});
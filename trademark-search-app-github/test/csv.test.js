@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCsvParser, parseCsv, readCsvFile } = require('../lib/csv');
+
+// With a byte order mark, as spreadsheet applications save it
+const text = '\ufeffNumber,Mark,Goods\r\n' +
+    '1,"Dragon, Inc","Games; ""slot"" machines"\r\n' +
+    '\r\n' +
+    '2,Tiger,"Toys\nand dolls"\n' +
+    '3,"",';
+const expected = [
+    ['Number', 'Mark', 'Goods'],
+    ['1', 'Dragon, Inc', 'Games; "slot" machines'],
+    ['2', 'Tiger', 'Toys\nand dolls'],
+    ['3', '', '']
+];
+
+test('quoted fields keep their commas, quotes and line breaks', () => {
+    assert.deepStrictEqual(parseCsv(text), expected);
+    // A quote closing the last field of the file
+    assert.deepStrictEqual(parseCsv('a,"b"'), [['a', 'b']]);
+});
+
+test('values split across chunks read the same', () => {
+    for (let split = 1; split < text.length; split++) {
+        const rows = [];
+        const parser = createCsvParser(row => rows.push(row));
+        parser.write(text.slice(0, split));
+        parser.write(text.slice(split));
+        parser.end();
+        assert.deepStrictEqual(rows, expected, `split at ${split}`);
+    }
+});
+
+test('files are read row by row', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-'));
+    try {
+        const file = path.join(dir, 'marks.csv');
+        fs.writeFileSync(file, text);
+        const rows = [];
+        await readCsvFile(file, row => rows.push(row));
+        assert.deepStrictEqual(rows, expected);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decisions-'));
+process.env.DECISIONS_FILE = path.join(dir, 'decisions.json');
+process.env.WORKSPACES_DIR = path.join(dir, 'workspaces');
+const { decisionKey, listDecisions, setDecision, clearDecision } = require('../lib/decisions');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('names match whatever their case, accents and spacing', () => {
+    assert.strictEqual(decisionKey('  Dragon   GOLD! '), 'dragon gold');
+    assert.strictEqual(decisionKey('Café Royale'), decisionKey('cafe royale'));
+});
+
+test('decisions are validated', () => {
+    assert.ok(setDecision('default', '', { decision: 'approved' }, null).error);
+    assert.match(setDecision('default', 'Dragon', { decision: 'maybe' }, null).error, /one of approved, rejected, legal-review/);
+    assert.ok(setDecision('default', 'Dragon', { decision: 'approved', note: 5 }, null).error);
+});
+
+test('a new decision replaces the old one and keeps it in history', () => {
+    const first = setDecision('default', 'Dragon Gold', { decision: 'legal-review', note: 'Check class 028' }, 'val').decision;
+    assert.strictEqual(first.key, 'dragon gold');
+    assert.strictEqual(first.reviewer, 'val');
+
+    const second = setDecision('default', 'dragon  gold', { decision: 'approved', reviewer: 'Legal' }, 'sam').decision;
+    assert.deepStrictEqual(second.history.map(h => h.decision), ['legal-review']);
+    assert.strictEqual(second.decidedBy, 'sam');
+    assert.deepStrictEqual(listDecisions('default').map(d => [d.key, d.decision]), [['dragon gold', 'approved']]);
+});
+
+test('decisions are filtered, kept per workspace and cleared', () => {
+    setDecision('default', 'Phoenix', { decision: 'rejected' }, null);
+    assert.deepStrictEqual(listDecisions('default', { decision: 'rejected' }).map(d => d.name), ['Phoenix']);
+    assert.deepStrictEqual(listDecisions('default', { name: 'GOLD' }).map(d => d.name), ['dragon  gold']);
+    assert.deepStrictEqual(listDecisions('studio-b'), []);
+
+    assert.ok(clearDecision('default', 'PHOENIX'));
+    assert.ok(!clearDecision('default', 'Phoenix'));
+    assert.deepStrictEqual(listDecisions('default').map(d => d.name), ['dragon  gold']);
+});
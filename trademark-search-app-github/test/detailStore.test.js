@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'detail-store-'));
+process.env.CACHE_DIR = dir;
+const store = require('../lib/detailStore');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// The store as another process would read it from disk
+function reloaded() {
+    delete require.cache[require.resolve('../lib/detailStore')];
+    return require('../lib/detailStore');
+}
+
+test('a filing found under two URLs is stored once', () => {
+    store.put({ applicationNumber: '1', wordMark: 'DRAGON', detailUrl: 'http://x.test/1/dragon' });
+    store.put({ applicationNumber: '1', wordMark: 'DRAGON LINK', detailUrl: 'http://x.test/1/dragon-link' });
+    assert.strictEqual(store.stats().records, 1);
+    assert.strictEqual(store.getByUrl('http://x.test/1/dragon').wordMark, 'DRAGON LINK');
+    assert.strictEqual(store.getByApplication('1').detailUrl, 'http://x.test/1/dragon-link');
+    assert.strictEqual(reloaded().getByUrl('http://x.test/1/dragon').wordMark, 'DRAGON LINK');
+});
+
+test('removed filings stay removed once the file is read again', () => {
+    store.put({ applicationNumber: '2', wordMark: 'TIGER', detailUrl: 'http://x.test/2' });
+    store.remove(['app:2', 'app:missing']);
+    assert.strictEqual(store.getByUrl('http://x.test/2'), null);
+    const fresh = reloaded();
+    assert.strictEqual(fresh.getByApplication('2'), null);
+    assert.ok(fresh.getByApplication('1'));
+});
+
+test('dead lines are compacted only once they outnumber live ones', () => {
+    for (let i = 0; i < 150; i++) {
+        store.put({ applicationNumber: '3', wordMark: `PHOENIX ${i}`, detailUrl: 'http://x.test/3' });
+    }
+    const { records, lines, bytes, liveBytes } = store.stats();
+    assert.ok(lines < 100, `${lines} lines for ${records} records`);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'details.jsonl'), 'utf8').trim().split('\n').length, lines);
+    assert.ok(liveBytes <= bytes);
+
+    // Dropping filings no term needs appends deletions rather than
+    // rewriting the file straight away
+    store.retain(new Set(['app:1']));
+    assert.strictEqual(store.stats().records, 1);
+    assert.strictEqual(store.stats().lines, lines + 1);
+    assert.ok(store.stats().liveBytes < store.stats().bytes);
+    assert.strictEqual(reloaded().getByApplication('3'), null);
+});
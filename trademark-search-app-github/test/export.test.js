@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { crc32, createZip, readZip } = require('../lib/zip');
+const { columnName, readWorkbook } = require('../lib/xlsx');
+const { exportXlsx, exportJson, parseJsonExport } = require('../lib/export');
+
+const session = {
+    names: ['dragon'],
+    metadata: { dragon: { 'Game ID': 'G-100', Studio: 'North' } },
+    profile: 'slots',
+    source: 'ipgod',
+    results: {
+        dragon: {
+            score: 'Red',
+            explanation: 'At least one live filing lists classes 028.',
+            details: [{
+                applicationNumber: '1',
+                wordMark: 'DRAGON',
+                status: 'LIVE',
+                classes: ['028'],
+                similarity: { score: 0.8367, exact: false, edit: 0.6, phonetic: 1, containment: 1 }
+            }]
+        }
+    }
+};
+
+test('zip entries carry the standard CRC-32 and deflated data', () => {
+    assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+    const zip = createZip([{ name: 'a.txt', data: 'hello hello hello' }]);
+    assert.strictEqual(zip.readUInt32LE(0), 0x04034b50);
+    const compressedSize = zip.readUInt32LE(18);
+    const data = zlib.inflateRawSync(zip.subarray(30 + 'a.txt'.length, 30 + 'a.txt'.length + compressedSize));
+    assert.strictEqual(data.toString(), 'hello hello hello');
+});
+
+test('archives that unpack to too much are rejected', () => {
+    const zip = createZip([{ name: 'a.txt', data: Buffer.alloc(4096) }, { name: 'b.txt', data: Buffer.alloc(4096) }]);
+    assert.strictEqual(readZip(zip, { maxBytes: 8192 }).get('b.txt').length, 4096);
+    assert.throws(() => readZip(zip, { maxBytes: 4096 }), /unpacks to more than 4096 bytes/);
+    // Understating the uncompressed size in the central directory does not
+    // get past the limit
+    const end = zip.length - 22;
+    const central = zip.readUInt32LE(end + 16);
+    zip.writeUInt32LE(0, central + 24);
+    assert.throws(() => readZip(zip, { maxBytes: 1000 }), /unpacks to more than 1000 bytes/);
+});
+
+test('columns are lettered like spreadsheets', () => {
+    assert.deepStrictEqual([0, 25, 26, 701, 702].map(columnName), ['A', 'Z', 'AA', 'ZZ', 'AAA']);
+});
+
+test('workbooks are zip archives and JSON exports read back losslessly', () => {
+    const xlsx = exportXlsx(session);
+    assert.strictEqual(xlsx.readUInt32LE(0), 0x04034b50);
+    const { session: imported } = parseJsonExport(JSON.parse(exportJson(session)));
+    assert.deepStrictEqual(imported, session);
+    assert.ok(parseJsonExport({ names: [] }).error);
+});
+
+test('imported columns follow the name in the summary sheet', () => {
+    const [header, row] = readWorkbook(exportXlsx(session));
+    assert.deepStrictEqual(header.slice(0, 4), ['Name', 'Game ID', 'Studio', 'Score']);
+    assert.deepStrictEqual(row.slice(0, 4), ['dragon', 'G-100', 'North', 'Red']);
+});
+
+// The Filings sheet, repackaged as the only sheet of a workbook so that
+// readWorkbook reads it
+function filingsSheet(buf) {
+    const sheet = readZip(buf).get('xl/worksheets/sheet2.xml');
+    return readWorkbook(createZip([{ name: 'xl/worksheets/sheet1.xml', data: sheet }]));
+}
+
+test('the filings sheet lists each filing with its similarity', () => {
+    const [header, row] = filingsSheet(exportXlsx(session));
+    const column = header.indexOf('Similarity');
+    assert.notStrictEqual(column, -1);
+    assert.strictEqual(row[header.indexOf('Application #')], '1');
+    assert.strictEqual(row[column], '0.84');
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { pluralise, misspellings, generateCandidates } = require('../lib/generator');
+
+test('plurals follow English spelling rules', () => {
+    assert.deepStrictEqual(
+        ['Dragon', 'Fox', 'Ruby', 'Day', 'Lucky Fortune'].map(pluralise),
+        ['Dragons', 'Foxes', 'Rubies', 'Days', 'Lucky Fortunes']
+    );
+});
+
+test('misspellings keep the case of the letters they replace', () => {
+    assert.ok(misspellings('Phoenix').includes('Foenix'));
+    assert.ok(misspellings('PHOENIX').includes('PHOENIKS'));
+    assert.ok(misspellings('Buffalo').includes('Bufalo'));
+});
+
+test('candidates mix every kind, without duplicates or repeated affixes', () => {
+    const candidates = generateCandidates(['Dragon', 'Lucky Fortune'], { max: 12 });
+    assert.strictEqual(candidates.length, 12);
+    assert.deepStrictEqual(
+        [...new Set(candidates.map(c => c.kind))].sort(),
+        ['compound', 'misspelt', 'plural', 'prefix', 'seed', 'suffix']
+    );
+    const all = generateCandidates(['Lucky Fortune'], { max: 100 }).map(c => c.name);
+    assert.ok(!all.includes('Lucky Lucky Fortune'));
+    assert.strictEqual(new Set(all.map(n => n.toLowerCase())).size, all.length);
+});
+
+test('only as many candidates are built as are returned', () => {
+    // Every ordered pair would be nine million compounds
+    const seeds = Array.from({ length: 3000 }, (_, idx) => `Seed${idx}`);
+    const candidates = generateCandidates(seeds, { max: 6 });
+    assert.deepStrictEqual(candidates.map(c => c.kind), ['seed', 'plural', 'prefix', 'suffix', 'compound', 'misspelt']);
+    assert.strictEqual(candidates[4].name, 'Seed0 Seed1');
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// IPGOD tables as separate files joined on the application number, with
+// headers as different releases name them
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ipgod-'));
+const files = {
+    // Read first, and its "name" is the attorney's
+    'agent.csv': 'tm_number,name,address,type\n1111111,Smith & Co,1 Law St,firm\n',
+    'applicant.csv': '\ufeffTM Number,Name,Address\n1111111,"Example Gaming, Pty Ltd","2 Main St\nSydney"\n',
+    'classes.csv': 'tm_number,class_code,description\n1111111,28,Gaming machines\n1111111,9,"Software; ""apps"""\n',
+    'summary.csv': 'Australian Appl No,Words,Kind of Mark,Status,Lodgement Date\n1111111,DRAGON LINK,Word,Registered,2015-01-01\n'
+};
+Object.entries(files).forEach(([name, text]) => fs.writeFileSync(path.join(dir, name), text));
+process.env.IPGOD_DIR = dir;
+const ipgod = require('../lib/sources/ipgod');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('tables are merged per application number through the column aliases', async () => {
+    const [filing] = await ipgod.lookupApplication('1111111');
+    assert.strictEqual(filing.wordMark, 'DRAGON LINK');
+    assert.strictEqual(filing.ownerName, 'Example Gaming, Pty Ltd');
+    assert.strictEqual(filing.ownerAddress, '2 Main St Sydney');
+    assert.strictEqual(filing.markType, 'word');
+    assert.strictEqual(filing.filingDate, '2015-01-01');
+    assert.strictEqual(filing.lifecycle, 'registered');
+    assert.deepStrictEqual(filing.classes, ['009', '028']);
+    assert.deepStrictEqual(filing.goodsServices.map(g => g.description), ['Gaming machines', 'Software; "apps"']);
+});
+
+test('word marks and owners are searched ignoring case and punctuation', async () => {
+    assert.deepStrictEqual((await ipgod.lookup('dragon-link')).map(f => f.applicationNumber), ['1111111']);
+    assert.deepStrictEqual(await ipgod.lookup('Phoenix'), []);
+    assert.strictEqual((await ipgod.lookupOwner('example gaming')).length, 1);
+    assert.deepStrictEqual(await ipgod.lookupOwner('Smith & Co'), []);
+});
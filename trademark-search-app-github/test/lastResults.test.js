@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'last-results-'));
+process.env.LAST_RESULTS_FILE = path.join(dir, 'last-results.json');
+const { recordResult } = require('../lib/lastResults');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function result(source, score) {
+    return { score, explanation: '', profile: 'slots', source, details: [] };
+}
+
+test('results are compared per source and per workspace', () => {
+    assert.strictEqual(recordResult('Dragon', result('ipgod', 'Green')).previous, null);
+    // The same name on another source, or in another workspace, is new
+    assert.strictEqual(recordResult('Dragon', result('trademarkelite', 'Red')).previous, null);
+    assert.strictEqual(recordResult('Dragon', result('ipgod', 'Red'), 'studio-b').previous, null);
+
+    const { changes } = recordResult(' dragon ', result('ipgod', 'Red'));
+    assert.deepStrictEqual(changes.map(c => [c.type, c.from, c.to]), [['score', 'Green', 'Red']]);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { STAGES, stageFromStatus, stageStatus } = require('../lib/lifecycle');
+
+test('status descriptions map onto lifecycle stages', () => {
+    const cases = {
+        'Filed: Pending': 'filed',
+        'New Application': 'filed',
+        'Under Examination: Indexed': 'under-examination',
+        'Adverse Report Issued': 'under-examination',
+        'Accepted: Advertised': 'accepted',
+        'Under Opposition': 'opposed',
+        'Registered: Registered/Protected': 'registered',
+        'Lapsed: Not Accepted': 'lapsed',
+        'Removed - Not Renewed': 'removed',
+        'Cancelled': 'removed',
+        'Refused': 'refused',
+        'Never Registered': 'refused',
+        'Withdrawn': 'withdrawn',
+        'Abandoned': 'withdrawn'
+    };
+    Object.entries(cases).forEach(([desc, stage]) => {
+        assert.strictEqual(stageFromStatus(desc), stage, desc);
+    });
+});
+
+test('unrecognised and blank descriptions have no stage', () => {
+    assert.strictEqual(stageFromStatus(''), '');
+    assert.strictEqual(stageFromStatus(null), '');
+    assert.strictEqual(stageFromStatus('Something else'), '');
+});
+
+test('pending and registered stages are live, the rest dead', () => {
+    assert.deepStrictEqual(
+        STAGES.map(s => `${s.id}:${stageStatus(s.id)}`),
+        [
+            'filed:LIVE', 'under-examination:LIVE', 'accepted:LIVE', 'opposed:LIVE', 'registered:LIVE',
+            'lapsed:DEAD', 'removed:DEAD', 'refused:DEAD', 'withdrawn:DEAD'
+        ]
+    );
+    assert.strictEqual(stageStatus(''), '');
+});
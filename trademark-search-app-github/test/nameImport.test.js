@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_UNZIPPED_BYTES, createZip } = require('../lib/zip');
+const { readWorkbook } = require('../lib/xlsx');
+const { MAX_COLUMNS, readNameFile } = require('../lib/nameImport');
+
+test('CSV names keep their commas and the name column is guessed', () => {
+    const csv = 'Game ID,Game Name,Studio\nG-1,"Dragon, Inc",North\nG-2,Phoenix\n';
+    const { columns, rows, nameColumn, truncated } = readNameFile(Buffer.from(csv), 'names.csv');
+    assert.deepStrictEqual(columns, ['Game ID', 'Game Name', 'Studio']);
+    assert.deepStrictEqual(rows, [['G-1', 'Dragon, Inc', 'North'], ['G-2', 'Phoenix', '']]);
+    assert.strictEqual(nameColumn, 1);
+    assert.strictEqual(truncated, false);
+});
+
+test('XLSX files are read from their shared strings', () => {
+    // Laid out as spreadsheet applications write it, with shared strings
+    // and a gap in the second row
+    const xlsx = createZip([
+        {
+            name: 'xl/workbook.xml',
+            data: '<workbook xmlns:r="r"><sheets><sheet name="Names" sheetId="1" r:id="rId1"/></sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: '<Relationships><Relationship Id="rId1" Type="worksheet" Target="worksheets/names.xml"/></Relationships>'
+        },
+        {
+            name: 'xl/sharedStrings.xml',
+            data: '<sst><si><t>Title</t></si><si><t>Market</t></si><si><r><t>Tiger </t></r><r><t>&amp; Crane</t></r></si></sst>'
+        },
+        {
+            name: 'xl/worksheets/names.xml',
+            data: '<worksheet><sheetData>' +
+                '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>' +
+                '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="C2"><v>44</v></c></row>' +
+                '</sheetData></worksheet>'
+        }
+    ]);
+    const { columns, rows, nameColumn } = readNameFile(xlsx, 'names.xlsx');
+    assert.deepStrictEqual(columns, ['Title', 'Column 2', 'Market']);
+    assert.deepStrictEqual(rows, [['Tiger & Crane', '', '44']]);
+    assert.strictEqual(nameColumn, 0);
+});
+
+test('files without names are rejected', () => {
+    assert.ok(readNameFile(Buffer.from('Name\n')).error);
+    assert.ok(readNameFile(Buffer.from('PK not really a zip'), 'names.xlsx').error);
+});
+
+test('workbooks that unpack to more than the limit are refused', () => {
+    // Compresses to a few kilobytes
+    const bomb = createZip([{ name: 'xl/worksheets/sheet1.xml', data: Buffer.alloc(MAX_UNZIPPED_BYTES + 1) }]);
+    assert.ok(bomb.length < 100 * 1024);
+    assert.match(readNameFile(bomb, 'names.xlsx').error, /unpacks to more than/);
+});
+
+test('cells far off to the right are refused before rows are padded to them', () => {
+    const sheet = width => createZip([{
+        name: 'xl/worksheets/sheet1.xml',
+        data: `<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>Name</t></is></c></row>` +
+            `<row r="2"><c r="${width}2"><v>1</v></c></row></sheetData></worksheet>`
+    }]);
+    assert.match(readNameFile(sheet('ZZZZ'), 'names.xlsx').error, /beyond column/);
+    assert.match(readNameFile(sheet('XFD'), 'names.xlsx').error, /beyond column/);
+    // Past the last column a workbook can have, whatever the caller allows
+    assert.throws(() => readWorkbook(sheet('XFE'), { maxColumns: Infinity }), /beyond column XFD/);
+
+    const csv = `Name${','.repeat(MAX_COLUMNS)}\nDragon\n`;
+    assert.match(readNameFile(Buffer.from(csv), 'names.csv').error, /more than \d+ columns/);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { notableChanges, formatEml } = require('../lib/notify');
+
+test('only score changes and new live filings are notable', () => {
+    const changes = [
+        { type: 'score', from: 'Green', to: 'Red' },
+        { type: 'new-filing', key: '1', status: 'LIVE', to: 'filed' },
+        { type: 'new-filing', key: '2', status: 'DEAD', to: 'lapsed' },
+        { type: 'owner', key: '3', from: 'A', to: 'B' }
+    ];
+    assert.deepStrictEqual(notableChanges(changes).map(c => c.key || c.type), ['score', '1']);
+});
+
+test('.eml files are RFC 822 messages with encoded non-ASCII subjects', () => {
+    const eml = formatEml({
+        id: 'abc123',
+        at: '2026-01-02T03:04:05.000Z',
+        name: 'Drachen Glück',
+        profile: 'slots',
+        source: 'ipgod',
+        score: 'Red',
+        previousScore: 'Green',
+        explanation: 'At least one live filing lists classes 028.',
+        changes: [{ type: 'score', from: 'Green', to: 'Red' }]
+    });
+    const split = eml.indexOf('\r\n\r\n');
+    const head = eml.slice(0, split);
+    const body = eml.slice(split + 4);
+    assert.match(head, /^Subject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/m);
+    assert.match(head, /^Date: Fri, 02 Jan 2026 03:04:05 \+0000$/m);
+    assert.ok(!/[^\r]\n/.test(eml), 'every line ends in CRLF');
+    assert.match(body, /Score changed from Green to Red/);
+});
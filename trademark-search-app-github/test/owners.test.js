@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ownerKey, groupByOwner } = require('../lib/owners');
+
+test('owner name variants share a key', () => {
+    const key = ownerKey('Aristocrat Technologies Australia Pty Ltd');
+    assert.strictEqual(key, 'aristocrat technologies australia');
+    assert.strictEqual(ownerKey('ARISTOCRAT TECHNOLOGIES AUSTRALIA PTY. LTD.'), key);
+    assert.strictEqual(ownerKey('Aristocrat Technologies Australia Proprietary Limited'), key);
+    assert.strictEqual(ownerKey('Société Générale S.A.'), 'societe generale');
+    assert.strictEqual(ownerKey(''), '');
+});
+
+test('filings are grouped per owner with counts, classes and timeline', () => {
+    const filings = [
+        { applicationNumber: '1', wordMark: 'DRAGON', ownerName: 'Reel Studio Pty Ltd', status: 'LIVE', classes: ['009', '028'], filingDate: '2019-05-01' },
+        { applicationNumber: '2', wordMark: 'PHOENIX', ownerName: 'REEL STUDIO PTY. LTD.', status: 'DEAD', classes: ['041'], filingDate: '2021-02-01' },
+        { applicationNumber: '3', wordMark: 'TIGER', ownerName: 'Reel Studio Pty Ltd', status: 'LIVE', classes: ['028'], filingDate: '2021-07-01' },
+        { applicationNumber: '4', wordMark: 'DRAGON TEA', ownerName: 'Tea House Ltd', status: 'LIVE', classes: ['030'], filingDate: '2020-01-01' }
+    ];
+    const { total, owners } = groupByOwner(filings);
+    assert.strictEqual(total, 2);
+    const [reel] = owners;
+    assert.strictEqual(reel.name, 'Reel Studio Pty Ltd');
+    assert.deepStrictEqual(reel.variants, ['Reel Studio Pty Ltd', 'REEL STUDIO PTY. LTD.']);
+    assert.deepStrictEqual([reel.filings, reel.live, reel.dead], [3, 2, 1]);
+    assert.deepStrictEqual(reel.classes[0], { class: '028', count: 2 });
+    assert.deepStrictEqual(reel.timeline, [{ year: '2019', count: 1 }, { year: '2021', count: 2 }]);
+    assert.deepStrictEqual(reel.marks.map(m => m.applicationNumber), ['3', '2', '1']);
+
+    const gaming = groupByOwner(filings, { classes: ['9', '028'] });
+    assert.deepStrictEqual(gaming.owners.map(o => [o.key, o.filings]), [['reel studio', 2]]);
+    assert.strictEqual(groupByOwner(filings, { query: 'tea house limited' }).owners[0].name, 'Tea House Ltd');
+});
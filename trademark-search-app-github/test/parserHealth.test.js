@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkDetail, healthReport } = require('../lib/parserHealth');
+
+const good = { applicationNumber: '1', wordMark: 'DRAGON' };
+
+test('failures are counted per page but logged once until the source recovers', t => {
+    const warnings = [];
+    t.mock.method(console, 'warn', message => warnings.push(message));
+
+    checkDetail('fake', 'http://fake.test/tm/1', good);
+    assert.deepStrictEqual(checkDetail('fake', 'http://fake.test/tm/2', { wordMark: 'DRAGON' }), ['applicationNumber']);
+    checkDetail('fake', 'http://fake.test/tm/3', {});
+    checkDetail('fake', 'http://fake.test/tm/4', null);
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /tm\/2 has no applicationNumber/);
+
+    const failing = healthReport().sources.fake;
+    assert.strictEqual(failing.checked, 4);
+    assert.strictEqual(failing.failed, 3);
+    assert.strictEqual(failing.healthy, false);
+    assert.deepStrictEqual(failing.recentFailures.map(f => f.url.slice(-1)), ['4', '3', '2']);
+
+    checkDetail('fake', 'http://fake.test/tm/5', good);
+    checkDetail('fake', 'http://fake.test/tm/6', {});
+    assert.strictEqual(warnings.length, 3);
+    assert.match(warnings[1], /parse again/);
+    assert.match(warnings[2], /tm\/6 has no applicationNumber or wordMark/);
+    assert.strictEqual(healthReport().sources.fake.healthy, false);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+process.env.PROFILES_FILE = path.join(dir, 'profiles.json');
+fs.writeFileSync(process.env.PROFILES_FILE, JSON.stringify({
+    default: 'slots',
+    profiles: {
+        slots: {
+            label: 'Slot games',
+            classes: { 28: 2, '009': 1, '041': 'heavy' },
+            thresholds: { red: 2, yellow: 1, similarity: 0.3 },
+            keywords: { terms: ['Gaming'], missFactor: 0.5 }
+        },
+        loose: {
+            thresholds: { red: -1, yellow: 5 },
+            stageWeights: { filed: 1, unknown: 3 }
+        }
+    }
+}));
+const { resolveProfile, scoreDetails } = require('../lib/profiles');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A live registered filing whose word mark is `similarity` alike
+function filing(classes, similarity, extra = {}) {
+    return { status: 'LIVE', lifecycle: 'registered', wordMark: 'DRAGON', classes, similarity: { score: similarity }, ...extra };
+}
+
+test('profiles are normalised as they are read', () => {
+    const slots = resolveProfile();
+    assert.strictEqual(slots.id, 'slots');
+    assert.deepStrictEqual(slots.classes, { '028': 2, '009': 1 });
+    assert.deepStrictEqual(slots.keywords, { terms: ['gaming'], missFactor: 0.5 });
+
+    const loose = resolveProfile('loose');
+    assert.strictEqual(loose.label, 'loose');
+    // An invalid red threshold falls back to 1, and yellow never exceeds red
+    assert.deepStrictEqual(loose.thresholds, { red: 1, yellow: 1, similarity: 0.3 });
+    assert.strictEqual(loose.stageWeights.filed, 1);
+    assert.strictEqual(loose.stageWeights.unknown, undefined);
+    assert.strictEqual(resolveProfile('missing'), null);
+    assert.strictEqual(resolveProfile('constructor'), null);
+    assert.strictEqual(resolveProfile('__proto__'), null);
+});
+
+test('the heaviest live filing is compared with the thresholds inclusively', () => {
+    const profile = resolveProfile('slots');
+    const score = details => scoreDetails(details, profile).score;
+    assert.strictEqual(score([filing(['028'], 1)]), 'Red');
+    assert.strictEqual(score([filing(['028'], 0.99)]), 'Yellow');
+    assert.strictEqual(score([filing(['009'], 1)]), 'Yellow');
+    assert.strictEqual(score([filing(['009'], 0.99)]), 'Green');
+    assert.strictEqual(score([filing(['009'], 1), filing(['009', '028'], 1)]), 'Red');
+    assert.strictEqual(score([filing(['030'], 1)]), 'Green');
+});
+
+test('dead, failed and dissimilar filings do not count', () => {
+    const profile = resolveProfile('slots');
+    assert.deepStrictEqual(scoreDetails([], profile), {
+        score: 'Green',
+        explanation: 'No live trademark registrations were found for this name.'
+    });
+    const ignored = [
+        filing(['028'], 1, { status: 'DEAD' }),
+        { error: 'Error processing detail page.' },
+        filing(['028'], 0.29)
+    ];
+    const { score, explanation } = scoreDetails(ignored, profile);
+    assert.strictEqual(score, 'Green');
+    assert.match(explanation, /none closely resemble/);
+    // Just at the similarity threshold counts: 2 x 0.3 is Green, not ignored
+    assert.match(scoreDetails([filing(['028'], 0.3)], profile).explanation, /none are in classes relevant/);
+});
+
+test('pending stages and missing keywords reduce a filing\'s weight', () => {
+    const profile = resolveProfile('slots');
+    // 2 x 0.6 for a filed mark
+    assert.strictEqual(scoreDetails([filing(['028'], 1, { lifecycle: 'filed' })], profile).score, 'Yellow');
+    assert.strictEqual(scoreDetails([filing(['028'], 1, { lifecycle: '' })], profile).score, 'Red');
+
+    const described = description => filing(['028'], 1, { goodsServices: [{ class: '028', description }] });
+    assert.strictEqual(scoreDetails([described('Gaming machines')], profile).score, 'Red');
+    assert.strictEqual(scoreDetails([described('Toys and dolls')], profile).score, 'Yellow');
+});
+
+test('explanations name the red classes and the closest filing', () => {
+    const profile = resolveProfile('slots');
+    assert.strictEqual(
+        scoreDetails([filing(['028'], 1)], profile).explanation,
+        'At least one live filing lists classes 028 (closest: "DRAGON", 100% similar).'
+    );
+    assert.strictEqual(
+        scoreDetails([filing(['028'], 1, { lifecycle: 'accepted' })], profile).explanation,
+        'Live filings exist, but none that closely resemble this name contain 028 (closest: "DRAGON", 100% similar, accepted).'
+    );
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseQuery, formatQuery } = require('../lib/query');
+
+test('typed queries parse into a kind, value and classes', () => {
+    assert.deepStrictEqual(parseQuery('Dragon Train'), { kind: 'name', value: 'Dragon Train', classes: [] });
+    assert.deepStrictEqual(parseQuery('owner:"Aristocrat Technologies"'), { kind: 'owner', value: 'Aristocrat Technologies', classes: [] });
+    assert.deepStrictEqual(parseQuery('owner:Aristocrat Technologies'), { kind: 'owner', value: 'Aristocrat Technologies', classes: [] });
+    assert.deepStrictEqual(parseQuery('app:1234567'), { kind: 'app', value: '1234567', classes: [] });
+    assert.deepStrictEqual(parseQuery('class:28 "dragon" class:009'), { kind: 'name', value: 'dragon', classes: ['028', '009'] });
+    assert.deepStrictEqual(parseQuery('5:30 Club'), { kind: 'name', value: '5:30 Club', classes: [] });
+});
+
+test('invalid queries are reported', () => {
+    assert.ok(parseQuery('app:12a').error);
+    assert.ok(parseQuery('class:099 dragon').error);
+    assert.ok(parseQuery('class:028').error);
+    assert.ok(parseQuery('dragon owner:Aristocrat').error);
+});
+
+test('equivalent queries format the same way and plain names are unchanged', () => {
+    assert.strictEqual(formatQuery(parseQuery('dragon  train')), 'dragon train');
+    assert.strictEqual(formatQuery(parseQuery('"dragon" class:28 class:9')), 'class:009 class:028 "dragon"');
+    assert.strictEqual(formatQuery(parseQuery('OWNER:Aristocrat')), 'owner:"Aristocrat"');
+});
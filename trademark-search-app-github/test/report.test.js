@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { textWidth, wrapText, fitText } = require('../lib/pdf');
+const { buildReport } = require('../lib/report');
+
+function pageContents(pdf) {
+    const text = pdf.toString('latin1');
+    const streams = [];
+    const pattern = /\/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+        const start = pattern.lastIndex;
+        streams.push(zlib.inflateSync(pdf.subarray(start, start + Number(match[1]))).toString('latin1'));
+    }
+    return streams;
+}
+
+test('text wraps at spaces and fits the width', () => {
+    const lines = wrapText('the quick brown fox jumps over the lazy dog', 'regular', 10, 80);
+    assert.ok(lines.length > 1);
+    assert.strictEqual(lines.join(' '), 'the quick brown fox jumps over the lazy dog');
+    lines.forEach(line => assert.ok(textWidth(line, 'regular', 10) <= 80));
+    assert.ok(fitText('A very long owner name indeed', 'regular', 8, 40).endsWith('…'));
+});
+
+test('reports have a cover page, a section per name and numbered footers', () => {
+    const details = Array.from({ length: 60 }, (_, i) => ({
+        applicationNumber: String(1000 + i),
+        wordMark: 'DRAGON (LUCKY)',
+        ownerName: 'Example Gaming Pty Ltd',
+        lifecycle: 'Registered',
+        classes: ['009', '028'],
+        filingDate: '2020-01-01'
+    }));
+    const pdf = buildReport({
+        createdAt: '2024-03-01T10:00:00.000Z',
+        createdBy: 'alice',
+        names: ['Dragon', 'Phoenix'],
+        profile: 'slots',
+        source: 'ipgod',
+        results: {
+            Dragon: { score: 'Red', explanation: 'Live filings in relevant classes.', details },
+            Phoenix: { score: 'Green', explanation: 'No filings found.', details: [] }
+        }
+    }, { profileLabel: 'Slot games', decisionFor: name => (name === 'Phoenix' ? { decision: 'approved', decidedAt: '2024-03-02T00:00:00.000Z' } : null) });
+    const text = pdf.toString('latin1');
+    assert.ok(text.startsWith('%PDF-1.4'));
+    assert.ok(text.trimEnd().endsWith('%%EOF'));
+    const pages = pageContents(pdf);
+    // Cover, then 60 filings run over more than one page
+    assert.ok(pages.length >= 3);
+    assert.match(text, new RegExp(`/Count ${pages.length}`));
+    assert.match(pages[0], /\(Trademark Clearance Report\)/);
+    assert.match(pages[0], /\(Slot games \\\(slots\\\)\)/);
+    assert.match(pages[1], /\(Application #\)/);
+    assert.match(pages[2], /\(Application #\)/);
+    assert.ok(pages.some(page => /\(Decision: Approved/.test(page)));
+    pages.forEach((page, idx) => assert.ok(page.includes(`(Page ${idx + 1} of ${pages.length})`)));
+});
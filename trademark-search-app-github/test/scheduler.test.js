@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScheduler } = require('../lib/scheduler');
+
+test('options that are not numbers fall back to the defaults', async () => {
+    let attempts = 0;
+    const scheduler = createScheduler({
+        retries: NaN,
+        hostInterval: 0,
+        backoff: 0,
+        fetch: async () => {
+            attempts++;
+            throw new Error('connection refused');
+        }
+    });
+    await assert.rejects(scheduler.fetch('http://example.test/'), /connection refused/);
+    // The first attempt and the default of three retries
+    assert.strictEqual(attempts, 4);
+});
+
+// A fetch that answers with each status in turn, the last one from then on,
+// and records when each request started
+function fakeFetch(responses, { delay = 0 } = {}) {
+    const calls = [];
+    let inFlight = 0;
+    const fn = async url => {
+        calls.push({ url, at: Date.now() });
+        fn.maxInFlight = Math.max(fn.maxInFlight, ++inFlight);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        inFlight--;
+        const [status, headers] = responses[Math.min(calls.length - 1, responses.length - 1)];
+        return new Response('', { status, headers });
+    };
+    fn.calls = calls;
+    fn.maxInFlight = 0;
+    return fn;
+}
+
+const gaps = calls => calls.slice(1).map((call, idx) => call.at - calls[idx].at);
+
+test('no more than `concurrency` requests are in flight', async () => {
+    const fetch = fakeFetch([[200]], { delay: 20 });
+    const scheduler = createScheduler({ concurrency: 2, hostInterval: 0, fetch });
+    const urls = Array.from({ length: 6 }, (_, idx) => `http://host${idx}.test/`);
+    const responses = await Promise.all(urls.map(url => scheduler.fetch(url)));
+    assert.deepStrictEqual(responses.map(res => res.status), [200, 200, 200, 200, 200, 200]);
+    assert.strictEqual(fetch.maxInFlight, 2);
+    assert.deepStrictEqual(scheduler.stats(), { active: 0, queued: 0 });
+});
+
+test('requests to one host are spaced out without holding up other hosts', async () => {
+    const fetch = fakeFetch([[200]]);
+    const scheduler = createScheduler({ concurrency: 1, hostInterval: 100, fetch });
+    await Promise.all(['http://a.test/1', 'http://a.test/2', 'http://b.test/1'].map(url => scheduler.fetch(url)));
+    assert.deepStrictEqual(fetch.calls.map(call => call.url), ['http://a.test/1', 'http://b.test/1', 'http://a.test/2']);
+    const [first, , second] = fetch.calls;
+    assert.ok(second.at - first.at >= 95, `${second.at - first.at} ms apart`);
+});
+
+test('retries back off exponentially up to the cap, then give up', async () => {
+    const fetch = fakeFetch([[503]]);
+    const scheduler = createScheduler({ hostInterval: 0, retries: 3, backoff: 100, maxBackoff: 150, fetch });
+    const res = await scheduler.fetch('http://a.test/');
+    // The last response is returned once the retries run out
+    assert.strictEqual(res.status, 503);
+    assert.strictEqual(fetch.calls.length, 4);
+    const [first, second, third] = gaps(fetch.calls);
+    assert.ok(first >= 95 && second >= 145 && third >= 145, gaps(fetch.calls).join(', '));
+    // Uncapped, the third delay would be 400 ms
+    assert.ok(third < 300, `${third} ms`);
+});
+
+test('Retry-After takes the place of the computed delay', async () => {
+    const fetch = fakeFetch([[429, { 'Retry-After': '0.2' }], [200]]);
+    const scheduler = createScheduler({ hostInterval: 0, backoff: 10, fetch });
+    assert.strictEqual((await scheduler.fetch('http://a.test/')).status, 200);
+    assert.ok(gaps(fetch.calls)[0] >= 195, `${gaps(fetch.calls)[0]} ms`);
+});
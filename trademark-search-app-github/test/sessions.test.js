@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+process.env.SESSIONS_DIR = dir;
+const { resultsError, createSession, getSession, listSessions } = require('../lib/sessions');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const results = { Dragon: { score: 'Red', explanation: '', details: [] } };
+
+test('saved searches read back by id', () => {
+    const { id, createdAt } = createSession({
+        names: ['Dragon'],
+        results,
+        profile: 'slots',
+        source: 'ipgod',
+        workspace: 'default',
+        createdBy: 'val'
+    });
+    assert.match(id, /^[A-Za-z0-9_-]{12}$/);
+    const session = getSession(id);
+    assert.strictEqual(session.createdAt, createdAt);
+    assert.deepStrictEqual(session.names, ['Dragon']);
+    assert.deepStrictEqual(session.results, results);
+    assert.strictEqual(session.createdBy, 'val');
+});
+
+test('unknown and malformed ids are not found', () => {
+    assert.strictEqual(getSession('AAAAAAAAAAAA'), null);
+    assert.strictEqual(getSession('../sessions'), null);
+});
+
+test('metadata is kept for the searched names only, as text', () => {
+    const { id } = createSession({
+        names: ['Dragon'],
+        results,
+        profile: 'slots',
+        metadata: { Dragon: { 'Game ID': 100, Studio: 'North', nested: { a: 1 } }, Other: { 'Game ID': 'G-2' } }
+    });
+    assert.deepStrictEqual(getSession(id).metadata, { Dragon: { 'Game ID': '100', Studio: 'North' } });
+});
+
+test('sessions are listed per workspace, most recent first', () => {
+    const older = createSession({ names: ['Dragon'], results, profile: 'slots', workspace: 'studio-b' });
+    // Both may be saved within the same millisecond, so date the second later
+    const later = new Date(Date.parse(older.createdAt) + 1000).toISOString();
+    const newer = createSession({ names: ['Dragon'], results, profile: 'slots', workspace: 'studio-b' });
+    const file = path.join(dir, `${newer.id}.json`);
+    fs.writeFileSync(file, JSON.stringify({ ...getSession(newer.id), createdAt: later }));
+
+    assert.deepStrictEqual(listSessions('studio-b').map(s => s.id), [newer.id, older.id]);
+    // Sessions saved without a workspace belong to the default one
+    assert.ok(listSessions('default').length >= 2);
+    assert.ok(listSessions('default').every(s => !s.workspace || s.workspace === 'default'));
+});
+
+test('results sent by a client are checked and marked as theirs', () => {
+    assert.strictEqual(resultsError(['Dragon'], results), null);
+    assert.strictEqual(resultsError(['Dragon', 'Tiger'], { ...results, Tiger: { error: 'Search failed.' } }), null);
+    assert.match(resultsError(['Dragon'], []), /"results"/);
+    assert.match(resultsError(['Dragon', 'Tiger'], results), /result for "Tiger"/);
+    assert.ok(resultsError(['Dragon'], { Dragon: { score: 'Purple', details: [] } }));
+    assert.ok(resultsError(['Dragon'], { Dragon: { score: 'Red', details: ['x'] } }));
+    assert.ok(resultsError(['constructor'], {}));
+
+    const { id } = createSession({
+        names: ['Dragon'],
+        results: { ...results, Other: { score: 'Red', details: [] } },
+        profile: 'slots',
+        clientSupplied: true
+    });
+    const session = getSession(id);
+    assert.strictEqual(session.clientSupplied, true);
+    assert.deepStrictEqual(Object.keys(session.results), ['Dragon']);
+});
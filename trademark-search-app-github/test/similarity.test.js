@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareMarks, levenshtein, soundex } = require('../lib/similarity');
+
+test('edit distance and sound codes', () => {
+    assert.strictEqual(levenshtein('kitten', 'sitting'), 3);
+    assert.strictEqual(levenshtein('', 'abc'), 3);
+    assert.strictEqual(soundex('robert'), 'R163');
+    assert.strictEqual(soundex('rupert'), 'R163');
+    // h does not separate the s and c of "ashcraft"
+    assert.strictEqual(soundex('ashcraft'), 'A261');
+    // Sound-alike spellings are respelled before coding
+    assert.strictEqual(soundex('kash'), soundex('cash'));
+    assert.strictEqual(soundex('phortune'), soundex('fortune'));
+});
+
+test('identical marks score 1 whatever their case, accents and punctuation', () => {
+    assert.deepStrictEqual(compareMarks('Dragon', 'DRAGON'), { score: 1, exact: true, edit: 1, phonetic: 1, containment: 1 });
+    assert.strictEqual(compareMarks('Café', 'CAFE').exact, true);
+    assert.strictEqual(compareMarks('Tiger & Crane', 'TIGER AND CRANE').exact, true);
+});
+
+test('other marks blend edit, phonetic and containment similarity', () => {
+    // 0.4 x (1 - 2/7) + 0.3 x 1 + 0.3 x 0
+    assert.deepStrictEqual(compareMarks('Kash Kow', 'CASH COW'), { score: 0.59, exact: false, edit: 0.71, phonetic: 1, containment: 0 });
+    assert.deepStrictEqual(compareMarks('Phortune', 'FORTUNE'), { score: 0.6, exact: false, edit: 0.75, phonetic: 1, containment: 0 });
+    const reordered = compareMarks('Dragon Gold', 'GOLD DRAGON');
+    assert.deepStrictEqual([reordered.phonetic, reordered.containment], [1, 1]);
+    assert.ok(reordered.score < 1);
+});
+
+test('incidental substring hits score low and marks without words not at all', () => {
+    assert.ok(compareMarks('Dragon', 'SNAPDRAGONS GARDEN CENTRE').score < 0.3);
+    assert.strictEqual(compareMarks('Dragon', ''), null);
+    assert.strictEqual(compareMarks('!!!', 'DRAGON'), null);
+});
@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getSource } = require('../lib/sources');
+
+test('sources are looked up by id, with the default for none', () => {
+    assert.strictEqual(getSource('ipgod').id, 'ipgod');
+    assert.ok(getSource());
+    assert.strictEqual(getSource('missing'), null);
+    assert.strictEqual(getSource('constructor'), null);
+    assert.strictEqual(getSource('__proto__'), null);
+});
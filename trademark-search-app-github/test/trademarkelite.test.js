@@ -0,0 +1,55 @@
+// Regression tests for the trademarkelite.com scraper. Each saved page in
+// fixtures/trademarkelite has the expected result next to it:
+//
+//   search-*.html -> search-*.json   extractDetailLinks() output
+//   detail-*.html -> detail-*.json   normalised parseDetail() output
+//
+// After a deliberate parser change, regenerate the expected files with
+// `UPDATE_FIXTURES=1 npm test` and review the diff before committing.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const trademarkelite = require('../lib/sources/trademarkelite');
+const { missingFields } = require('../lib/parserHealth');
+
+const fixturesDir = path.join(__dirname, 'fixtures', 'trademarkelite');
+const update = !!process.env.UPDATE_FIXTURES;
+
+function parse(file, html) {
+    if (file.startsWith('search-')) {
+        return trademarkelite.extractDetailLinks(html);
+    }
+    return trademarkelite.normalise(trademarkelite.parseDetail(html));
+}
+
+fs.readdirSync(fixturesDir)
+    .filter(f => f.endsWith('.html'))
+    .sort()
+    .forEach(file => {
+        test(`trademarkelite ${file}`, () => {
+            const html = fs.readFileSync(path.join(fixturesDir, file), 'utf8');
+            const expectedFile = path.join(fixturesDir, file.replace(/\.html$/, '.json'));
+            const actual = parse(file, html);
+            if (update) {
+                fs.writeFileSync(expectedFile, JSON.stringify(actual, null, 4) + '\n', 'utf8');
+                return;
+            }
+            const expected = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+            assert.deepStrictEqual(actual, expected);
+        });
+    });
+
+test('every detail fixture except changed markup passes the parser health check', () => {
+    fs.readdirSync(fixturesDir)
+        .filter(f => f.startsWith('detail-') && f.endsWith('.html'))
+        .forEach(file => {
+            const html = fs.readFileSync(path.join(fixturesDir, file), 'utf8');
+            const missing = missingFields(parse(file, html));
+            if (file === 'detail-changed-markup.html') {
+                assert.deepStrictEqual(missing, ['applicationNumber', 'wordMark'], file);
+            } else {
+                assert.deepStrictEqual(missing, [], file);
+            }
+        });
+});
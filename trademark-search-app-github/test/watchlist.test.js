@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-'));
+process.env.WATCHLIST_FILE = path.join(dir, 'watchlist.json');
+process.env.WORKSPACES_DIR = path.join(dir, 'workspaces');
+const { createWorkspace } = require('../lib/workspaces');
+const { listWatches, addWatch, removeWatch, markSeen, checkWatch } = require('../lib/watchlist');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function result(score, filings) {
+    return { score, explanation: '', details: filings };
+}
+
+test('names are watched once and can be removed', () => {
+    const { entry, created } = addWatch('default', { name: ' Dragon ', profile: 'slots', source: 'ipgod' });
+    assert.ok(created);
+    assert.strictEqual(entry.name, 'Dragon');
+    assert.strictEqual(entry.score, null);
+
+    const again = addWatch('default', { name: 'dragon', profile: 'slots', source: 'ipgod' });
+    assert.strictEqual(again.created, false);
+    assert.strictEqual(again.entry.id, entry.id);
+    assert.deepStrictEqual(listWatches('default').entries.map(e => e.name), ['Dragon']);
+
+    assert.ok(removeWatch('default', entry.id));
+    assert.ok(!removeWatch('default', entry.id));
+    assert.deepStrictEqual(listWatches('default').entries, []);
+});
+
+test('each workspace has its own watchlist', () => {
+    createWorkspace({ name: 'Studio B' });
+    addWatch('studio-b', { name: 'Phoenix', profile: 'slots', source: 'ipgod' });
+    assert.deepStrictEqual(listWatches('studio-b').entries.map(e => e.name), ['Phoenix']);
+    assert.deepStrictEqual(listWatches('default').entries, []);
+    const [entry] = listWatches('studio-b').entries;
+    assert.ok(!removeWatch('default', entry.id));
+    assert.ok(removeWatch('studio-b', entry.id));
+});
+
+test('checks record a baseline, then changes until they are seen', async () => {
+    const { entry } = addWatch('default', { name: 'Tiger', profile: 'slots', source: 'ipgod' });
+    const first = await checkWatch('default', entry.id, async () => result('Green', []));
+    assert.strictEqual(first.score, 'Green');
+    assert.strictEqual(first.unseen, 0);
+
+    const filing = { applicationNumber: '1', wordMark: 'TIGER', status: 'LIVE', lifecycle: 'filed', ownerName: 'Acme' };
+    const second = await checkWatch('default', entry.id, async () => result('Red', [filing]));
+    assert.deepStrictEqual(second.changes.map(c => c.type), ['score', 'new-filing']);
+    assert.strictEqual(second.unseen, 2);
+    assert.strictEqual(markSeen('default', entry.id).unseen, 0);
+
+    const failed = await checkWatch('default', entry.id, async () => {
+        throw new Error('Search page unavailable.');
+    });
+    assert.strictEqual(failed.lastError, 'Search page unavailable.');
+    assert.strictEqual(failed.score, 'Red');
+    assert.strictEqual(await checkWatch('default', 'missing', async () => result('Green', [])), null);
+});